@@ -3,18 +3,56 @@ const cors = require("cors");
 
 const errorHandler = require("./errors/errorHandler");
 const notFound = require("./errors/notFound");
+const authenticate = require("./auth/authenticate");
+const requireAuth = require("./auth/requireAuth");
+const authRouter = require("./auth/auth.router");
+const usersRouter = require("./users/users.router");
 const ordersRouter = require("./orders/orders.router");
 const dishesRouter = require("./dishes/dishes.router");
+const categoriesRouter = require("./categories/categories.router");
+const menuRouter = require("./menu/menu.router");
+const deliveryZonesRouter = require("./delivery/deliveryZones.router");
+const kitchenRouter = require("./kitchen/kitchen.router");
+const promotionsRouter = require("./promotions/promotions.router");
+const ingredientsRouter = require("./inventory/ingredients.router");
+const driversRouter = require("./drivers/drivers.router");
+const webhooksRouter = require("./webhooks/webhooks.router");
+const { registerPaymentListeners } = require("./payments/payments.listeners");
+const { registerInventoryListeners } = require("./inventory/inventory.listeners");
+const { registerWebhookListeners } = require("./webhooks/webhooks.listeners");
 
 const app = express();
 
+// Capture payments on delivery and refund them on cancellation
+registerPaymentListeners();
+// Give back reserved stock when orders are deleted or cancelled before they are made
+registerInventoryListeners();
+// Send order and dish changes to the webhooks subscribed to them
+registerWebhookListeners();
+
 // You have not learned about CORS yet.
 // The following line let's this API be used by any website.
 app.use(cors());
-app.use(express.json());
+// Parse JSON bodies, including the JSON Merge Patch and JSON Patch formats used by PATCH routes
+app.use(express.json({ type: ["application/json", "application/*+json"] }));
+
+// Identify the signed in user, if any, from the Authorization header
+app.use(authenticate);
 
+app.use("/auth", authRouter);
+app.use("/users", requireAuth, usersRouter);
 app.use("/dishes", dishesRouter);
-app.use("/orders", ordersRouter);
+app.use("/categories", categoriesRouter);
+app.use("/menu", menuRouter);
+// Anyone can see where we deliver
+app.use("/delivery-zones", deliveryZonesRouter);
+// Orders belong to customers, so every orders route needs a signed in user
+app.use("/orders", requireAuth, ordersRouter);
+app.use("/kitchen", requireAuth, kitchenRouter);
+app.use("/drivers", requireAuth, driversRouter);
+app.use("/ingredients", requireAuth, ingredientsRouter);
+app.use("/promotions", requireAuth, promotionsRouter);
+app.use("/webhooks", requireAuth, webhooksRouter);
 
 app.use(notFound);
 
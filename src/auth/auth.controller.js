@@ -0,0 +1,71 @@
+const config = require("../config");
+const usersService = require("../users/users.service");
+const { signToken } = require("./token");
+const { verifyPassword } = require("./password");
+const { CUSTOMER } = require("./roles");
+const requireAuth = require("./requireAuth");
+const validateBody = require("../validation/validateBody");
+const { registerSchema, loginSchema } = require("./auth.schema");
+
+////////////////////////////////////////////////////////////////////////
+// Validation Middleware
+////////////////////////////////////////////////////////////////////////
+
+// Verify that no account is registered with the email yet
+function verifyEmailIsAvailable(req, res, next) {
+  const { data: { email } } = req.body;
+  if (!usersService.findByEmail(email)) return next();
+
+  next({
+    status: 409,
+    message: `An account already exists for ${email}`
+  });
+}
+
+////////////////////////////////////////////////////////////////////////
+// Route Middleware
+////////////////////////////////////////////////////////////////////////
+
+// Respond with the user and a new token for them
+function sendSession(res, status, user) {
+  const token = signToken(
+    { sub: user.id, role: user.role },
+    config.authSecret,
+    config.tokenTtlSeconds
+  );
+  res.status(status).json({ data: { user: usersService.toPublicUser(user), token } });
+}
+
+// Request: POST /auth/register
+function register(req, res) {
+  const { data: { email, password, name } = {} } = req.body;
+  // Everyone who registers is a customer, staff accounts are set up separately
+  const user = usersService.createUser({ email, password, name, role: CUSTOMER });
+  sendSession(res, 201, user);
+}
+
+// Request: POST /auth/login
+function login(req, res, next) {
+  const { data: { email, password } = {} } = req.body;
+  const user = usersService.findByEmail(email);
+  if (!user || !verifyPassword(password, user.passwordHash)) {
+    // Use the same message either way so accounts cannot be discovered by guessing emails
+    return next({
+      status: 401,
+      message: "Invalid email or password"
+    });
+  }
+  sendSession(res, 200, user);
+}
+
+// Request: GET /auth/me
+function me(req, res) {
+  res.json({ data: usersService.toPublicUser(res.locals.user) });
+}
+
+// Export route middleware for the router to call
+module.exports = {
+  register: [validateBody(registerSchema), verifyEmailIsAvailable, register], // Run validation checks before calling register
+  login: [validateBody(loginSchema), login], // Run validation checks before calling login
+  me: [requireAuth, me],
+};
@@ -0,0 +1,18 @@
+const router = require("express").Router();
+const controller = require("./auth.controller");
+const methodNotAllowed = require("../errors/methodNotAllowed");
+
+// Routes for /auth/register
+router.route("/register")
+  .post(controller.register)
+  .all(methodNotAllowed);
+// Routes for /auth/login
+router.route("/login")
+  .post(controller.login)
+  .all(methodNotAllowed);
+// Routes for /auth/me
+router.route("/me")
+  .get(controller.me)
+  .all(methodNotAllowed);
+
+module.exports = router;
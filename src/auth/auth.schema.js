@@ -0,0 +1,52 @@
+const MIN_PASSWORD_LENGTH = 8;
+
+// The shape of the data in a request to register an account
+const registerSchema = {
+  type: "object",
+  errorMessage: "Request body must have a data object",
+  required: ["email", "password"],
+  properties: {
+    email: {
+      type: "string",
+      // A simple shape check, the address itself is not verified
+      pattern: "^\\s*[^\\s@]+@[^\\s@]+\\s*$",
+      errorMessage: {
+        required: "Request must include an email",
+        default: "email must be a valid email address",
+      },
+    },
+    password: {
+      type: "string",
+      minLength: MIN_PASSWORD_LENGTH,
+      errorMessage: {
+        required: "Request must include a password",
+        default: `password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      },
+    },
+    name: {
+      type: "string",
+      errorMessage: "name must be a string",
+    },
+  },
+};
+
+// The shape of the data in a request to log in
+const loginSchema = {
+  type: "object",
+  errorMessage: "Request body must have a data object",
+  required: ["email", "password"],
+  properties: {
+    email: {
+      type: "string",
+      minLength: 1,
+      errorMessage: "Request must include an email",
+    },
+    password: {
+      type: "string",
+      minLength: 1,
+      errorMessage: "Request must include a password",
+    },
+  },
+};
+
+module.exports = { registerSchema, loginSchema };
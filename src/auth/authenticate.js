@@ -0,0 +1,25 @@
+const config = require("../config");
+const { verifyToken } = require("./token");
+const usersService = require("../users/users.service");
+
+// Read the bearer token from the Authorization header, if there is one.
+// A valid token stores the signed in user in res.locals.user; requests without a token carry on anonymously.
+function authenticate(req, res, next) {
+  const header = req.get("Authorization");
+  if (!header) return next();
+
+  const [scheme, token] = header.split(" ");
+  const claims = scheme === "Bearer" ? verifyToken(token, config.authSecret) : undefined;
+  const user = claims && usersService.read(claims.sub);
+  if (!user) {
+    return next({
+      status: 401,
+      message: "Invalid or expired token",
+    });
+  }
+
+  res.locals.user = user;
+  next();
+}
+
+module.exports = authenticate;
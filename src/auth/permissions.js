@@ -0,0 +1,92 @@
+const { ROLES, STAFF_ROLES } = require("./roles");
+
+// The roles allowed to perform each action.
+// Routes declare the action they perform with authorize(), so this map is the one place access is decided.
+const PERMISSIONS = {
+  "dishes:create": ["manager", "admin"],
+  "dishes:update": ["manager", "admin"],
+  "dishes:delete": ["manager", "admin"],
+  "categories:create": ["manager", "admin"],
+  "categories:update": ["manager", "admin"],
+  "categories:delete": ["manager", "admin"],
+  "deliveryZones:create": ["manager", "admin"],
+  "deliveryZones:update": ["manager", "admin"],
+  "deliveryZones:delete": ["manager", "admin"],
+  // Customers can only reach their own orders, the orders controller checks ownership
+  "orders:list": ROLES,
+  "orders:read": ROLES,
+  "orders:create": ROLES,
+  "orders:update": ROLES,
+  "orders:delete": ROLES,
+  // Customers can cancel their own orders, and so can staff
+  "orders:cancel": ROLES,
+  "orders:changeStatus": ["kitchen", "delivery", "manager", "admin"],
+  "orders:assignDriver": ["kitchen", "delivery", "manager", "admin"],
+  "orders:streamAll": STAFF_ROLES,
+  // Customers can pay for their own orders, but only managers move money after that
+  "payments:read": ROLES,
+  "payments:authorize": ROLES,
+  "payments:capture": ["manager", "admin"],
+  "payments:void": ["manager", "admin"],
+  "payments:refund": ["manager", "admin"],
+  // Promotions are run by managers
+  "promotions:read": ["manager", "admin"],
+  "promotions:create": ["manager", "admin"],
+  "promotions:update": ["manager", "admin"],
+  "promotions:delete": ["manager", "admin"],
+  // The kitchen keeps an eye on stock, managers keep the list of ingredients
+  "ingredients:read": ["kitchen", "manager", "admin"],
+  "ingredients:create": ["manager", "admin"],
+  "ingredients:update": ["manager", "admin"],
+  "ingredients:delete": ["manager", "admin"],
+  // Managers keep the list of drivers, drivers say when they are available and deliver their own orders
+  "drivers:read": ["delivery", "manager", "admin"],
+  "drivers:create": ["manager", "admin"],
+  "drivers:update": ["manager", "admin"],
+  "drivers:delete": ["manager", "admin"],
+  "drivers:setStatus": ["delivery", "manager", "admin"],
+  "drivers:deliver": ["delivery", "manager", "admin"],
+  "kitchen:view": ["kitchen", "manager", "admin"],
+  "kitchen:work": ["kitchen", "manager", "admin"],
+  // Webhooks send order and dish data to other systems, so only admins and managers set them up
+  "webhooks:read": ["manager", "admin"],
+  "webhooks:create": ["manager", "admin"],
+  "webhooks:update": ["manager", "admin"],
+  "webhooks:delete": ["manager", "admin"],
+  "users:list": ["admin"],
+  "users:changeRole": ["admin"],
+};
+
+// Check that the user's role is allowed to perform the action
+function can(user, action) {
+  return Boolean(user) && PERMISSIONS[action].includes(user.role);
+}
+
+// Build the error for a user whose role is not allowed to perform the action
+function forbidden(user, action) {
+  return {
+    status: 403,
+    message: `Forbidden: the ${user.role} role cannot perform ${action}`,
+  };
+}
+
+// Create middleware that only lets users whose role is allowed to perform the action through
+function authorize(action) {
+  // Catch typos when the routes are defined rather than on the first request
+  if (!PERMISSIONS[action]) throw new Error(`Unknown action: ${action}`);
+
+  return function (req, res, next) {
+    const { user } = res.locals;
+    if (!user) {
+      return next({
+        status: 401,
+        message: "You must be signed in to access this resource",
+      });
+    }
+    if (can(user, action)) return next();
+
+    next(forbidden(user, action));
+  };
+}
+
+module.exports = { PERMISSIONS, can, forbidden, authorize };
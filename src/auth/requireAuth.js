@@ -0,0 +1,11 @@
+// Only let signed in users through
+function requireAuth(req, res, next) {
+  if (res.locals.user) return next();
+
+  next({
+    status: 401,
+    message: "You must be signed in to access this resource",
+  });
+}
+
+module.exports = requireAuth;
@@ -0,0 +1,15 @@
+// Customers place orders and can only see their own
+const CUSTOMER = "customer";
+
+// Every role a user can have
+const ROLES = [CUSTOMER, "kitchen", "delivery", "manager", "admin"];
+
+// Staff roles can see every order
+const STAFF_ROLES = ["kitchen", "delivery", "manager", "admin"];
+
+// Check that a user has a staff role
+function isStaff(user) {
+  return Boolean(user) && STAFF_ROLES.includes(user.role);
+}
+
+module.exports = { CUSTOMER, ROLES, STAFF_ROLES, isStaff };
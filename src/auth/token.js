@@ -0,0 +1,46 @@
+const crypto = require("crypto");
+
+// Encode a value as base64url JSON, the format used by each part of a JSON Web Token
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+// Compute the HMAC-SHA256 signature of the token's header and payload
+function signature(unsigned, secret) {
+  return crypto.createHmac("sha256", secret).update(unsigned).digest("base64url");
+}
+
+// Create a signed JSON Web Token (HS256) that expires after ttlSeconds
+function signToken(payload, secret, ttlSeconds) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const unsigned = `${encode({ alg: "HS256", typ: "JWT" })}.${encode({
+    ...payload,
+    iat: issuedAt,
+    exp: issuedAt + ttlSeconds,
+  })}`;
+  return `${unsigned}.${signature(unsigned, secret)}`;
+}
+
+// Return the payload of a token if its signature is valid and it has not expired, otherwise undefined
+function verifyToken(token, secret) {
+  const [header, payload, tokenSignature] = String(token).split(".");
+  if (!header || !payload || !tokenSignature) return undefined;
+
+  const expected = Buffer.from(signature(`${header}.${payload}`, secret));
+  const actual = Buffer.from(tokenSignature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return undefined;
+  }
+
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, "base64url").toString());
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+    if (alg !== "HS256" || claims.exp <= Math.floor(Date.now() / 1000)) return undefined;
+    return claims;
+  } catch (error) {
+    // Malformed header or payload
+    return undefined;
+  }
+}
+
+module.exports = { signToken, verifyToken };
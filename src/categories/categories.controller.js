@@ -0,0 +1,165 @@
+// Use the categories store for reading and saving categories
+const service = require("./categories.service");
+
+// Use the dishes store to find the dishes in a category
+const dishesService = require("../dishes/dishes.service");
+
+// Use this function to assign ID's when necessary
+const nextId = require("../utils/nextId");
+
+// Use these functions to sort and paginate lists
+const { listQuery, sendPage } = require("../utils/listQuery");
+
+// Use these functions for ETags and conditional requests
+const { sendRecord, verifyIfMatch } = require("../utils/etag");
+
+// Use this function to apply PATCH requests
+const { applyPatch } = require("../utils/patch");
+
+// Use the category schema to validate request data
+const validateBody = require("../validation/validateBody");
+const { categorySchema } = require("./categories.schema");
+
+// Fields a list of categories can be sorted by
+const SORT_FIELDS = {
+  id: (category) => category.id,
+  name: (category) => category.name,
+  displayOrder: (category) => category.displayOrder,
+};
+
+////////////////////////////////////////////////////////////////////////
+// Validation Middleware
+////////////////////////////////////////////////////////////////////////
+
+// Verify that a category in the store has an id that matches the categoryId in the request parameter
+function categoryExists(req, res, next) {
+  const { categoryId } = req.params;
+  const foundCategory = service.read(categoryId);
+  if (foundCategory) {
+    // Store the matching category in res.locals to use in later functions in the route chain
+    res.locals.category = foundCategory;
+    return next();
+  }
+
+  next({
+    status: 404,
+    message: `Category does not exist: ${categoryId}.`,
+  });
+}
+
+// Verify that the category id in the request body matches the categoryId in the request parameter
+function verifyCategoryIdDataMatchesRoute(req, res, next) {
+  const categoryId = res.locals.category.id;
+  const { data: { id } } = req.body;
+  if (!id || id === categoryId) return next();
+
+  next({
+    status: 400,
+    message: `Category id does not match route id. Category: ${id}, Route: ${categoryId}`,
+  });
+}
+
+// Verify that no other category has the same name
+function verifyNameIsUnique(req, res, next) {
+  const { data: { name } } = req.body;
+  const existing = service.findByName(name);
+  const { category } = res.locals;
+  if (!existing || (category && existing.id === category.id)) return next();
+
+  next({
+    status: 409,
+    message: `Category ${name} already exists: ${existing.id}`,
+  });
+}
+
+// Verify that no dish on the menu is still in the category before deleting it
+function verifyCategoryIsEmpty(req, res, next) {
+  const { id } = res.locals.category;
+  const dishCount = dishesService
+    .list()
+    .filter((dish) => dish.categoryId === id && !dish.archivedAt)
+    .length;
+  if (!dishCount) return next();
+
+  next({
+    status: 409,
+    message: `Category ${id} still has ${dishCount} dishes. Move or archive them first`,
+  });
+}
+
+////////////////////////////////////////////////////////////////////////
+// Route Middleware
+////////////////////////////////////////////////////////////////////////
+
+// Request: GET /categories
+function list(req, res) {
+  sendPage(req, res, service.list());
+}
+
+// Request: POST /categories
+function create(req, res) {
+  const { data: { name, displayOrder } = {} } = req.body;
+  const createdCategory = service.create({
+    id: nextId(),
+    name,
+    displayOrder,
+  });
+  sendRecord(res, createdCategory, 201);
+}
+
+// Request: GET /categories/:categoryId
+function read(req, res) {
+  sendRecord(res, res.locals.category);
+}
+
+// Request: PUT /categories/:categoryId and PATCH /categories/:categoryId
+function update(req, res) {
+  const { data: { name, displayOrder } = {} } = req.body;
+  const updatedCategory = service.update({
+    ...res.locals.category,
+    name,
+    displayOrder,
+  });
+  sendRecord(res, updatedCategory);
+}
+
+// Request: DELETE /categories/:categoryId
+function destroy(req, res) {
+  service.delete(res.locals.category.id);
+  res.sendStatus(204);
+}
+
+// Export route middleware for the router to call
+module.exports = {
+  // Categories are listed in menu order unless another sort is asked for
+  list: [listQuery(SORT_FIELDS, "displayOrder,name"), list],
+  create: [
+    validateBody(categorySchema),
+    verifyNameIsUnique,
+    create
+  ], // Run validation checks before calling create
+  read: [categoryExists, read],
+  update: [
+    categoryExists,
+    verifyIfMatch("category"),
+    validateBody(categorySchema),
+    verifyCategoryIdDataMatchesRoute,
+    verifyNameIsUnique,
+    update
+  ], // Run validation checks before calling update
+  patch: [
+    categoryExists,
+    verifyIfMatch("category"),
+    applyPatch("category"),
+    validateBody(categorySchema),
+    verifyCategoryIdDataMatchesRoute,
+    verifyNameIsUnique,
+    update
+  ], // Apply the patch, then run the same checks as a full update
+  delete: [
+    categoryExists,
+    verifyIfMatch("category"),
+    verifyCategoryIsEmpty,
+    destroy
+  ], // Run validation checks before calling delete
+};
@@ -0,0 +1,19 @@
+const router = require("express").Router();
+const controller = require("./categories.controller");
+const methodNotAllowed = require("../errors/methodNotAllowed");
+const { authorize } = require("../auth/permissions");
+
+// Routes for /categories/:categoryId
+router.route("/:categoryId")
+  .get(controller.read)
+  .put(authorize("categories:update"), controller.update)
+  .patch(authorize("categories:update"), controller.patch)
+  .delete(authorize("categories:delete"), controller.delete)
+  .all(methodNotAllowed);
+// Routes for /categories
+router.route("/")
+  .get(controller.list)
+  .post(authorize("categories:create"), controller.create)
+  .all(methodNotAllowed);
+
+module.exports = router;
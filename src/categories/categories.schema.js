@@ -0,0 +1,23 @@
+// The shape of the data in a request to create or update a category
+const categorySchema = {
+  type: "object",
+  errorMessage: "Request body must have a data object",
+  required: ["name", "displayOrder"],
+  properties: {
+    name: {
+      type: "string",
+      minLength: 1,
+      errorMessage: "Category must include a name",
+    },
+    displayOrder: {
+      type: "integer",
+      minimum: 0,
+      errorMessage: {
+        required: "Category must include a displayOrder",
+        default: "Category must have a displayOrder that is an integer of at least 0",
+      },
+    },
+  },
+};
+
+module.exports = { categorySchema };
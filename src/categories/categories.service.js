@@ -0,0 +1,24 @@
+const path = require("path");
+const makeStore = require("../db/makeStore");
+
+// The existing categories data is the initial set of categories in the store
+const categories = require(path.resolve("src/data/categories-data"));
+
+const store = makeStore("categories", categories);
+
+// Sort categories the way the menu shows them: by display order, then by name
+function compareCategories(a, b) {
+  return a.displayOrder - b.displayOrder || a.name.localeCompare(b.name);
+}
+
+// Find the category with a matching name, ignoring case
+function findByName(name) {
+  const normalized = String(name).trim().toLowerCase();
+  return store.list().find((category) => category.name.toLowerCase() === normalized);
+}
+
+module.exports = {
+  ...store,
+  compareCategories,
+  findByName,
+};
@@ -0,0 +1,92 @@
+const path = require("path");
+
+// Application settings, read from the environment with sensible defaults
+const {
+  DATA_STORE = "memory",
+  DATA_DIR = "data",
+  TAX_RATE = "0.08",
+  DELIVERY_FEE = "5",
+  AUTH_SECRET,
+  TOKEN_TTL_SECONDS = "86400",
+  ADMIN_EMAIL,
+  ADMIN_PASSWORD,
+  PAYMENT_GATEWAY = "mock",
+  CURRENCY = "USD",
+  TIME_ZONE = "UTC",
+  OPENING_HOURS,
+  SCHEDULE_LEAD_MINUTES = "45",
+  SCHEDULE_MAX_DAYS = "7",
+  SCHEDULER_INTERVAL_SECONDS = "30",
+  PHONE_REGION = "US",
+  DEFAULT_PREP_MINUTES = "15",
+  QUEUE_MINUTES_PER_ORDER = "5",
+  DEFAULT_DELIVERY_MINUTES = "30",
+  WEBHOOK_MAX_ATTEMPTS = "5",
+  WEBHOOK_RETRY_BASE_SECONDS = "30",
+  WEBHOOK_TIMEOUT_SECONDS = "10",
+  NODE_ENV,
+} = process.env;
+
+// Development and the tests can sign tokens with a secret everyone knows.
+// Anywhere else that would let anyone forge a token, so the app refuses to start without one.
+const DEVELOPMENT_AUTH_SECRET = "development-secret";
+if (!AUTH_SECRET && !["development", "test"].includes(NODE_ENV)) {
+  throw new Error("AUTH_SECRET must be set. Only a NODE_ENV of development or test can run without one.");
+}
+
+// Open from 11am to 10pm every day unless OPENING_HOURS says otherwise
+const DEFAULT_OPENING_HOURS = {
+  mon: ["11:00-22:00"],
+  tue: ["11:00-22:00"],
+  wed: ["11:00-22:00"],
+  thu: ["11:00-22:00"],
+  fri: ["11:00-22:00"],
+  sat: ["11:00-22:00"],
+  sun: ["11:00-22:00"],
+};
+
+module.exports = {
+  // Which persistence backend to use: "memory" or "file"
+  dataStore: DATA_STORE,
+  // Directory the file backend writes its JSON files to
+  dataDir: path.resolve(DATA_DIR),
+  // Sales tax applied to an order's subtotal, as a fraction (0.08 is 8%)
+  taxRate: Number(TAX_RATE),
+  // Flat fee added to every order for delivery
+  deliveryFee: Number(DELIVERY_FEE),
+  // Secret used to sign login tokens, which must be set outside of development and the tests
+  authSecret: AUTH_SECRET || DEVELOPMENT_AUTH_SECRET,
+  // How long a login token is valid for
+  tokenTtlSeconds: Number(TOKEN_TTL_SECONDS),
+  // Credentials for an admin account created at startup, so there is always someone who can manage staff
+  adminEmail: ADMIN_EMAIL,
+  adminPassword: ADMIN_PASSWORD,
+  // Which payment gateway takes payments, see src/payments/gateways
+  paymentGateway: PAYMENT_GATEWAY,
+  // Currency all prices are in
+  currency: CURRENCY,
+  // Time zone the opening hours are in, e.g. America/New_York
+  timeZone: TIME_ZONE,
+  // Opening hours for each day as JSON, e.g. {"mon":["11:00-14:00","17:00-22:00"],"sun":[]}
+  openingHours: OPENING_HOURS ? JSON.parse(OPENING_HOURS) : DEFAULT_OPENING_HOURS,
+  // How far ahead a scheduled order must be placed. The kitchen gets the order this long before it is due.
+  scheduleLeadMinutes: Number(SCHEDULE_LEAD_MINUTES),
+  // How far ahead an order can be scheduled
+  scheduleMaxDays: Number(SCHEDULE_MAX_DAYS),
+  // How often the scheduler checks for scheduled orders that are due
+  schedulerIntervalSeconds: Number(SCHEDULER_INTERVAL_SECONDS),
+  // How long a dish takes to make when it does not say
+  defaultPrepMinutes: Number(DEFAULT_PREP_MINUTES),
+  // How much each order already in the kitchen delays a new one
+  queueMinutesPerOrder: Number(QUEUE_MINUTES_PER_ORDER),
+  // How long delivery takes for orders placed before delivery zones
+  defaultDeliveryMinutes: Number(DEFAULT_DELIVERY_MINUTES),
+  // How many times a webhook delivery is tried before it is given up on
+  webhookMaxAttempts: Number(WEBHOOK_MAX_ATTEMPTS),
+  // How long to wait before the first retry of a webhook delivery. Each retry after that waits twice as long.
+  webhookRetryBaseSeconds: Number(WEBHOOK_RETRY_BASE_SECONDS),
+  // How long to wait for a webhook receiver to respond
+  webhookTimeoutSeconds: Number(WEBHOOK_TIMEOUT_SECONDS),
+  // Region phone numbers without a country code are in, see REGIONS in src/validation/phoneNumber.js
+  phoneRegion: PHONE_REGION.toUpperCase(),
+};
@@ -0,0 +1,22 @@
+module.exports = [
+  {
+    id: "991b8dce7046ef210b878d3416e59d87",
+    name: "Starters",
+    displayOrder: 1,
+  },
+  {
+    id: "b5ad13b0e16462475e9ebd7c3f01aa32",
+    name: "Mains",
+    displayOrder: 2,
+  },
+  {
+    id: "33d31e499aebaa98c18b50cafbdff848",
+    name: "Desserts",
+    displayOrder: 3,
+  },
+  {
+    id: "5a1a1c9a511d8361fdb844fb0211f419",
+    name: "Drinks",
+    displayOrder: 4,
+  },
+];
@@ -0,0 +1,23 @@
+module.exports = [
+  {
+    id: "5136d289c41cd48900f99f6076f15b58",
+    name: "Washington, DC",
+    postalCodes: ["20001", "20004", "20005", "20500"],
+    deliveryFee: 5,
+    estimatedMinutes: 40,
+  },
+  {
+    id: "a06a04ca48b8a403d1c1458a33103cda",
+    name: "Albuquerque",
+    postalCodes: ["87102", "87104", "87106"],
+    deliveryFee: 5,
+    estimatedMinutes: 35,
+  },
+  {
+    id: "f5e94e9e5c78c36e91407df80787b227",
+    name: "Gulfport",
+    postalCodes: ["39501", "39503", "39507"],
+    deliveryFee: 7,
+    estimatedMinutes: 50,
+  },
+];
@@ -4,6 +4,10 @@ module.exports = [
     name: "Broccoli and beetroot stir fry",
     description: "Crunchy stir fry featuring fresh broccoli and beetroot",
     price: 15,
+    prepMinutes: 12,
+    allergens: ["soy"],
+    dietaryTags: ["vegan"],
+    categoryId: "b5ad13b0e16462475e9ebd7c3f01aa32",
     image_url:
       "https://images.pexels.com/photos/4144234/pexels-photo-4144234.jpeg?h=530&w=350",
   },
@@ -12,6 +16,10 @@ module.exports = [
     name: "Falafel and tahini bagel",
     description: "A warm bagel filled with falafel and tahini",
     price: 6,
+    prepMinutes: 8,
+    allergens: ["gluten", "sesame"],
+    dietaryTags: ["vegan"],
+    categoryId: "b5ad13b0e16462475e9ebd7c3f01aa32",
     image_url:
       "https://images.pexels.com/photos/4560606/pexels-photo-4560606.jpeg?h=530&w=350",
   },
@@ -21,6 +29,10 @@ module.exports = [
     description:
       "Spaghetti topped with a blend of dolcelatte and fresh chickpeas",
     price: 19,
+    prepMinutes: 15,
+    allergens: ["dairy", "gluten"],
+    dietaryTags: ["vegetarian"],
+    categoryId: "b5ad13b0e16462475e9ebd7c3f01aa32",
     image_url:
       "https://images.pexels.com/photos/1279330/pexels-photo-1279330.jpeg?h=530&w=350",
   },
@@ -2,8 +2,13 @@ module.exports = [
   {
     id: "f6069a542257054114138301947672ba",
     deliverTo: "1600 Pennsylvania Avenue NW, Washington, DC 20500",
-    mobileNumber: "(202) 456-1111",
+    mobileNumber: "+12024561111",
     status: "out-for-delivery",
+    statusHistory: [
+      { status: "pending", changedAt: "2020-09-01T17:02:00.000Z" },
+      { status: "preparing", changedAt: "2020-09-01T17:05:00.000Z" },
+      { status: "out-for-delivery", changedAt: "2020-09-01T17:21:00.000Z" },
+    ],
     dishes: [
       {
         id: "90c3d873684bf381dfab29034b5bba73",
@@ -15,12 +20,34 @@ module.exports = [
         quantity: 1,
       },
     ],
+    pricing: {
+      lineItems: [
+        {
+          dishId: "90c3d873684bf381dfab29034b5bba73",
+          name: "Falafel and tahini bagel",
+          unitPrice: 6,
+          quantity: 1,
+          lineTotal: 6,
+        },
+      ],
+      subtotal: 6,
+      taxRate: 0.08,
+      tax: 0.48,
+      deliveryFee: 5,
+      total: 11.48,
+    },
   },
   {
     id: "5a887d326e83d3c5bdcbee398ea32aff",
     deliverTo: "308 Negra Arroyo Lane, Albuquerque, NM",
-    mobileNumber: "(505) 143-3369",
+    mobileNumber: "+15051433369",
     status: "delivered",
+    statusHistory: [
+      { status: "pending", changedAt: "2020-09-01T18:10:00.000Z" },
+      { status: "preparing", changedAt: "2020-09-01T18:12:00.000Z" },
+      { status: "out-for-delivery", changedAt: "2020-09-01T18:34:00.000Z" },
+      { status: "delivered", changedAt: "2020-09-01T18:51:00.000Z" },
+    ],
     dishes: [
       {
         id: "d351db2b49b69679504652ea1cf38241",
@@ -33,12 +60,31 @@ module.exports = [
         quantity: 2,
       },
     ],
+    pricing: {
+      lineItems: [
+        {
+          dishId: "d351db2b49b69679504652ea1cf38241",
+          name: "Dolcelatte and chickpea spaghetti",
+          unitPrice: 19,
+          quantity: 2,
+          lineTotal: 38,
+        },
+      ],
+      subtotal: 38,
+      taxRate: 0.08,
+      tax: 3.04,
+      deliveryFee: 5,
+      total: 46.04,
+    },
   },
   {
     id: "5a887d326e83c3c56dcbce498ea35aef",
     deliverTo: "308 Negra Arroyo Lane, Albuquerque, NM",
-    mobileNumber: "(505) 143-3369",
+    mobileNumber: "+15051433369",
     status: "pending",
+    statusHistory: [
+      { status: "pending", changedAt: "2020-09-02T12:45:00.000Z" },
+    ],
     dishes: [
       {
         id: "d351db2b49b69679504652ea1cf38241",
@@ -51,5 +97,21 @@ module.exports = [
         quantity: 2,
       },
     ],
+    pricing: {
+      lineItems: [
+        {
+          dishId: "d351db2b49b69679504652ea1cf38241",
+          name: "Dolcelatte and chickpea spaghetti",
+          unitPrice: 19,
+          quantity: 2,
+          lineTotal: 38,
+        },
+      ],
+      subtotal: 38,
+      taxRate: 0.08,
+      tax: 3.04,
+      deliveryFee: 5,
+      total: 46.04,
+    },
   },
 ];
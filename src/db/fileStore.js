@@ -0,0 +1,47 @@
+const fs = require("fs");
+const path = require("path");
+const createMemoryStore = require("./memoryStore");
+
+// Load the records saved in filePath, falling back to a copy of the fixtures on first run
+function loadRecords(filePath, fixtures) {
+  if (fs.existsSync(filePath)) {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  }
+  return JSON.parse(JSON.stringify(fixtures));
+}
+
+// Write the records to filePath.
+// Writing to a temporary file first means a crash never leaves a half-written file behind.
+function saveRecords(filePath, records) {
+  const tempPath = `${filePath}.tmp`;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(records, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+// Create a store that keeps its records in memory and saves them to a JSON file after every change
+function createFileStore(filePath, fixtures) {
+  const records = loadRecords(filePath, fixtures);
+  const store = createMemoryStore(records);
+
+  // Save the fixtures right away so the file exists from the first run
+  if (!fs.existsSync(filePath)) saveRecords(filePath, records);
+
+  // Wrap a store method so the records are saved after it runs
+  function persisted(method) {
+    return function (...args) {
+      const result = method(...args);
+      saveRecords(filePath, records);
+      return result;
+    };
+  }
+
+  return {
+    ...store,
+    create: persisted(store.create),
+    update: persisted(store.update),
+    delete: persisted(store.delete),
+  };
+}
+
+module.exports = createFileStore;
@@ -0,0 +1,19 @@
+const path = require("path");
+const config = require("../config");
+const createMemoryStore = require("./memoryStore");
+const createFileStore = require("./fileStore");
+
+// Create the store for a collection using the backend picked in config.
+// The fixtures are the records the collection starts out with.
+function makeStore(name, fixtures) {
+  switch (config.dataStore) {
+    case "memory":
+      return createMemoryStore(fixtures);
+    case "file":
+      return createFileStore(path.join(config.dataDir, `${name}.json`), fixtures);
+    default:
+      throw new Error(`Unknown DATA_STORE "${config.dataStore}". Use "memory" or "file".`);
+  }
+}
+
+module.exports = makeStore;
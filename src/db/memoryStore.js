@@ -0,0 +1,43 @@
+const versionOf = require("./version");
+
+// Create a store that keeps its records in the given array.
+// The array is used as-is, so anything holding a reference to it sees every change.
+// Every record carries a version that starts at 1 and goes up by one with each update.
+function createMemoryStore(records) {
+  // Return every record in the store
+  function list() {
+    return records.slice();
+  }
+
+  // Return the record with a matching id, or undefined if there is none
+  function read(id) {
+    return records.find((record) => record.id === id);
+  }
+
+  // Add a new record to the store
+  function create(record) {
+    const created = { ...record, version: 1 };
+    records.push(created);
+    return created;
+  }
+
+  // Replace the stored record that has the same id as the given record
+  function update(record) {
+    const index = records.findIndex((stored) => stored.id === record.id);
+    if (index === -1) return undefined;
+    const updated = { ...record, version: versionOf(records[index]) + 1 };
+    records[index] = updated;
+    return updated;
+  }
+
+  // Remove the record with a matching id, returning the removed record
+  function destroy(id) {
+    const index = records.findIndex((record) => record.id === id);
+    if (index === -1) return undefined;
+    return records.splice(index, 1)[0];
+  }
+
+  return { list, read, create, update, delete: destroy };
+}
+
+module.exports = createMemoryStore;
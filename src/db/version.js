@@ -0,0 +1,7 @@
+// Return the version of a stored record.
+// Records saved before versions were tracked count as the first version.
+function versionOf(record) {
+  return record.version || 1;
+}
+
+module.exports = versionOf;
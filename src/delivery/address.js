@@ -0,0 +1,42 @@
+// Parse a one line US street address such as "1600 Pennsylvania Avenue NW, Washington, DC 20500"
+// into structured fields. A unit can come between the street and the city:
+// "221 Baker St, Apt 2, Albuquerque, NM 87104".
+
+// The state and ZIP code at the end of an address, e.g. "DC 20500" or "nm 87104-1234"
+const STATE_AND_ZIP = /^([A-Za-z]{2})\s+(\d{5})(?:-(\d{4}))?$/;
+
+// Collapse runs of whitespace and trim, so the same address is always written the same way
+function tidy(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+// Parse an address, returning undefined if it is not in a form we can deliver to
+function parseAddress(text) {
+  const parts = String(text).split(",").map(tidy).filter(Boolean);
+  if (parts.length < 3 || parts.length > 4) return undefined;
+
+  const match = STATE_AND_ZIP.exec(parts[parts.length - 1]);
+  if (!match) return undefined;
+
+  const [line1, ...rest] = parts.slice(0, -1);
+  const city = rest.pop();
+  const line2 = rest[0];
+  // The street needs a number to find the door
+  if (!/^\d+[A-Za-z]?\s+\S/.test(line1)) return undefined;
+
+  return {
+    line1,
+    ...(line2 && { line2 }),
+    city,
+    region: match[1].toUpperCase(),
+    postalCode: match[2],
+    country: "US",
+  };
+}
+
+// Write a parsed address back out as one line
+function formatAddress({ line1, line2, city, region, postalCode }) {
+  return [line1, line2, city, `${region} ${postalCode}`].filter(Boolean).join(", ");
+}
+
+module.exports = { parseAddress, formatAddress };
@@ -0,0 +1,147 @@
+// Use the delivery zones store for reading and saving zones
+const service = require("./deliveryZones.service");
+
+// Use this function to assign ID's when necessary
+const nextId = require("../utils/nextId");
+
+// Use these functions to sort and paginate lists
+const { listQuery, sendPage } = require("../utils/listQuery");
+
+// Use these functions for ETags and conditional requests
+const { sendRecord, verifyIfMatch } = require("../utils/etag");
+
+// Use this function to apply PATCH requests
+const { applyPatch } = require("../utils/patch");
+
+// Use the delivery zone schema to validate request data
+const validateBody = require("../validation/validateBody");
+const { deliveryZoneSchema } = require("./deliveryZones.schema");
+
+// Fields a list of delivery zones can be sorted by
+const SORT_FIELDS = {
+  id: (zone) => zone.id,
+  name: (zone) => zone.name,
+  deliveryFee: (zone) => zone.deliveryFee,
+  estimatedMinutes: (zone) => zone.estimatedMinutes,
+};
+
+////////////////////////////////////////////////////////////////////////
+// Validation Middleware
+////////////////////////////////////////////////////////////////////////
+
+// Verify that a zone in the store has an id that matches the zoneId in the request parameter
+function zoneExists(req, res, next) {
+  const { zoneId } = req.params;
+  const foundZone = service.read(zoneId);
+  if (foundZone) {
+    // Store the matching zone in res.locals to use in later functions in the route chain
+    res.locals.zone = foundZone;
+    return next();
+  }
+
+  next({
+    status: 404,
+    message: `Delivery zone does not exist: ${zoneId}.`,
+  });
+}
+
+// Verify that the zone id in the request body matches the zoneId in the request parameter
+function verifyZoneIdDataMatchesRoute(req, res, next) {
+  const zoneId = res.locals.zone.id;
+  const { data: { id } } = req.body;
+  if (!id || id === zoneId) return next();
+
+  next({
+    status: 400,
+    message: `Delivery zone id does not match route id. Zone: ${id}, Route: ${zoneId}`,
+  });
+}
+
+// Verify that the zone covers somewhere, with postal codes or a polygon
+function verifyZoneCoversSomewhere(req, res, next) {
+  const { data: { postalCodes = [], polygon } } = req.body;
+  if (postalCodes.length || polygon) return next();
+
+  next({
+    status: 400,
+    message: "Delivery zone must include postalCodes or a polygon",
+  });
+}
+
+////////////////////////////////////////////////////////////////////////
+// Route Middleware
+////////////////////////////////////////////////////////////////////////
+
+// Request: GET /delivery-zones
+function list(req, res) {
+  sendPage(req, res, service.list());
+}
+
+// Request: POST /delivery-zones
+function create(req, res) {
+  const { data: { name, postalCodes, polygon, deliveryFee, estimatedMinutes } = {} } = req.body;
+  const createdZone = service.create({
+    id: nextId(),
+    name,
+    postalCodes,
+    polygon,
+    deliveryFee,
+    estimatedMinutes,
+  });
+  sendRecord(res, createdZone, 201);
+}
+
+// Request: GET /delivery-zones/:zoneId
+function read(req, res) {
+  sendRecord(res, res.locals.zone);
+}
+
+// Request: PUT /delivery-zones/:zoneId and PATCH /delivery-zones/:zoneId
+function update(req, res) {
+  const { data: { name, postalCodes, polygon, deliveryFee, estimatedMinutes } = {} } = req.body;
+  const updatedZone = service.update({
+    ...res.locals.zone,
+    name,
+    postalCodes,
+    polygon,
+    deliveryFee,
+    estimatedMinutes,
+  });
+  sendRecord(res, updatedZone);
+}
+
+// Request: DELETE /delivery-zones/:zoneId
+function destroy(req, res) {
+  // Orders keep a copy of the zone they were placed in, so nothing else needs to change
+  service.delete(res.locals.zone.id);
+  res.sendStatus(204);
+}
+
+// Export route middleware for the router to call
+module.exports = {
+  list: [listQuery(SORT_FIELDS, "name"), list],
+  create: [
+    validateBody(deliveryZoneSchema),
+    verifyZoneCoversSomewhere,
+    create
+  ], // Run validation checks before calling create
+  read: [zoneExists, read],
+  update: [
+    zoneExists,
+    verifyIfMatch("zone"),
+    validateBody(deliveryZoneSchema),
+    verifyZoneIdDataMatchesRoute,
+    verifyZoneCoversSomewhere,
+    update
+  ], // Run validation checks before calling update
+  patch: [
+    zoneExists,
+    verifyIfMatch("zone"),
+    applyPatch("zone"),
+    validateBody(deliveryZoneSchema),
+    verifyZoneIdDataMatchesRoute,
+    verifyZoneCoversSomewhere,
+    update
+  ], // Apply the patch, then run the same checks as a full update
+  delete: [zoneExists, verifyIfMatch("zone"), destroy],
+};
@@ -0,0 +1,19 @@
+const router = require("express").Router();
+const controller = require("./deliveryZones.controller");
+const methodNotAllowed = require("../errors/methodNotAllowed");
+const { authorize } = require("../auth/permissions");
+
+// Routes for /delivery-zones/:zoneId
+router.route("/:zoneId")
+  .get(controller.read)
+  .put(authorize("deliveryZones:update"), controller.update)
+  .patch(authorize("deliveryZones:update"), controller.patch)
+  .delete(authorize("deliveryZones:delete"), controller.delete)
+  .all(methodNotAllowed);
+// Routes for /delivery-zones
+router.route("/")
+  .get(controller.list)
+  .post(authorize("deliveryZones:create"), controller.create)
+  .all(methodNotAllowed);
+
+module.exports = router;
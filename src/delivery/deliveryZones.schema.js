@@ -0,0 +1,55 @@
+// The shape of the data in a request to create or update a delivery zone
+const deliveryZoneSchema = {
+  type: "object",
+  errorMessage: "Request body must have a data object",
+  required: ["name", "deliveryFee", "estimatedMinutes"],
+  properties: {
+    name: {
+      type: "string",
+      minLength: 1,
+      errorMessage: "Delivery zone must include a name",
+    },
+    postalCodes: {
+      type: "array",
+      errorMessage: "Delivery zone postalCodes must be an array",
+      items: {
+        type: "string",
+        pattern: "^\\d{5}$",
+        errorMessage: "postal code {index} must be a 5 digit ZIP code",
+      },
+    },
+    polygon: {
+      type: "array",
+      minItems: 3,
+      errorMessage: "Delivery zone polygon must be an array of at least 3 points",
+      items: {
+        type: "array",
+        minItems: 2,
+        maxItems: 2,
+        errorMessage: "polygon point {index} must be a [longitude, latitude] pair",
+        items: {
+          type: "number",
+          errorMessage: "polygon point coordinates must be numbers",
+        },
+      },
+    },
+    deliveryFee: {
+      type: "number",
+      minimum: 0,
+      errorMessage: {
+        required: "Delivery zone must include a deliveryFee",
+        default: "Delivery zone must have a deliveryFee that is a number of at least 0",
+      },
+    },
+    estimatedMinutes: {
+      type: "integer",
+      exclusiveMinimum: 0,
+      errorMessage: {
+        required: "Delivery zone must include estimatedMinutes",
+        default: "Delivery zone must have estimatedMinutes that is an integer greater than 0",
+      },
+    },
+  },
+};
+
+module.exports = { deliveryZoneSchema };
@@ -0,0 +1,18 @@
+const path = require("path");
+const makeStore = require("../db/makeStore");
+const { findZone } = require("./zones");
+
+// The existing delivery zones data is the initial set of zones in the store
+const deliveryZones = require(path.resolve("src/data/delivery-zones-data"));
+
+const store = makeStore("delivery-zones", deliveryZones);
+
+// Find the zone that delivers to an address, or undefined if none does
+function findForAddress(address, location) {
+  return findZone(store.list(), address, location);
+}
+
+module.exports = {
+  ...store,
+  findForAddress,
+};
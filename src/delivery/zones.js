@@ -0,0 +1,33 @@
+// Matching addresses to delivery zones.
+// A zone covers a list of postal codes, an area on the map, or both:
+//
+//   { id, name, postalCodes: ["87104"], polygon: [[lng, lat], ...], deliveryFee, estimatedMinutes }
+//
+// The polygon can only be used when the order includes the coordinates of the address.
+
+// Check whether a point is inside a polygon, by counting how many edges a ray from the point crosses
+function containsPoint(polygon, { lat, lng }) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    const crosses = (yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+// Check whether a zone covers an address, and its coordinates if they are known
+function coversAddress(zone, address, location) {
+  if ((zone.postalCodes || []).includes(address.postalCode)) return true;
+  return Boolean(location && zone.polygon && containsPoint(zone.polygon, location));
+}
+
+// Find the zone that delivers to an address. When zones overlap, the cheapest delivery wins.
+function findZone(zones, address, location) {
+  return zones
+    .filter((zone) => coversAddress(zone, address, location))
+    .sort((a, b) => a.deliveryFee - b.deliveryFee || a.name.localeCompare(b.name))[0];
+}
+
+module.exports = { containsPoint, findZone };
@@ -0,0 +1,24 @@
+const { hasStockFor } = require("../inventory/stock");
+
+// Explain why a dish cannot be ordered right now, or return undefined if it can.
+// A dish can be archived, marked as sold out, only offered between availableFrom and availableUntil,
+// or have run out of one of its ingredients.
+function unavailableReason(dish, now = new Date()) {
+  if (dish.archivedAt) return "is no longer on the menu";
+  if (dish.available === false) return "is sold out";
+  if (dish.availableFrom && new Date(dish.availableFrom) > now) {
+    return `is not available until ${dish.availableFrom}`;
+  }
+  if (dish.availableUntil && new Date(dish.availableUntil) <= now) {
+    return `stopped being available at ${dish.availableUntil}`;
+  }
+  if (!hasStockFor(dish)) return "is out of stock";
+  return undefined;
+}
+
+// Check whether a dish can be ordered right now
+function isAvailable(dish, now = new Date()) {
+  return unavailableReason(dish, now) === undefined;
+}
+
+module.exports = { unavailableReason, isAvailable };
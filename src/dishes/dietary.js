@@ -0,0 +1,48 @@
+// The controlled vocabulary for the allergens and dietary tags a dish can carry
+
+// Allergens a dish can contain
+const ALLERGENS = [
+  "celery",
+  "crustaceans",
+  "dairy",
+  "eggs",
+  "fish",
+  "gluten",
+  "lupin",
+  "molluscs",
+  "mustard",
+  "nuts",
+  "peanuts",
+  "sesame",
+  "soy",
+  "sulphites",
+];
+
+// Diets a dish can be suitable for
+const DIETS = ["vegan", "vegetarian", "pescatarian", "halal", "kosher"];
+
+// Diets that a dish suitable for another diet is also suitable for, e.g. a vegan dish is vegetarian
+const IMPLIED_DIETS = {
+  vegan: ["vegetarian", "pescatarian"],
+  vegetarian: ["pescatarian"],
+};
+
+// Return the values in a comma separated list that are not in the vocabulary
+function unknownTerms(list, vocabulary) {
+  return String(list).split(",").filter((term) => !vocabulary.includes(term));
+}
+
+// Check that a dish contains none of the allergens.
+// A dish without allergen information might contain anything, so it never passes.
+function isFreeOf(dish, allergens) {
+  return Array.isArray(dish.allergens) && !allergens.some((allergen) => dish.allergens.includes(allergen));
+}
+
+// Check that a dish is suitable for every one of the diets
+function suitsDiets(dish, diets) {
+  const tags = dish.dietaryTags || [];
+  const suitable = new Set(tags.flatMap((tag) => [tag, ...(IMPLIED_DIETS[tag] || [])]));
+  return diets.every((diet) => suitable.has(diet));
+}
+
+module.exports = { ALLERGENS, DIETS, unknownTerms, isFreeOf, suitsDiets };
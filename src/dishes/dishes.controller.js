@@ -1,73 +1,99 @@
-const path = require("path");
+// Use the dishes store for reading and saving dishes
+const service = require("./dishes.service");
 
-// Use the existing dishes data
-const dishes = require(path.resolve("src/data/dishes-data"));
+// Use the categories store to check the category of a dish
+const categoriesService = require("../categories/categories.service");
+
+// Use the ingredients store to check the ingredients of a dish
+const ingredientsService = require("../inventory/ingredients.service");
+
+// Publish changes to dishes for anyone listening
+const dishesEvents = require("./dishes.events");
+const { DISH_EVENTS } = dishesEvents;
 
 // Use this function to assign ID's when necessary
 const nextId = require("../utils/nextId");
 
+// Use these functions to sort and paginate lists
+const { listQuery, sendPage } = require("../utils/listQuery");
+
+// Use these functions for ETags and conditional requests
+const { sendRecord, verifyIfMatch } = require("../utils/etag");
+
+// Use this function to apply PATCH requests
+const { applyPatch } = require("../utils/patch");
+
+// Use the dish schema to validate request data
+const validateBody = require("../validation/validateBody");
+const { dishSchema } = require("./dishes.schema");
+
+// Use this function to check whether a dish can be ordered
+const { isAvailable } = require("./availability");
+
+// Use this function to check the modifier groups of a dish
+const { modifierGroupErrors } = require("./modifiers");
+
+// Use the allergen and diet vocabulary to filter dishes
+const { ALLERGENS, DIETS, unknownTerms, isFreeOf, suitsDiets } = require("./dietary");
+
+// Fields a list of dishes can be sorted by
+const SORT_FIELDS = {
+  id: (dish) => dish.id,
+  name: (dish) => dish.name,
+  price: (dish) => dish.price,
+};
+
 ////////////////////////////////////////////////////////////////////////
 // Validation Middleware
 ////////////////////////////////////////////////////////////////////////
 
-// Validate the the request body contains a specific property
-function requestDataHasProperty(propertyName) {
-  return function (req, res, next) {
-    // Get the body data from the request
-    const { data = {} } = req.body;
-    // Make sure the property exists and is not empty
-    if (data[propertyName])    
-      return next(); // Data is valid, go to the next function
-
-    // Invalid data, return an error
-    next({
+// Validate the filter query parameters for listing dishes
+function validateListFilters(req, res, next) {
+  const { minPrice, maxPrice, available, includeArchived, excludeAllergens, diet } = req.query;
+  // Make sure any price bounds are numbers
+  const invalid = [["minPrice", minPrice], ["maxPrice", maxPrice]]
+    .find(([, value]) => value !== undefined && (value === "" || isNaN(Number(value))));
+  if (invalid) {
+    return next({
       status: 400,
-      message: `Dish must include a ${propertyName}`
+      message: `${invalid[0]} must be a number`
     });
-  };
-}
-
-// Validate that the price property is a number and above 0
-function priceDataIsValid(req, res, next) {
-  const { data: { price }  = {} } = req.body;
-  // Test for property 'price' is a number and greater than 0
-  if (price <= 0 || !Number.isInteger(price)) {
+  }
+  // Make sure allergens and diets are from the vocabulary
+  const unknownAllergens = excludeAllergens === undefined ? [] : unknownTerms(excludeAllergens, ALLERGENS);
+  if (unknownAllergens.length) {
     return next({
       status: 400,
-      message: "Dish must have a price that is an integer greater than 0"
+      message: `Unknown allergens: ${unknownAllergens.join(", ")}. Allergens must be ${ALLERGENS.join(", ")}`
     });
   }
-
-  // Price is valid, go to the next function
-  next();
-}
-
-// Validate that the image_url property is valid
-function imageUrlDataIsValid(req, res, next) {
-  const { data: { image_url }  = {} } = req.body;
-  // Test property 'image_url' is a valid url
-  try {
-    // Thorws an error on malformed url
-    let url = new URL(image_url);
-  }
-  catch (error) {
+  const unknownDiets = diet === undefined ? [] : unknownTerms(diet, DIETS);
+  if (unknownDiets.length) {
     return next({
       status: 400,
-      message: "Malformed URL in property 'image_url'."
+      message: `Unknown diets: ${unknownDiets.join(", ")}. Diets must be ${DIETS.join(", ")}`
     });
   }
-  finally {
-    // Url is valid, go to the next function
-    next();
+  // Make sure any flags are true or false
+  const invalidFlag = [["available", available], ["includeArchived", includeArchived]]
+    .find(([, value]) => value !== undefined && value !== "true" && value !== "false");
+  if (invalidFlag) {
+    return next({
+      status: 400,
+      message: `${invalidFlag[0]} must be true or false`
+    });
   }
+
+  // Filters are valid, go to the next function
+  next();
 }
 
-// Verify that a dish in the dishes array has an id that matches the dishId in the request parameter
+// Verify that a dish in the store has an id that matches the dishId in the request parameter
 function dishExists(req, res, next) {
   // Get the dishId from request parameters
   const { dishId } = req.params;
-  // Use find to set the dish from the dishes array matching the dishId
-  const foundDish = dishes.find(dish => dish.id === dishId);
+  // Read the dish matching the dishId from the store
+  const foundDish = service.read(dishId);
   if (foundDish) { // Matching dish found
     // Store the matching dish object in res.locals to use in later functions in the route chain
     res.locals.dish = foundDish;
@@ -100,20 +126,109 @@ function verifyDishIdDataMatchesRoute(req, res, next) {
   });
 }
 
+// Verify that the dish has not been archived, because archived dishes are kept only for past orders
+function verifyDishIsNotArchived(req, res, next) {
+  const { id, archivedAt } = res.locals.dish;
+  if (!archivedAt) return next();
+
+  next({
+    status: 409,
+    message: `Dish ${id} was archived at ${archivedAt} and cannot be changed`,
+  });
+}
+
+// Verify that the category in the request body, if any, exists
+function verifyCategoryExists(req, res, next) {
+  const { data: { categoryId } } = req.body;
+  if (categoryId === undefined || categoriesService.read(categoryId)) return next();
+
+  next({
+    status: 400,
+    message: `Category does not exist: ${categoryId}`,
+  });
+}
+
+// Verify that every ingredient in the request body exists
+function verifyIngredientsExist(req, res, next) {
+  const { data: { ingredients = [] } } = req.body;
+  const index = ingredients.findIndex(({ ingredientId }) => !ingredientsService.read(ingredientId));
+  if (index === -1) return next();
+
+  next({
+    status: 400,
+    message: `ingredient ${index} does not exist: ${ingredients[index].ingredientId}`,
+  });
+}
+
+// Verify that the modifier groups in the request body make sense together
+function verifyModifierGroups(req, res, next) {
+  const { data: { modifierGroups } } = req.body;
+  const errors = modifierGroupErrors(modifierGroups);
+  if (!errors.length) return next();
+
+  next({
+    status: 400,
+    message: errors.join("; "),
+  });
+}
+
+// Verify that the availability window, if any, ends after it starts
+function verifyAvailabilityWindow(req, res, next) {
+  const { data: { availableFrom, availableUntil } } = req.body;
+  if (!availableFrom || !availableUntil || new Date(availableUntil) > new Date(availableFrom)) {
+    return next();
+  }
+
+  next({
+    status: 400,
+    message: "Dish availableUntil must be after availableFrom",
+  });
+}
+
 ////////////////////////////////////////////////////////////////////////
 // Route Middleware
 ////////////////////////////////////////////////////////////////////////
 
 // Request: GET /dishes
 function list(req, res) {
-  // Respond with the entire dishes array
-  res.json({ data: dishes });
+  // Get the filters from the query string
+  const { name, minPrice, maxPrice, categoryId, available, includeArchived, excludeAllergens, diet } = req.query;
+  // Keep the dishes that match every filter given, leaving out archived dishes unless asked for
+  const dishes = service.list().filter((dish) =>
+    (includeArchived === "true" || !dish.archivedAt) &&
+    (categoryId === undefined || dish.categoryId === categoryId) &&
+    (excludeAllergens === undefined || isFreeOf(dish, String(excludeAllergens).split(","))) &&
+    (diet === undefined || suitsDiets(dish, String(diet).split(","))) &&
+    (available === undefined || isAvailable(dish) === (available === "true")) &&
+    (name === undefined || dish.name.toLowerCase().includes(String(name).toLowerCase())) &&
+    (minPrice === undefined || dish.price >= Number(minPrice)) &&
+    (maxPrice === undefined || dish.price <= Number(maxPrice))
+  );
+  // Respond with the sorted page of matching dishes
+  sendPage(req, res, dishes);
 }
 
 // Request: POST /dishes
 function create(req, res) {
   // Get the data from the request body
-  const { data: { name, description, price, image_url } = {} } = req.body;
+  const {
+    data: {
+      name,
+      description,
+      price,
+      image_url,
+      prepMinutes,
+      categoryId,
+      modifierGroups,
+      ingredients,
+      allergens,
+      dietaryTags,
+      nutrition,
+      available = true,
+      availableFrom,
+      availableUntil,
+    } = {},
+  } = req.body;
   // Create the new dish object
   const newDish = {
     id: nextId(), // Get the ID from nextId function
@@ -121,56 +236,127 @@ function create(req, res) {
     description,
     price,
     image_url,
+    prepMinutes,
+    categoryId,
+    modifierGroups,
+    ingredients,
+    allergens,
+    dietaryTags,
+    nutrition,
+    available,
+    availableFrom,
+    availableUntil,
   };
-  // Add the new dish object to the array of dishes
-  dishes.push(newDish);
+  // Save the new dish to the store
+  const createdDish = service.create(newDish);
+  dishesEvents.publish(DISH_EVENTS.CREATED, createdDish);
   // Respond with a status of 201 and an object containing the new dish
-  res.status(201).json({ data: newDish });
+  sendRecord(res, createdDish, 201);
 }
 
 // Request: GET /dishes/:dishId
 function read(req, res, next) {
   // Respond with the dish object stored in res.locals
-  res.json({ data: res.locals.dish });
+  sendRecord(res, res.locals.dish);
 };
 
-// Request: PUT /dishes/:dishId
+// Request: PUT /dishes/:dishId and PATCH /dishes/:dishId
 function update(req, res, next) {
   // Get the matching dish from res.locals
   const foundDish = res.locals.dish;
   // Get the new data from the request body
-  const { data: { name, description, price, image_url } = {} } = req.body;
+  const {
+    data: {
+      name,
+      description,
+      price,
+      image_url,
+      prepMinutes,
+      categoryId,
+      modifierGroups,
+      ingredients,
+      allergens,
+      dietaryTags,
+      nutrition,
+      available,
+      availableFrom,
+      availableUntil,
+    } = {},
+  } = req.body;
 
-  // Update the dish
-  foundDish.name = name;
-  foundDish.description = description;
-  foundDish.price = price;
-  foundDish.image_url = image_url;
+  // Save the updated dish to the store.
+  // Leaving out available makes the dish available, the same as a dish that never had the flag.
+  const updatedDish = service.update({
+    ...foundDish,
+    name,
+    description,
+    price,
+    image_url,
+    prepMinutes,
+    categoryId,
+    modifierGroups,
+    ingredients,
+    allergens,
+    dietaryTags,
+    nutrition,
+    available,
+    availableFrom,
+    availableUntil,
+  });
+  dishesEvents.publish(DISH_EVENTS.UPDATED, updatedDish);
 
   // Respond with the updated dish
-  res.json({ data: foundDish });
+  sendRecord(res, updatedDish);
+}
+
+// Request: DELETE /dishes/:dishId
+function destroy(req, res) {
+  const foundDish = res.locals.dish;
+  // Archive the dish rather than removing it, so past orders can still look it up.
+  // Archiving a dish again keeps the time it was first archived.
+  if (!foundDish.archivedAt) {
+    const archivedDish = service.update({ ...foundDish, archivedAt: new Date().toISOString() });
+    dishesEvents.publish(DISH_EVENTS.DELETED, archivedDish);
+  }
+  res.sendStatus(204);
 }
 
 // Export route middleware for the router to call
 module.exports = {
-  list,
+  list: [listQuery(SORT_FIELDS), validateListFilters, list], // Run validation checks before calling list
   create: [
-    requestDataHasProperty("name"),
-    requestDataHasProperty("description"),
-    requestDataHasProperty("price"),
-    requestDataHasProperty("image_url"),
-    priceDataIsValid,
+    validateBody(dishSchema),
+    verifyCategoryExists,
+    verifyModifierGroups,
+    verifyIngredientsExist,
+    verifyAvailabilityWindow,
     create
   ], // Run validation checks before calling create
   read: [dishExists, read],
   update: [
     dishExists,
-    requestDataHasProperty("name"),
-    requestDataHasProperty("description"),
-    requestDataHasProperty("price"),
-    requestDataHasProperty("image_url"),
-    priceDataIsValid,
+    verifyIfMatch("dish"),
+    verifyDishIsNotArchived,
+    validateBody(dishSchema),
     verifyDishIdDataMatchesRoute,
+    verifyCategoryExists,
+    verifyModifierGroups,
+    verifyIngredientsExist,
+    verifyAvailabilityWindow,
     update
   ], // Run validation checks before calling update
+  patch: [
+    dishExists,
+    verifyIfMatch("dish"),
+    verifyDishIsNotArchived,
+    applyPatch("dish"),
+    validateBody(dishSchema),
+    verifyDishIdDataMatchesRoute,
+    verifyCategoryExists,
+    verifyModifierGroups,
+    verifyIngredientsExist,
+    verifyAvailabilityWindow,
+    update
+  ], // Apply the patch, then run the same checks as a full update
+  delete: [dishExists, verifyIfMatch("dish"), destroy],
 };
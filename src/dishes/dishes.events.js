@@ -0,0 +1,25 @@
+const { EventEmitter } = require("events");
+
+// Every change to a dish is published here so other parts of the app can react to it
+const emitter = new EventEmitter();
+
+// The kinds of events published for dishes
+const DISH_EVENTS = {
+  CREATED: "dish.created",
+  UPDATED: "dish.updated",
+  // Dishes are archived rather than removed, the dish in the event has its archivedAt time
+  DELETED: "dish.deleted",
+};
+
+// Publish an event about a dish
+function publish(type, dish) {
+  emitter.emit("dish", { type, dish, occurredAt: new Date().toISOString() });
+}
+
+// Call listener with every dish event, returning a function that stops listening
+function subscribe(listener) {
+  emitter.on("dish", listener);
+  return () => emitter.off("dish", listener);
+}
+
+module.exports = { DISH_EVENTS, publish, subscribe };
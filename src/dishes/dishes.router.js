@@ -1,16 +1,19 @@
 const router = require("express").Router();
 const controller = require("./dishes.controller");
 const methodNotAllowed = require("../errors/methodNotAllowed");
+const { authorize } = require("../auth/permissions");
 
 // Routes for /dishes/:dishId
 router.route("/:dishId")
   .get(controller.read)
-  .put(controller.update)
+  .put(authorize("dishes:update"), controller.update)
+  .patch(authorize("dishes:update"), controller.patch)
+  .delete(authorize("dishes:delete"), controller.delete)
   .all(methodNotAllowed);
 // Routes for /dishes
 router.route("/")
   .get(controller.list)
-  .post(controller.create)
+  .post(authorize("dishes:create"), controller.create)
   .all(methodNotAllowed);
 
 module.exports = router;
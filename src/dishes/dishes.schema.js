@@ -0,0 +1,178 @@
+const dateTimeSchema = require("../validation/dateTimeSchema");
+const { ALLERGENS, DIETS } = require("./dietary");
+
+// The schema for an optional amount in the nutrition information
+const nutrientSchema = (name) => ({
+  type: "number",
+  minimum: 0,
+  errorMessage: `Dish nutrition ${name} must be a number of at least 0`,
+});
+
+// The shape of an option a customer can pick in a modifier group, e.g. extra tahini for 0.5 more
+const modifierOptionSchema = {
+  type: "object",
+  errorMessage: "modifier option {index} must be an object",
+  required: ["id", "name"],
+  properties: {
+    id: {
+      type: "string",
+      minLength: 1,
+      errorMessage: "modifier option {index} must include an id",
+    },
+    name: {
+      type: "string",
+      minLength: 1,
+      errorMessage: "modifier option {index} must include a name",
+    },
+    priceDelta: {
+      type: "number",
+      errorMessage: "modifier option {index} must have a priceDelta that is a number",
+    },
+  },
+};
+
+// The shape of a group of modifiers for a dish, e.g. a size or extras
+const modifierGroupSchema = {
+  type: "object",
+  errorMessage: "modifier group {index} must be an object",
+  required: ["id", "name", "options"],
+  properties: {
+    id: {
+      type: "string",
+      minLength: 1,
+      errorMessage: "modifier group {index} must include an id",
+    },
+    name: {
+      type: "string",
+      minLength: 1,
+      errorMessage: "modifier group {index} must include a name",
+    },
+    minSelections: {
+      type: "integer",
+      minimum: 0,
+      errorMessage: "modifier group {index} must have a minSelections that is an integer of at least 0",
+    },
+    maxSelections: {
+      type: "integer",
+      exclusiveMinimum: 0,
+      errorMessage: "modifier group {index} must have a maxSelections that is an integer greater than 0",
+    },
+    options: {
+      type: "array",
+      minItems: 1,
+      errorMessage: "modifier group {index} must include at least one option",
+      items: modifierOptionSchema,
+    },
+  },
+};
+
+// The shape of the data in a request to create or update a dish
+const dishSchema = {
+  type: "object",
+  errorMessage: "Request body must have a data object",
+  required: ["name", "description", "price", "image_url"],
+  properties: {
+    name: {
+      type: "string",
+      minLength: 1,
+      errorMessage: "Dish must include a name",
+    },
+    description: {
+      type: "string",
+      minLength: 1,
+      errorMessage: "Dish must include a description",
+    },
+    price: {
+      type: "integer",
+      exclusiveMinimum: 0,
+      errorMessage: {
+        required: "Dish must include a price",
+        default: "Dish must have a price that is an integer greater than 0",
+      },
+    },
+    image_url: {
+      type: "string",
+      minLength: 1,
+      format: "uri",
+      errorMessage: {
+        format: "Malformed URL in property 'image_url'.",
+        default: "Dish must include a image_url",
+      },
+    },
+    // How long the kitchen takes to make the dish
+    prepMinutes: {
+      type: "integer",
+      minimum: 0,
+      errorMessage: "Dish prepMinutes must be a whole number of minutes of at least 0",
+    },
+    categoryId: {
+      type: "string",
+      minLength: 1,
+      errorMessage: "Dish categoryId must be a category id",
+    },
+    modifierGroups: {
+      type: "array",
+      errorMessage: "Dish modifierGroups must be an array",
+      items: modifierGroupSchema,
+    },
+    ingredients: {
+      type: "array",
+      errorMessage: "Dish ingredients must be an array",
+      items: {
+        type: "object",
+        errorMessage: "ingredient {index} must be an object",
+        required: ["ingredientId", "quantity"],
+        properties: {
+          ingredientId: {
+            type: "string",
+            minLength: 1,
+            errorMessage: "ingredient {index} must include an ingredientId",
+          },
+          quantity: {
+            type: "number",
+            exclusiveMinimum: 0,
+            errorMessage: "ingredient {index} must have a quantity that is a number greater than 0",
+          },
+        },
+      },
+    },
+    allergens: {
+      type: "array",
+      errorMessage: "Dish allergens must be an array",
+      items: {
+        type: "string",
+        enum: ALLERGENS,
+        errorMessage: `allergen {index} must be one of ${ALLERGENS.join(", ")}`,
+      },
+    },
+    dietaryTags: {
+      type: "array",
+      errorMessage: "Dish dietaryTags must be an array",
+      items: {
+        type: "string",
+        enum: DIETS,
+        errorMessage: `dietary tag {index} must be one of ${DIETS.join(", ")}`,
+      },
+    },
+    nutrition: {
+      type: "object",
+      errorMessage: "Dish nutrition must be an object",
+      properties: {
+        calories: nutrientSchema("calories"),
+        protein: nutrientSchema("protein"),
+        carbohydrates: nutrientSchema("carbohydrates"),
+        fat: nutrientSchema("fat"),
+        sugar: nutrientSchema("sugar"),
+        salt: nutrientSchema("salt"),
+      },
+    },
+    available: {
+      type: "boolean",
+      errorMessage: "Dish available must be true or false",
+    },
+    availableFrom: dateTimeSchema("Dish availableFrom must be a date and time"),
+    availableUntil: dateTimeSchema("Dish availableUntil must be a date and time"),
+  },
+};
+
+module.exports = { dishSchema };
@@ -0,0 +1,7 @@
+const path = require("path");
+const makeStore = require("../db/makeStore");
+
+// The existing dishes data is the initial set of dishes in the store
+const dishes = require(path.resolve("src/data/dishes-data"));
+
+module.exports = makeStore("dishes", dishes);
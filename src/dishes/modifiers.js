@@ -0,0 +1,75 @@
+// Rules for the modifier groups a dish declares, such as a size, extras or removals.
+// Each group lists its options and how many of them a customer must and may pick:
+//
+//   { id, name, minSelections, maxSelections, options: [{ id, name, priceDelta }] }
+//
+// An order line picks options by group and option id: { groupId, optionId }.
+
+// Explain what is wrong with the modifier groups declared for a dish, one message per problem
+function modifierGroupErrors(modifierGroups = []) {
+  const errors = [];
+  const groupIds = new Set();
+  modifierGroups.forEach((group, index) => {
+    const { id, minSelections = 0, maxSelections, options } = group;
+    if (groupIds.has(id)) errors.push(`modifier group ${index} has the same id as another group: ${id}`);
+    groupIds.add(id);
+
+    if (maxSelections < minSelections) {
+      errors.push(`modifier group ${index} has maxSelections less than minSelections`);
+    }
+    if (minSelections > options.length) {
+      errors.push(`modifier group ${index} needs more selections than it has options`);
+    }
+    const optionIds = options.map((option) => option.id);
+    if (new Set(optionIds).size !== optionIds.length) {
+      errors.push(`modifier group ${index} has options with the same id`);
+    }
+  });
+  return errors;
+}
+
+// Explain what is wrong with the modifiers picked for a dish, one message per problem
+function selectionErrors(dish, selections = []) {
+  const groups = dish.modifierGroups || [];
+  const errors = [];
+  const seen = new Set();
+
+  selections.forEach(({ groupId, optionId }) => {
+    const group = groups.find(({ id }) => id === groupId);
+    if (!group) return errors.push(`has no modifier group ${groupId}`);
+    if (!group.options.some(({ id }) => id === optionId)) {
+      return errors.push(`has no option ${optionId} in ${group.name}`);
+    }
+    const key = `${groupId}/${optionId}`;
+    if (seen.has(key)) return errors.push(`has option ${optionId} picked more than once`);
+    seen.add(key);
+    return undefined;
+  });
+
+  groups.forEach(({ id, name, minSelections = 0, maxSelections }) => {
+    const count = selections.filter(({ groupId }) => groupId === id).length;
+    if (count < minSelections) errors.push(`needs at least ${minSelections} ${name} selected`);
+    if (maxSelections !== undefined && count > maxSelections) {
+      errors.push(`allows at most ${maxSelections} ${name} selected`);
+    }
+  });
+
+  return errors;
+}
+
+// Look up the options picked for a dish, in the order the dish declares them.
+// The selections must already have passed selectionErrors.
+function resolveModifiers(dish, selections = []) {
+  return (dish.modifierGroups || []).flatMap((group) =>
+    group.options
+      .filter((option) => selections.some(({ groupId, optionId }) => groupId === group.id && optionId === option.id))
+      .map((option) => ({
+        groupId: group.id,
+        optionId: option.id,
+        name: option.name,
+        priceDelta: option.priceDelta || 0,
+      }))
+  );
+}
+
+module.exports = { modifierGroupErrors, selectionErrors, resolveModifiers };
@@ -0,0 +1,288 @@
+// Use the drivers store for reading and saving drivers
+const service = require("./drivers.service");
+
+// Use the users store to check who a driver signs in as
+const usersService = require("../users/users.service");
+
+// Use the orders store, drivers deliver the same orders
+const ordersService = require("../orders/orders.service");
+
+// Publish changes to orders for anyone listening
+const ordersEvents = require("../orders/orders.events");
+const { ORDER_EVENTS } = ordersEvents;
+
+// Use the order status state machine for status changes
+const { applyStatus } = require("../orders/orderStatus");
+
+// Use this function to assign ID's when necessary
+const nextId = require("../utils/nextId");
+
+// Use these functions to sort and paginate lists
+const { listQuery, sendPage } = require("../utils/listQuery");
+
+// Use these functions for ETags and conditional requests
+const { sendRecord, verifyIfMatch } = require("../utils/etag");
+
+// Use this function to apply PATCH requests
+const { applyPatch } = require("../utils/patch");
+
+// Use the driver schemas to validate request data
+const validateBody = require("../validation/validateBody");
+const { normalizePhoneNumber } = require("../validation/phoneNumber");
+const { driverSchema, driverStatusSchema } = require("./drivers.schema");
+
+// Fields a list of drivers can be sorted by
+const SORT_FIELDS = {
+  id: (driver) => driver.id,
+  name: (driver) => driver.name,
+  status: (driver) => driver.status,
+};
+
+////////////////////////////////////////////////////////////////////////
+// Validation Middleware
+////////////////////////////////////////////////////////////////////////
+
+// Verify that a driver in the store has an id that matches the driverId in the request parameter
+function driverExists(req, res, next) {
+  const { driverId } = req.params;
+  const foundDriver = service.read(driverId);
+  if (foundDriver) {
+    // Store the matching driver in res.locals to use in later functions in the route chain
+    res.locals.driver = foundDriver;
+    return next();
+  }
+
+  next({
+    status: 404,
+    message: `Driver does not exist: ${driverId}.`,
+  });
+}
+
+// Verify that the driver id in the request body matches the driverId in the request parameter
+function verifyDriverIdDataMatchesRoute(req, res, next) {
+  const driverId = res.locals.driver.id;
+  const { data: { id } } = req.body;
+  if (!id || id === driverId) return next();
+
+  next({
+    status: 400,
+    message: `Driver id does not match route id. Driver: ${id}, Route: ${driverId}`,
+  });
+}
+
+// Verify that the signed in user can act for the driver.
+// Delivery staff can only reach their own driver record, managers can reach every driver.
+function verifyDriverAccess(req, res, next) {
+  const { driver, user } = res.locals;
+  if (user.role !== "delivery" || driver.userId === user.id) return next();
+
+  next({
+    status: 403,
+    message: "Forbidden: delivery staff can only act for their own driver record",
+  });
+}
+
+// Verify that the driver's userId, if any, is a delivery user no other driver signs in as
+function verifyDriverUser(req, res, next) {
+  const { data: { userId } } = req.body;
+  if (userId === undefined) return next();
+
+  const user = usersService.read(userId);
+  if (!user) {
+    return next({
+      status: 400,
+      message: `User does not exist: ${userId}`,
+    });
+  }
+  if (user.role !== "delivery") {
+    return next({
+      status: 400,
+      message: `User ${userId} has the ${user.role} role, drivers must have the delivery role`,
+    });
+  }
+  const existing = service.findByUserId(userId);
+  const { driver } = res.locals;
+  if (existing && !(driver && existing.id === driver.id)) {
+    return next({
+      status: 409,
+      message: `User ${userId} is already driver ${existing.id}`,
+    });
+  }
+
+  next();
+}
+
+// Verify that the driver's mobileNumber is a phone number we can call, written in E.164 form
+function verifyMobileNumber(req, res, next) {
+  const { data: { mobileNumber } } = req.body;
+  const normalized = normalizePhoneNumber(mobileNumber);
+  if (!normalized) {
+    return next({
+      status: 400,
+      message: `Driver mobileNumber is not a valid phone number: ${mobileNumber}`,
+    });
+  }
+
+  // Store the normalized number to save with the driver
+  res.locals.mobileNumber = normalized;
+  next();
+}
+
+// Verify that the status filter, if any, is a driver status
+function validateListFilters(req, res, next) {
+  const { status } = req.query;
+  if (status === undefined || service.DRIVER_STATUSES.includes(status)) return next();
+
+  next({
+    status: 400,
+    message: `Cannot filter by status ${status}. Status must be ${service.DRIVER_STATUSES.join(", ")}`,
+  });
+}
+
+// Verify that the driver is not out delivering before deleting them
+function verifyNoActiveDeliveries(req, res, next) {
+  const deliveries = service.activeDeliveries(res.locals.driver.id);
+  if (!deliveries.length) return next();
+
+  next({
+    status: 409,
+    message: `Driver is still delivering orders: ${deliveries.map((order) => order.id).join(", ")}`,
+  });
+}
+
+// Verify that the orderId in the request parameter is an order the driver is out delivering
+function deliveryExists(req, res, next) {
+  const { orderId } = req.params;
+  const { driver } = res.locals;
+  const foundOrder = service.activeDeliveries(driver.id).find((order) => order.id === orderId);
+  if (foundOrder) {
+    res.locals.order = foundOrder;
+    return next();
+  }
+
+  next({
+    status: 404,
+    message: `Driver ${driver.id} is not delivering order ${orderId}.`,
+  });
+}
+
+////////////////////////////////////////////////////////////////////////
+// Route Middleware
+////////////////////////////////////////////////////////////////////////
+
+// Request: GET /drivers
+function list(req, res) {
+  const { status } = req.query;
+  const drivers = service.list().filter((driver) => status === undefined || driver.status === status);
+  sendPage(req, res, drivers);
+}
+
+// Request: POST /drivers
+function create(req, res) {
+  const { data: { name, userId, status = "off-duty" } = {} } = req.body;
+  const createdDriver = service.create({
+    id: nextId(),
+    name,
+    mobileNumber: res.locals.mobileNumber,
+    ...(userId && { userId }),
+    status,
+  });
+  sendRecord(res, createdDriver, 201);
+}
+
+// Request: GET /drivers/:driverId
+function read(req, res) {
+  sendRecord(res, res.locals.driver);
+}
+
+// Request: PUT /drivers/:driverId and PATCH /drivers/:driverId
+function update(req, res) {
+  const { driver, mobileNumber } = res.locals;
+  const { data: { name, userId, status = driver.status } = {} } = req.body;
+  const updatedDriver = service.update({
+    ...driver,
+    name,
+    mobileNumber,
+    userId,
+    status,
+  });
+  sendRecord(res, updatedDriver);
+}
+
+// Request: PUT /drivers/:driverId/status
+function updateStatus(req, res) {
+  const { data: { status } } = req.body;
+  sendRecord(res, service.update({ ...res.locals.driver, status }));
+}
+
+// Request: DELETE /drivers/:driverId
+function destroy(req, res) {
+  service.delete(res.locals.driver.id);
+  res.sendStatus(204);
+}
+
+// Request: GET /drivers/:driverId/deliveries
+function listDeliveries(req, res) {
+  // The deliveries that have been on the road longest come first
+  const deliveries = service
+    .activeDeliveries(res.locals.driver.id)
+    .sort((a, b) => (a.assignedAt || "").localeCompare(b.assignedAt || ""));
+  res.json({ data: deliveries });
+}
+
+// Request: POST /drivers/:driverId/deliveries/:orderId/delivered
+function markDelivered(req, res) {
+  const deliveredOrder = ordersService.update(applyStatus(res.locals.order, "delivered"));
+  ordersEvents.publish(ORDER_EVENTS.STATUS_CHANGED, deliveredOrder);
+  res.json({ data: deliveredOrder });
+}
+
+// Export route middleware for the router to call
+module.exports = {
+  list: [listQuery(SORT_FIELDS, "name"), validateListFilters, list],
+  create: [
+    validateBody(driverSchema),
+    verifyMobileNumber,
+    verifyDriverUser,
+    create
+  ], // Run validation checks before calling create
+  read: [driverExists, read],
+  update: [
+    driverExists,
+    verifyIfMatch("driver"),
+    validateBody(driverSchema),
+    verifyDriverIdDataMatchesRoute,
+    verifyMobileNumber,
+    verifyDriverUser,
+    update
+  ], // Run validation checks before calling update
+  patch: [
+    driverExists,
+    verifyIfMatch("driver"),
+    applyPatch("driver"),
+    validateBody(driverSchema),
+    verifyDriverIdDataMatchesRoute,
+    verifyMobileNumber,
+    verifyDriverUser,
+    update
+  ], // Apply the patch, then run the same checks as a full update
+  updateStatus: [
+    driverExists,
+    verifyDriverAccess,
+    validateBody(driverStatusSchema),
+    updateStatus
+  ], // Run validation checks before changing the driver's availability
+  delete: [
+    driverExists,
+    verifyIfMatch("driver"),
+    verifyNoActiveDeliveries,
+    destroy
+  ], // Run validation checks before calling delete
+  listDeliveries: [driverExists, verifyDriverAccess, listDeliveries],
+  markDelivered: [
+    driverExists,
+    verifyDriverAccess,
+    deliveryExists,
+    markDelivered
+  ], // Run validation checks before marking the order delivered
+};
@@ -0,0 +1,31 @@
+const router = require("express").Router();
+const controller = require("./drivers.controller");
+const methodNotAllowed = require("../errors/methodNotAllowed");
+const { authorize } = require("../auth/permissions");
+
+// Routes for /drivers/:driverId/deliveries/:orderId/delivered
+router.route("/:driverId/deliveries/:orderId/delivered")
+  .post(authorize("drivers:deliver"), controller.markDelivered)
+  .all(methodNotAllowed);
+// Routes for /drivers/:driverId/deliveries
+router.route("/:driverId/deliveries")
+  .get(authorize("drivers:deliver"), controller.listDeliveries)
+  .all(methodNotAllowed);
+// Routes for /drivers/:driverId/status
+router.route("/:driverId/status")
+  .put(authorize("drivers:setStatus"), controller.updateStatus)
+  .all(methodNotAllowed);
+// Routes for /drivers/:driverId
+router.route("/:driverId")
+  .get(authorize("drivers:read"), controller.read)
+  .put(authorize("drivers:update"), controller.update)
+  .patch(authorize("drivers:update"), controller.patch)
+  .delete(authorize("drivers:delete"), controller.delete)
+  .all(methodNotAllowed);
+// Routes for /drivers
+router.route("/")
+  .get(authorize("drivers:read"), controller.list)
+  .post(authorize("drivers:create"), controller.create)
+  .all(methodNotAllowed);
+
+module.exports = router;
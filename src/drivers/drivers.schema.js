@@ -0,0 +1,46 @@
+const { DRIVER_STATUSES } = require("./drivers.service");
+
+// The shape of a driver's availability
+const statusSchema = {
+  type: "string",
+  enum: DRIVER_STATUSES,
+  errorMessage: `Driver status must be ${DRIVER_STATUSES.join(", ")}`,
+};
+
+// The shape of the data in a request to create or update a driver
+const driverSchema = {
+  type: "object",
+  errorMessage: "Request body must have a data object",
+  required: ["name", "mobileNumber"],
+  properties: {
+    name: {
+      type: "string",
+      minLength: 1,
+      errorMessage: "Driver must include a name",
+    },
+    mobileNumber: {
+      type: "string",
+      minLength: 1,
+      errorMessage: "Driver must include a mobileNumber",
+    },
+    // The delivery user who signs in as this driver
+    userId: {
+      type: "string",
+      minLength: 1,
+      errorMessage: "Driver userId must be a user id",
+    },
+    status: statusSchema,
+  },
+};
+
+// The shape of the data in a request to change a driver's availability
+const driverStatusSchema = {
+  type: "object",
+  errorMessage: "Request body must have a data object",
+  required: ["status"],
+  properties: {
+    status: statusSchema,
+  },
+};
+
+module.exports = { driverSchema, driverStatusSchema };
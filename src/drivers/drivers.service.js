@@ -0,0 +1,41 @@
+const path = require("path");
+const makeStore = require("../db/makeStore");
+const ordersService = require("../orders/orders.service");
+
+// The existing drivers data is the initial set of drivers in the store
+const drivers = require(path.resolve("src/data/drivers-data"));
+
+const store = makeStore("drivers", drivers);
+
+// Whether a driver can take deliveries. Drivers set this themselves as they start and end their shifts.
+const DRIVER_STATUSES = ["available", "on-break", "off-duty"];
+
+// Find the driver that signs in as a user
+function findByUserId(userId) {
+  return store.list().find((driver) => driver.userId === userId);
+}
+
+// Find the orders a driver is out delivering
+function activeDeliveries(driverId) {
+  return ordersService
+    .list()
+    .filter((order) => order.driverId === driverId && order.status === "out-for-delivery");
+}
+
+// Pick the available driver with the fewest deliveries on the road, or undefined if no one is available
+function pickDriver() {
+  return store
+    .list()
+    .filter((driver) => driver.status === "available")
+    .map((driver) => ({ driver, load: activeDeliveries(driver.id).length }))
+    .sort((a, b) => a.load - b.load || a.driver.name.localeCompare(b.driver.name))
+    .map(({ driver }) => driver)[0];
+}
+
+module.exports = {
+  ...store,
+  DRIVER_STATUSES,
+  findByUserId,
+  activeDeliveries,
+  pickDriver,
+};
@@ -0,0 +1,14 @@
+// Wrap an async route handler so a rejected promise is passed to the error handler.
+// Errors without a status use the defaultStatus, or 500 in the error handler.
+function asyncErrorBoundary(delegate, defaultStatus) {
+  return (request, response, next) => {
+    Promise.resolve()
+      .then(() => delegate(request, response, next))
+      .catch((error = {}) => {
+        const { status = defaultStatus, message = error } = error;
+        next({ status, message });
+      });
+  };
+}
+
+module.exports = asyncErrorBoundary;
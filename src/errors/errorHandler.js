@@ -1,7 +1,8 @@
 function errorHandler(error, request, response, next) {
   // console.error(error);  // Commented out to silence tests.
-  const { status = 500, message = "Something went wrong!" } = error;
-  response.status(status).json({ error: message });
+  const { status = 500, message = "Something went wrong!", errors } = error;
+  // Validation errors also list every problem found in "errors"
+  response.status(status).json({ error: message, errors });
 }
 
 module.exports = errorHandler;
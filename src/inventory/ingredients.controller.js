@@ -0,0 +1,186 @@
+// Use the ingredients store for reading and saving ingredients
+const service = require("./ingredients.service");
+
+// Use the dishes store to find the dishes that use an ingredient
+const dishesService = require("../dishes/dishes.service");
+
+// Use this function to assign ID's when necessary
+const nextId = require("../utils/nextId");
+
+// Use these functions to sort and paginate lists
+const { listQuery, sendPage } = require("../utils/listQuery");
+
+// Use these functions for ETags and conditional requests
+const { sendRecord, verifyIfMatch } = require("../utils/etag");
+
+// Use this function to apply PATCH requests
+const { applyPatch } = require("../utils/patch");
+
+// Use the ingredient schema to validate request data
+const validateBody = require("../validation/validateBody");
+const { ingredientSchema } = require("./ingredients.schema");
+
+// Fields a list of ingredients can be sorted by
+const SORT_FIELDS = {
+  id: (ingredient) => ingredient.id,
+  name: (ingredient) => ingredient.name,
+  quantityOnHand: (ingredient) => ingredient.quantityOnHand,
+};
+
+////////////////////////////////////////////////////////////////////////
+// Validation Middleware
+////////////////////////////////////////////////////////////////////////
+
+// Verify that an ingredient in the store has an id that matches the ingredientId in the request parameter
+function ingredientExists(req, res, next) {
+  const { ingredientId } = req.params;
+  const foundIngredient = service.read(ingredientId);
+  if (foundIngredient) {
+    // Store the matching ingredient in res.locals to use in later functions in the route chain
+    res.locals.ingredient = foundIngredient;
+    return next();
+  }
+
+  next({
+    status: 404,
+    message: `Ingredient does not exist: ${ingredientId}.`,
+  });
+}
+
+// Verify that the ingredient id in the request body matches the ingredientId in the request parameter
+function verifyIngredientIdDataMatchesRoute(req, res, next) {
+  const ingredientId = res.locals.ingredient.id;
+  const { data: { id } } = req.body;
+  if (!id || id === ingredientId) return next();
+
+  next({
+    status: 400,
+    message: `Ingredient id does not match route id. Ingredient: ${id}, Route: ${ingredientId}`,
+  });
+}
+
+// Verify that no other ingredient has the same name
+function verifyNameIsUnique(req, res, next) {
+  const { data: { name } } = req.body;
+  const existing = service.findByName(name);
+  const { ingredient } = res.locals;
+  if (!existing || (ingredient && existing.id === ingredient.id)) return next();
+
+  next({
+    status: 409,
+    message: `Ingredient ${name} already exists: ${existing.id}`,
+  });
+}
+
+// Verify that no dish on the menu still uses the ingredient before deleting it
+function verifyIngredientIsUnused(req, res, next) {
+  const dishes = dishesUsing(res.locals.ingredient.id);
+  if (!dishes.length) return next();
+
+  next({
+    status: 409,
+    message: `Ingredient is still used by ${dishes.map((dish) => dish.name).join(", ")}`,
+  });
+}
+
+////////////////////////////////////////////////////////////////////////
+// Route Middleware
+////////////////////////////////////////////////////////////////////////
+
+// Find the dishes on the menu that use an ingredient
+function dishesUsing(ingredientId) {
+  return dishesService
+    .list()
+    .filter((dish) => !dish.archivedAt && (dish.ingredients || []).some((item) => item.ingredientId === ingredientId));
+}
+
+// Request: GET /ingredients
+function list(req, res) {
+  sendPage(req, res, service.list());
+}
+
+// Request: GET /ingredients/low-stock
+function listLowStock(req, res) {
+  // Show what is running low with the dishes that will stop being available when it runs out
+  const ingredients = service
+    .list()
+    .filter(service.isLowStock)
+    .map((ingredient) => ({
+      ...ingredient,
+      dishes: dishesUsing(ingredient.id).map(({ id, name }) => ({ id, name })),
+    }));
+  sendPage(req, res, ingredients);
+}
+
+// Request: POST /ingredients
+function create(req, res) {
+  const { data: { name, unit, quantityOnHand, lowStockThreshold } = {} } = req.body;
+  const createdIngredient = service.create({
+    id: nextId(),
+    name,
+    unit,
+    quantityOnHand,
+    lowStockThreshold,
+  });
+  sendRecord(res, createdIngredient, 201);
+}
+
+// Request: GET /ingredients/:ingredientId
+function read(req, res) {
+  sendRecord(res, res.locals.ingredient);
+}
+
+// Request: PUT /ingredients/:ingredientId and PATCH /ingredients/:ingredientId
+function update(req, res) {
+  const { data: { name, unit, quantityOnHand, lowStockThreshold } = {} } = req.body;
+  const updatedIngredient = service.update({
+    ...res.locals.ingredient,
+    name,
+    unit,
+    quantityOnHand,
+    lowStockThreshold,
+  });
+  sendRecord(res, updatedIngredient);
+}
+
+// Request: DELETE /ingredients/:ingredientId
+function destroy(req, res) {
+  service.delete(res.locals.ingredient.id);
+  res.sendStatus(204);
+}
+
+// Export route middleware for the router to call
+module.exports = {
+  list: [listQuery(SORT_FIELDS, "name"), list],
+  // The ingredients with the least left come first
+  listLowStock: [listQuery(SORT_FIELDS, "quantityOnHand"), listLowStock],
+  create: [
+    validateBody(ingredientSchema),
+    verifyNameIsUnique,
+    create
+  ], // Run validation checks before calling create
+  read: [ingredientExists, read],
+  update: [
+    ingredientExists,
+    verifyIfMatch("ingredient"),
+    validateBody(ingredientSchema),
+    verifyIngredientIdDataMatchesRoute,
+    verifyNameIsUnique,
+    update
+  ], // Run validation checks before calling update
+  patch: [
+    ingredientExists,
+    verifyIfMatch("ingredient"),
+    applyPatch("ingredient"),
+    validateBody(ingredientSchema),
+    verifyIngredientIdDataMatchesRoute,
+    verifyNameIsUnique,
+    update
+  ], // Apply the patch, then run the same checks as a full update
+  delete: [
+    ingredientExists,
+    verifyIfMatch("ingredient"),
+    verifyIngredientIsUnused,
+    destroy
+  ], // Run validation checks before calling delete
+};
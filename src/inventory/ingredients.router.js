@@ -0,0 +1,23 @@
+const router = require("express").Router();
+const controller = require("./ingredients.controller");
+const methodNotAllowed = require("../errors/methodNotAllowed");
+const { authorize } = require("../auth/permissions");
+
+// Routes for /ingredients/low-stock
+router.route("/low-stock")
+  .get(authorize("ingredients:read"), controller.listLowStock)
+  .all(methodNotAllowed);
+// Routes for /ingredients/:ingredientId
+router.route("/:ingredientId")
+  .get(authorize("ingredients:read"), controller.read)
+  .put(authorize("ingredients:update"), controller.update)
+  .patch(authorize("ingredients:update"), controller.patch)
+  .delete(authorize("ingredients:delete"), controller.delete)
+  .all(methodNotAllowed);
+// Routes for /ingredients
+router.route("/")
+  .get(authorize("ingredients:read"), controller.list)
+  .post(authorize("ingredients:create"), controller.create)
+  .all(methodNotAllowed);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+// The shape of the data in a request to create or update an ingredient
+const ingredientSchema = {
+  type: "object",
+  errorMessage: "Request body must have a data object",
+  required: ["name", "unit", "quantityOnHand"],
+  properties: {
+    name: {
+      type: "string",
+      minLength: 1,
+      errorMessage: "Ingredient must include a name",
+    },
+    unit: {
+      type: "string",
+      minLength: 1,
+      errorMessage: "Ingredient must include a unit, e.g. g, ml or each",
+    },
+    quantityOnHand: {
+      type: "number",
+      minimum: 0,
+      errorMessage: {
+        required: "Ingredient must include a quantityOnHand",
+        default: "Ingredient must have a quantityOnHand that is a number of at least 0",
+      },
+    },
+    lowStockThreshold: {
+      type: "number",
+      minimum: 0,
+      errorMessage: "Ingredient lowStockThreshold must be a number of at least 0",
+    },
+  },
+};
+
+module.exports = { ingredientSchema };
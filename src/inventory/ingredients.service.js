@@ -0,0 +1,24 @@
+const path = require("path");
+const makeStore = require("../db/makeStore");
+
+// The existing ingredients data is the initial set of ingredients in the store
+const ingredients = require(path.resolve("src/data/ingredients-data"));
+
+const store = makeStore("ingredients", ingredients);
+
+// Find the ingredient with a matching name, ignoring case
+function findByName(name) {
+  const normalized = String(name).trim().toLowerCase();
+  return store.list().find((ingredient) => ingredient.name.toLowerCase() === normalized);
+}
+
+// Check whether an ingredient has fallen to its low stock threshold
+function isLowStock(ingredient) {
+  return ingredient.lowStockThreshold !== undefined && ingredient.quantityOnHand <= ingredient.lowStockThreshold;
+}
+
+module.exports = {
+  ...store,
+  findByName,
+  isLowStock,
+};
@@ -0,0 +1,34 @@
+const ordersService = require("../orders/orders.service");
+const ordersEvents = require("../orders/orders.events");
+const { ORDER_EVENTS } = ordersEvents;
+const { previousStatus } = require("../orders/orderStatus");
+const { release } = require("./stock");
+
+// The statuses an order can be cancelled from before the kitchen starts on it
+const UNSTARTED_STATUSES = ["scheduled", "pending"];
+
+// Give back the stock of an order that will never be made: a pending order that is deleted,
+// or a pending or scheduled order that is cancelled.
+// Once the kitchen has started preparing an order its ingredients are used up.
+function handleOrderEvent({ type, order }) {
+  const releasable = type === ORDER_EVENTS.DELETED ||
+    (type === ORDER_EVENTS.STATUS_CHANGED &&
+      order.status === "cancelled" &&
+      UNSTARTED_STATUSES.includes(previousStatus(order)));
+  if (!releasable || !order.stockReservation) return;
+
+  release(order.stockReservation);
+  // The stock is back on the shelf, so a cancelled order no longer holds it
+  const stored = type === ORDER_EVENTS.STATUS_CHANGED && ordersService.read(order.id);
+  if (stored) ordersService.update({ ...stored, stockReservation: undefined });
+}
+
+let unsubscribe;
+
+// Start giving back stock as orders are deleted or cancelled. Calling this again has no effect.
+function registerInventoryListeners() {
+  if (!unsubscribe) unsubscribe = ordersEvents.subscribe(handleOrderEvent);
+  return unsubscribe;
+}
+
+module.exports = { registerInventoryListeners, handleOrderEvent };
@@ -0,0 +1,75 @@
+// Stock reservations for orders.
+// Each dish lists the ingredients one serving uses: ingredients: [{ ingredientId, quantity }].
+// An order reserves the ingredients for everything on it when it is placed, and records
+// what it reserved so exactly that can be given back if the order never gets made.
+const service = require("./ingredients.service");
+
+// Round a quantity of an ingredient, so adding up fractions such as 0.1 does not drift
+function roundQuantity(quantity) {
+  return Math.round(quantity * 1000) / 1000;
+}
+
+// Add up the ingredients needed for the lines of an order, as [{ ingredientId, quantity }]
+function requirementsFor(lines) {
+  const totals = new Map();
+  lines.forEach(({ dish, quantity }) => {
+    (dish.ingredients || []).forEach((ingredient) => {
+      const total = totals.get(ingredient.ingredientId) || 0;
+      totals.set(ingredient.ingredientId, roundQuantity(total + ingredient.quantity * quantity));
+    });
+  });
+  return [...totals].map(([ingredientId, quantity]) => ({ ingredientId, quantity }));
+}
+
+// Find the quantity of an ingredient in a reservation
+function reservedQuantity(reservation, ingredientId) {
+  const entry = reservation.find((item) => item.ingredientId === ingredientId);
+  return entry ? entry.quantity : 0;
+}
+
+// Describe the ingredients there is not enough of, counting a previous reservation
+// that is about to be replaced as available again
+function shortages(requirements, previousReservation = []) {
+  return requirements
+    .map(({ ingredientId, quantity }) => {
+      const ingredient = service.read(ingredientId);
+      // Ingredients that are not tracked never run out
+      if (!ingredient) return undefined;
+      const available = roundQuantity(ingredient.quantityOnHand + reservedQuantity(previousReservation, ingredientId));
+      return available < quantity
+        ? { ingredientId, name: ingredient.name, needed: quantity, available }
+        : undefined;
+    })
+    .filter(Boolean);
+}
+
+// Replace a previous reservation with a new one, returning the new reservation.
+// Check shortages first: this takes the stock without checking.
+// The store is synchronous, so no other request can change the stock part way through.
+function reserve(requirements, previousReservation = []) {
+  const ingredientIds = new Set([
+    ...requirements.map((item) => item.ingredientId),
+    ...previousReservation.map((item) => item.ingredientId),
+  ]);
+  ingredientIds.forEach((ingredientId) => {
+    const ingredient = service.read(ingredientId);
+    if (!ingredient) return;
+    const change = reservedQuantity(previousReservation, ingredientId) - reservedQuantity(requirements, ingredientId);
+    if (change) {
+      service.update({ ...ingredient, quantityOnHand: roundQuantity(ingredient.quantityOnHand + change) });
+    }
+  });
+  return requirements.filter(({ ingredientId }) => service.read(ingredientId));
+}
+
+// Give back the stock an order reserved
+function release(reservation = []) {
+  reserve([], reservation);
+}
+
+// Check whether there is enough stock to make at least one serving of the dish
+function hasStockFor(dish) {
+  return !shortages(requirementsFor([{ dish, quantity: 1 }])).length;
+}
+
+module.exports = { requirementsFor, shortages, reserve, release, hasStockFor };
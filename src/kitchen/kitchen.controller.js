@@ -0,0 +1,211 @@
+// Use the orders store, the kitchen works on the same orders
+const ordersService = require("../orders/orders.service");
+
+// Publish changes to orders for anyone listening
+const ordersEvents = require("../orders/orders.events");
+const { ORDER_EVENTS } = ordersEvents;
+
+// Use the order status state machine for status changes
+const { canTransition, applyStatus, createdAt, placedTime } = require("../orders/orderStatus");
+const { transitionBlocker } = require("../orders/transitionGuards");
+
+// The statuses of orders the kitchen still has to work on
+const OPEN_STATUSES = ["pending", "preparing"];
+
+////////////////////////////////////////////////////////////////////////
+// Validation Middleware
+////////////////////////////////////////////////////////////////////////
+
+// Verify that an order in the store has an id that matches the orderId in the request parameter
+function orderExists(req, res, next) {
+  const { orderId } = req.params;
+  const foundOrder = ordersService.read(orderId);
+  if (foundOrder) {
+    // Store the matching order in res.locals to use in later functions in the route chain
+    res.locals.order = foundOrder;
+    return next();
+  }
+
+  next({
+    status: 404,
+    message: `Order does not exist: ${orderId}.`,
+  });
+}
+
+// Verify that the order has one of the given statuses
+function verifyOrderStatus(...statuses) {
+  return function (req, res, next) {
+    const { status } = res.locals.order;
+    if (statuses.includes(status)) return next();
+
+    next({
+      status: 409,
+      message: `Order is ${status}, the kitchen can only do this to a ${statuses.join(" or ")} order`,
+    });
+  };
+}
+
+// Verify that no one else in the kitchen has claimed the order
+function verifyNotClaimedByOther(req, res, next) {
+  const { claimedBy } = res.locals.order;
+  if (!claimedBy || claimedBy === res.locals.user.id) return next();
+
+  next({
+    status: 409,
+    message: `Order has already been claimed by ${claimedBy}`,
+  });
+}
+
+// Verify that a pending order meets the conditions to start being prepared
+function verifyCanStartPreparing(req, res, next) {
+  const { order } = res.locals;
+  const blocker = order.status === "pending" && transitionBlocker(order, "preparing");
+  if (!blocker) return next();
+
+  next({
+    status: 409,
+    message: blocker,
+  });
+}
+
+// Verify that the itemIndex in the request parameter is a line item in the order
+function itemExists(req, res, next) {
+  const { itemIndex } = req.params;
+  const index = Number(itemIndex);
+  if (Number.isInteger(index) && index >= 0 && index < res.locals.order.dishes.length) {
+    res.locals.itemIndex = index;
+    return next();
+  }
+
+  next({
+    status: 404,
+    message: `Order item does not exist: ${itemIndex}.`,
+  });
+}
+
+// Verify that every item in the order has been prepared
+function verifyAllItemsPrepared(req, res, next) {
+  const unprepared = res.locals.order.dishes
+    .map((dish, index) => (dish.prepared ? undefined : index))
+    .filter((index) => index !== undefined);
+  if (!unprepared.length) return next();
+
+  next({
+    status: 409,
+    message: `Order items have not been prepared yet: ${unprepared.join(", ")}`,
+  });
+}
+
+////////////////////////////////////////////////////////////////////////
+// Route Middleware
+////////////////////////////////////////////////////////////////////////
+
+// Build the queue entry for an open order
+function toQueueEntry(order, now) {
+  const placedAt = placedTime(order);
+  return {
+    id: order.id,
+    status: order.status,
+    claimedBy: order.claimedBy,
+    createdAt: createdAt(order),
+    elapsedSeconds: Number.isNaN(placedAt) ? null : Math.floor((now - placedAt) / 1000),
+    dishes: order.dishes.map(({ id, name, quantity, modifiers, prepared = false }) => ({
+      id,
+      name,
+      quantity,
+      // The cook only needs to know what was picked, e.g. "No onions"
+      ...(modifiers && { modifiers: modifiers.map((modifier) => modifier.name) }),
+      prepared,
+    })),
+  };
+}
+
+// Add up the quantity of each dish still to be prepared across the orders
+function aggregateDishes(orders) {
+  const totals = new Map();
+  orders.forEach((order) => {
+    order.dishes
+      .filter((dish) => !dish.prepared)
+      .forEach(({ id, name, quantity }) => {
+        const total = totals.get(id) || { dishId: id, name, quantity: 0 };
+        totals.set(id, { ...total, quantity: total.quantity + quantity });
+      });
+  });
+  return [...totals.values()]
+    .sort((a, b) => b.quantity - a.quantity || a.name.localeCompare(b.name))
+    .map((total) => ({ ...total, label: `${total.quantity}× ${total.name}` }));
+}
+
+// Save a change to an order and publish it
+function saveOrder(order, type) {
+  const savedOrder = ordersService.update(order);
+  ordersEvents.publish(type, savedOrder);
+  return savedOrder;
+}
+
+// Request: GET /kitchen/queue
+function queue(req, res) {
+  const now = Date.now();
+  // Oldest orders first, orders without a known creation time go last
+  const openOrders = ordersService
+    .list()
+    .filter((order) => OPEN_STATUSES.includes(order.status))
+    .sort((a, b) => (placedTime(a) || Infinity) - (placedTime(b) || Infinity));
+
+  res.json({
+    data: {
+      orders: openOrders.map((order) => toQueueEntry(order, now)),
+      dishes: aggregateDishes(openOrders),
+    },
+  });
+}
+
+// Request: POST /kitchen/orders/:orderId/claim
+function claim(req, res) {
+  const { order, user } = res.locals;
+  const claimedOrder = { ...order, claimedBy: user.id, claimedAt: new Date().toISOString() };
+  // Claiming a pending order starts preparing it
+  const savedOrder = canTransition(order.status, "preparing")
+    ? saveOrder(applyStatus(claimedOrder, "preparing"), ORDER_EVENTS.STATUS_CHANGED)
+    : saveOrder(claimedOrder, ORDER_EVENTS.UPDATED);
+  res.json({ data: savedOrder });
+}
+
+// Request: POST /kitchen/orders/:orderId/items/:itemIndex/prepared
+function markPrepared(req, res) {
+  const { order, itemIndex } = res.locals;
+  const dishes = order.dishes.map((dish, index) =>
+    index === itemIndex ? { ...dish, prepared: true } : dish
+  );
+  res.json({ data: saveOrder({ ...order, dishes }, ORDER_EVENTS.UPDATED) });
+}
+
+// Request: POST /kitchen/orders/:orderId/bump
+function bump(req, res) {
+  const bumpedOrder = applyStatus(res.locals.order, "out-for-delivery");
+  res.json({ data: saveOrder(bumpedOrder, ORDER_EVENTS.STATUS_CHANGED) });
+}
+
+// Export route middleware for the router to call
+module.exports = {
+  queue,
+  claim: [
+    orderExists,
+    verifyOrderStatus(...OPEN_STATUSES),
+    verifyNotClaimedByOther,
+    verifyCanStartPreparing,
+    claim
+  ], // Run validation checks before claiming the order
+  markPrepared: [
+    orderExists,
+    verifyOrderStatus("preparing"),
+    itemExists,
+    markPrepared
+  ], // Run validation checks before marking the item prepared
+  bump: [
+    orderExists,
+    verifyOrderStatus("preparing"),
+    verifyAllItemsPrepared,
+    bump
+  ], // Run validation checks before bumping the order
+};
@@ -0,0 +1,23 @@
+const router = require("express").Router();
+const controller = require("./kitchen.controller");
+const methodNotAllowed = require("../errors/methodNotAllowed");
+const { authorize } = require("../auth/permissions");
+
+// Routes for /kitchen/queue
+router.route("/queue")
+  .get(authorize("kitchen:view"), controller.queue)
+  .all(methodNotAllowed);
+// Routes for /kitchen/orders/:orderId/claim
+router.route("/orders/:orderId/claim")
+  .post(authorize("kitchen:work"), controller.claim)
+  .all(methodNotAllowed);
+// Routes for /kitchen/orders/:orderId/items/:itemIndex/prepared
+router.route("/orders/:orderId/items/:itemIndex/prepared")
+  .post(authorize("kitchen:work"), controller.markPrepared)
+  .all(methodNotAllowed);
+// Routes for /kitchen/orders/:orderId/bump
+router.route("/orders/:orderId/bump")
+  .post(authorize("kitchen:work"), controller.bump)
+  .all(methodNotAllowed);
+
+module.exports = router;
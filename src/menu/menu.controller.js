@@ -0,0 +1,44 @@
+// Use the categories and dishes stores to build the menu
+const categoriesService = require("../categories/categories.service");
+const dishesService = require("../dishes/dishes.service");
+
+// Use this function to leave out dishes that cannot be ordered
+const { isAvailable } = require("../dishes/availability");
+
+// Dishes without a category, or whose category was deleted, are listed last under this heading
+const OTHER_SECTION = { id: null, name: "Other" };
+
+////////////////////////////////////////////////////////////////////////
+// Route Middleware
+////////////////////////////////////////////////////////////////////////
+
+// Request: GET /menu
+function read(req, res) {
+  const now = new Date();
+  const categories = categoriesService.list().sort(categoriesService.compareCategories);
+  const dishes = dishesService
+    .list()
+    .filter((dish) => isAvailable(dish, now))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  // Group the dishes under their categories, leaving out categories with nothing to order
+  const sections = categories
+    .map((category) => ({
+      ...category,
+      dishes: dishes.filter((dish) => dish.categoryId === category.id),
+    }))
+    .filter((section) => section.dishes.length);
+
+  const categoryIds = new Set(categories.map((category) => category.id));
+  const otherDishes = dishes.filter((dish) => !categoryIds.has(dish.categoryId));
+  if (otherDishes.length) {
+    sections.push({ ...OTHER_SECTION, dishes: otherDishes });
+  }
+
+  res.json({ data: sections });
+}
+
+// Export route middleware for the router to call
+module.exports = {
+  read,
+};
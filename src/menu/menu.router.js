@@ -0,0 +1,10 @@
+const router = require("express").Router();
+const controller = require("./menu.controller");
+const methodNotAllowed = require("../errors/methodNotAllowed");
+
+// Routes for /menu
+router.route("/")
+  .get(controller.read)
+  .all(methodNotAllowed);
+
+module.exports = router;
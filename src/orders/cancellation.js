@@ -0,0 +1,21 @@
+const { roundCurrency } = require("./pricing");
+
+// How much of the food is refunded when an order is cancelled, by the status it was cancelled in.
+// Once the kitchen has started preparing, only half of the food is refunded.
+const FOOD_REFUND_RATES = {
+  scheduled: 1,
+  pending: 1,
+  preparing: 0.5,
+};
+
+// Compute the refund for cancelling an order in its current status.
+// The delivery fee is always refunded because a cancelled order is never delivered.
+function refundAmount(order) {
+  const { pricing } = order;
+  if (!pricing) return 0;
+  const rate = FOOD_REFUND_RATES[order.status] || 0;
+  const food = pricing.total - pricing.deliveryFee;
+  return roundCurrency(food * rate + pricing.deliveryFee);
+}
+
+module.exports = { FOOD_REFUND_RATES, refundAmount };
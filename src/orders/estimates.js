@@ -0,0 +1,75 @@
+// Estimating when an order will be ready and when it will arrive.
+//
+// The kitchen makes the dishes of an order side by side, so an order takes as long as its slowest dish.
+// Every order already in the kitchen pushes the start of a new one back, and delivery takes as long as
+// the order's zone says.
+
+const config = require("../config");
+const { changedToAt } = require("./orderStatus");
+
+// The statuses of orders the kitchen is working on
+const KITCHEN_STATUSES = ["pending", "preparing"];
+
+// The fields an estimate adds to an order
+const ESTIMATE_FIELDS = ["estimatedReadyAt", "estimatedDeliveredAt"];
+
+const MINUTE = 60 * 1000;
+
+// How long the kitchen takes to make an order
+function prepMinutes(order) {
+  const { dishes = [] } = order;
+  return Math.max(
+    0,
+    ...dishes.map((dish) => (dish.prepMinutes === undefined ? config.defaultPrepMinutes : dish.prepMinutes))
+  );
+}
+
+// How long the order takes to get from the kitchen to the door
+function travelMinutes(order) {
+  return order.deliveryZone ? order.deliveryZone.estimatedMinutes : config.defaultDeliveryMinutes;
+}
+
+// Return when the order last changed status, which is when the estimate is made from, or NaN if that is not known
+function statusChangedTime(order) {
+  const { statusHistory = [] } = order;
+  const last = statusHistory[statusHistory.length - 1];
+  return last ? Date.parse(last.changedAt) : NaN;
+}
+
+// Work out when the order will be ready, as a timestamp, from where it is now.
+// queueDepth is the number of orders ahead of it in the kitchen.
+function readyTime(order, queueDepth) {
+  switch (order.status) {
+    case "scheduled":
+      // A scheduled order is made just in time to arrive when it is due
+      return Date.parse(order.scheduledFor) - travelMinutes(order) * MINUTE;
+    case "pending":
+      return statusChangedTime(order) + (queueDepth * config.queueMinutesPerOrder + prepMinutes(order)) * MINUTE;
+    case "preparing":
+      return Date.parse(changedToAt(order, "preparing")) + prepMinutes(order) * MINUTE;
+    case "out-for-delivery":
+      return Date.parse(changedToAt(order, "out-for-delivery"));
+    default:
+      return undefined;
+  }
+}
+
+// Estimate when the order will be ready and delivered.
+// Orders that are delivered or cancelled keep their last estimates, so this returns nothing for them,
+// and nothing for an order whose status history does not say when it reached its status.
+function estimateTimes(order, queueDepth = 0) {
+  const ready = readyTime(order, queueDepth);
+  if (ready === undefined || Number.isNaN(ready)) return {};
+
+  return {
+    estimatedReadyAt: new Date(ready).toISOString(),
+    estimatedDeliveredAt: new Date(ready + travelMinutes(order) * MINUTE).toISOString(),
+  };
+}
+
+module.exports = {
+  KITCHEN_STATUSES,
+  ESTIMATE_FIELDS,
+  prepMinutes,
+  estimateTimes,
+};
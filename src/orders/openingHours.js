@@ -0,0 +1,46 @@
+const config = require("../config");
+
+// The days of the week as they appear in the opening hours, in the order Date.getDay() counts them
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// Convert a time such as "17:30" to minutes after midnight
+function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+// Find the day of the week and minutes after midnight of a moment, in the time zone the opening hours are in
+function localTime(date, timeZone = config.timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const part = (type) => parts.find((item) => item.type === type).value;
+  return {
+    day: part("weekday").toLowerCase(),
+    minutes: Number(part("hour")) * 60 + Number(part("minute")),
+  };
+}
+
+// Check whether we are open at a moment.
+// Each day lists its opening periods, such as "11:00-14:00"; a period cannot run past midnight.
+function isOpenAt(date, openingHours = config.openingHours, timeZone = config.timeZone) {
+  const { day, minutes } = localTime(date, timeZone);
+  return (openingHours[day] || []).some((period) => {
+    const [opens, closes] = period.split("-").map(toMinutes);
+    return minutes >= opens && minutes < closes;
+  });
+}
+
+// Format the opening hours as a readable list, e.g. "mon 11:00-22:00, tue closed"
+function describeOpeningHours(openingHours = config.openingHours) {
+  return DAYS.slice(1)
+    .concat(DAYS[0])
+    .map((day) => `${day} ${(openingHours[day] || []).join(" and ") || "closed"}`)
+    .join(", ");
+}
+
+module.exports = { isOpenAt, describeOpeningHours };
@@ -0,0 +1,93 @@
+// The statuses an order can move to from each status.
+// An order starts out "pending", or "scheduled" if it is for later; "refunded" is the end of the line.
+const TRANSITIONS = {
+  scheduled: ["pending", "cancelled"],
+  pending: ["preparing", "cancelled"],
+  preparing: ["out-for-delivery", "cancelled"],
+  "out-for-delivery": ["delivered"],
+  delivered: ["refunded"],
+  cancelled: ["refunded"],
+  refunded: [],
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+// Statuses of orders that are finished with, so nothing about them can be edited any more
+const CLOSED_STATUSES = ["delivered", "cancelled", "refunded"];
+
+// Statuses an order only reaches through the endpoint that does the work that goes with them,
+// so they cannot be set with a status change. Cancelling records the refund that settles the payment,
+// and an order is only refunded once its payment has been.
+const RESERVED_STATUSES = {
+  cancelled: "Cancel an order with POST /orders/:orderId/cancel",
+  refunded: "An order is refunded when its payment is, with POST /orders/:orderId/payments/:paymentId/refund",
+};
+
+// Check that status is one of the known order statuses
+function isValidStatus(status) {
+  return STATUSES.includes(status);
+}
+
+// Check that an order can move from one status to another
+function canTransition(from, to) {
+  return isValidStatus(from) && TRANSITIONS[from].includes(to);
+}
+
+// Format the statuses as a readable list, e.g. "a, b, or c"
+function describeStatuses(statuses = STATUSES) {
+  if (statuses.length < 2) return statuses.join("");
+  return `${statuses.slice(0, -1).join(", ")}, or ${statuses[statuses.length - 1]}`;
+}
+
+// Return a copy of the order with the new status and a matching entry added to its status history
+function applyStatus(order, status, changedAt = new Date()) {
+  const { statusHistory = [] } = order;
+  return {
+    ...order,
+    status,
+    statusHistory: [
+      ...statusHistory,
+      { status, changedAt: changedAt.toISOString() },
+    ],
+  };
+}
+
+// Return when the order was placed, which is the first entry in its status history
+function createdAt(order) {
+  const { statusHistory = [] } = order;
+  return statusHistory.length ? statusHistory[0].changedAt : undefined;
+}
+
+// Return when the order last moved to a status, or undefined if it never has
+function changedToAt(order, status) {
+  const { statusHistory = [] } = order;
+  const entry = statusHistory.filter((item) => item.status === status).pop();
+  return entry ? entry.changedAt : undefined;
+}
+
+// Return when the kitchen got the order as a timestamp, or NaN if that is not known.
+// A scheduled order reaches the kitchen when it becomes pending rather than when it was placed.
+function placedTime(order) {
+  return Date.parse(changedToAt(order, "pending") || createdAt(order));
+}
+
+// Return the status the order had before its current one, from its status history
+function previousStatus(order) {
+  const { statusHistory = [] } = order;
+  return statusHistory.length > 1 ? statusHistory[statusHistory.length - 2].status : undefined;
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  RESERVED_STATUSES,
+  CLOSED_STATUSES,
+  isValidStatus,
+  canTransition,
+  describeStatuses,
+  applyStatus,
+  createdAt,
+  changedToAt,
+  placedTime,
+  previousStatus,
+};
@@ -1,114 +1,561 @@
-const path = require("path");
+// Use the orders store for reading and saving orders
+const service = require("./orders.service");
 
-// Use the existing order data
-const orders = require(path.resolve("src/data/orders-data"));
+// Use the dishes store to look up the dishes in an order
+const dishesService = require("../dishes/dishes.service");
+const { unavailableReason } = require("../dishes/availability");
+const { selectionErrors, resolveModifiers } = require("../dishes/modifiers");
+
+// Use the pricing rules to compute an order's totals
+const { priceOrder } = require("./pricing");
+
+// Use the address parser and delivery zones to check where an order goes
+const deliveryZonesService = require("../delivery/deliveryZones.service");
+const { parseAddress, formatAddress } = require("../delivery/address");
+
+// Use the opening hours and schedule settings to check scheduled orders
+const config = require("../config");
+const { isOpenAt, describeOpeningHours } = require("./openingHours");
+
+// Use the drivers store to assign a driver to an order going out for delivery
+const driversService = require("../drivers/drivers.service");
+
+// Use the stock rules to reserve the ingredients for an order
+const stock = require("../inventory/stock");
+
+// Use the payments store to stop a paid order's total changing under its payment
+const paymentsService = require("../payments/payments.service");
+
+// Use the promotions store and discount rules for promo codes
+const promotionsService = require("../promotions/promotions.service");
+const { promotionProblem, minimumOrderProblem, discountRule } = require("../promotions/discounts");
+
+// Use these functions to sort and paginate lists
+const { listQuery, sendPage } = require("../utils/listQuery");
+
+// Publish changes to orders for anyone listening
+const ordersEvents = require("./orders.events");
+const { ORDER_EVENTS } = ordersEvents;
+
+// Use this function to stream order events to clients
+const openEventStream = require("../utils/sse");
+
+// Use these functions for ETags and conditional requests
+const { sendRecord, verifyIfMatch } = require("../utils/etag");
+const { ESTIMATE_FIELDS } = require("./estimates");
+
+// Use this function to apply PATCH requests
+const { applyPatch } = require("../utils/patch");
+
+// Use the order schemas to validate request data
+const validateBody = require("../validation/validateBody");
+const { normalizePhoneNumber } = require("../validation/phoneNumber");
+const {
+  createOrderSchema,
+  updateOrderSchema,
+  transitionSchema,
+  assignDriverSchema,
+  cancelOrderSchema,
+} = require("./orders.schema");
+
+// Use the refunds store and refund rules for cancellations
+const refundsService = require("../refunds/refunds.service");
+const { refundAmount } = require("./cancellation");
+
+// Use the roles and permissions to decide who can see and change an order
+const { isStaff } = require("../auth/roles");
+const { can, forbidden } = require("../auth/permissions");
 
 // Use this function to assigh ID's when necessary
 const nextId = require("../utils/nextId");
 
+// Use the order status state machine to validate status changes
+const {
+  TRANSITIONS,
+  RESERVED_STATUSES,
+  CLOSED_STATUSES,
+  isValidStatus,
+  canTransition,
+  describeStatuses,
+  applyStatus,
+  createdAt,
+} = require("./orderStatus");
+const { transitionBlocker } = require("./transitionGuards");
+
+// The statuses an order's dishes and address can still be changed in, before the kitchen starts on it
+const EDITABLE_STATUSES = ["scheduled", "pending"];
+
+// Fields a list of orders can be sorted by
+const SORT_FIELDS = {
+  id: (order) => order.id,
+  status: (order) => order.status,
+  deliverTo: (order) => order.deliverTo,
+  mobileNumber: (order) => order.mobileNumber,
+  createdAt,
+  total: (order) => order.pricing && order.pricing.total,
+};
+
 ////////////////////////////////////////////////////////////////////////
 // Validation Middleware
 ////////////////////////////////////////////////////////////////////////
 
-// Validate the the request body contains a specific property
-function requestDataHasProperty(propertyName) {
-  return function (req, res, next) {
-    // Get the body data from the request
-    const { data = {} } = req.body;
-    // Make sure the property exists and is not empty
-    if (data[propertyName])    
-      return next(); // Data is valid, go to the next function
-
-    // Invalid data, format the response message based on propertyName
-    let responseMessage = `Order must include a ${propertyName}`;
-    if (propertyName === "dishes")
-      responseMessage = "Order must include a dish";
-    else if (propertyName === "status")
-      responseMessage = "Order must have a status of pending, preparing, out-for-delivery, or delivered";
-
-    // Return an error
-    next({
-      status: 400,
-      message: responseMessage
-    });
+// Build the error for a status change the state machine does not allow
+function statusTransitionError(from, to) {
+  const allowed = TRANSITIONS[from];
+  return {
+    status: 409,
+    message: allowed.length
+      ? `Order status cannot change from ${from} to ${to}. It can only change to ${describeStatuses(allowed)}`
+      : `Order status cannot change from ${from} to ${to}. A ${from} order cannot change status`,
   };
 }
 
-// Validate the status property
+// Validate the status property when updating an existing order
 function validateStatusForExistingOrder(req, res, next) {
   // Get the body data from the request
   const { data: { status } } = req.body;
-  // Make sure the status property is a valid option
-  if (status === "pending" ||
-    status === "preparing" ||
-    status === "out-for-delivery")
-  {
-    // Data is valid, go to the next function
+  // Get the current status of the order from res.locals
+  const currentStatus = res.locals.order.status;
+
+  if (CLOSED_STATUSES.includes(currentStatus)) { // Cannot change a delivered, cancelled or refunded order
+    return next({
+      status: 400,
+      message: `A ${currentStatus} order cannot be changed`
+    });
+  }
+  if (status === currentStatus) {
+    // Status is unchanged, go to the next function
     return next();
   }
-  else if (status === "delivered") { // Valid option, but cannot change a delivered order
+  if (!can(res.locals.user, "orders:changeStatus")) { // Only staff can change the status
+    return next(forbidden(res.locals.user, "orders:changeStatus"));
+  }
+
+  // Status is changing, make sure the state machine allows it
+  verifyStatusTransition(req, res, next);
+}
+
+// Verify that the order is allowed to move to the status in the request body
+function verifyStatusTransition(req, res, next) {
+  // Get the body data from the request
+  const { data: { status } } = req.body;
+  // Get the current status of the order from res.locals
+  const currentStatus = res.locals.order.status;
+  if (RESERVED_STATUSES[status]) {
+    // The status has its own endpoint, a status change would skip its side effects
+    return next({
+      status: 409,
+      message: `Order status cannot be changed to ${status} directly. ${RESERVED_STATUSES[status]}`,
+    });
+  }
+  if (!canTransition(currentStatus, status)) {
+    // Status change is not allowed, return an error
+    return next(statusTransitionError(currentStatus, status));
+  }
+
+  // Make sure the order meets any other conditions for the new status
+  const blocker = transitionBlocker(res.locals.order, status);
+  if (blocker) {
+    return next({ status: 409, message: blocker });
+  }
+
+  // Status change is allowed, go to the next function
+  next();
+}
+
+// Find the driver to assign an order to, then store it in res.locals to assign the order later.
+// A driverId of "auto" picks the available driver with the fewest deliveries on the road.
+function findDriverToAssign(driverId, res, next) {
+  const driver = driverId === "auto" ? driversService.pickDriver() : driversService.read(driverId);
+  if (!driver) {
+    return next(driverId === "auto"
+      ? { status: 409, message: "No driver is available to deliver the order" }
+      : { status: 400, message: `Driver does not exist: ${driverId}` });
+  }
+  if (driver.status !== "available") {
+    return next({
+      status: 409,
+      message: `Driver ${driver.name} is ${driver.status}`,
+    });
+  }
+
+  res.locals.driver = driver;
+  next();
+}
+
+// Verify that the driver in the request, if any, can take the order out for delivery
+function verifyDriverAssignment(req, res, next) {
+  const { data: { status, driverId } } = req.body;
+  if (driverId === undefined) return next();
+
+  if (status !== "out-for-delivery") {
     return next({
       status: 400,
-      message: "A delivered order cannot be changed"
+      message: "Order driverId can only be given when the order goes out-for-delivery",
     });
   }
+  findDriverToAssign(driverId, res, next);
+}
+
+// Verify that the order is out for delivery and the driver in the request can deliver it.
+// However the order went out, e.g. bumped by the kitchen, it can be given a driver or another driver here.
+function verifyDriverCanBeAssigned(req, res, next) {
+  const { status } = res.locals.order;
+  if (status !== "out-for-delivery") {
+    return next({
+      status: 409,
+      message: `A driver can only be assigned to an order that is out-for-delivery, this order is ${status}`,
+    });
+  }
+  findDriverToAssign(req.body.data.driverId, res, next);
+}
+
+// Verify that every dish in the order exists in the dishes store
+function verifyDishesExist(req, res, next) {
+  // Get the dishes array from the request body
+  const { data: { dishes } } = req.body;
+  // Look up each ordered dish in the store, keeping the quantity and modifiers ordered
+  const lines = dishes.map(({ id, quantity, modifiers }) => ({
+    dish: dishesService.read(id),
+    quantity,
+    selections: modifiers,
+  }));
+  const index = lines.findIndex(({ dish }) => !dish);
+  if (index === -1) {
+    // Store the looked up dishes to price the order later
+    res.locals.lines = lines;
+    return next();
+  }
 
-  // Invalid data, return an error
+  // A dish could not be found, return an error
   next({
     status: 400,
-    message: "Order must have a status of pending, preparing, out-for-delivery, or delivered"
+    message: `dish ${index} does not exist: ${dishes[index].id}`
   });
 }
 
-// Validate the dishes property
-function validateDishes(req, res, next) {
-  // Get the body data from the request
-  const { data: { dishes } } = req.body;
-  // Make sure the dishes property is an array and has at least 1 item
-  if (Array.isArray(dishes) && dishes.length > 0) {
-    // Store the array to use later
-    res.locals.dishes = dishes;
-    return next(); // Data is valid, go to the next function
+// Verify that the modifiers picked for each dish are options the dish offers, reporting each dish with a problem
+function verifyModifiers(req, res, next) {
+  const errors = res.locals.lines.flatMap(({ dish, selections }, index) =>
+    selectionErrors(dish, selections).map((problem) => ({
+      field: `data.dishes[${index}].modifiers`,
+      message: `dish ${index} (${dish.name}) ${problem}`,
+    }))
+  );
+  if (errors.length) {
+    return next({
+      status: 400,
+      message: errors.map((error) => error.message).join("; "),
+      errors,
+    });
+  }
+
+  // Store the picked options with their names and prices to price the order later
+  res.locals.lines = res.locals.lines.map(({ dish, quantity, selections }) => ({
+    dish,
+    quantity,
+    modifiers: resolveModifiers(dish, selections),
+  }));
+  next();
+}
+
+// Check whether the dishes looked up for an update differ from the dishes on the order,
+// comparing the dish, quantity and options picked on each line
+function dishesChanged(order, lines) {
+  const optionKeys = (modifiers = []) => modifiers.map(({ groupId, optionId }) => `${groupId}/${optionId}`).join();
+  return lines.length !== order.dishes.length || lines.some(({ dish, quantity, modifiers }, index) => {
+    const ordered = order.dishes[index];
+    return dish.id !== ordered.id ||
+      quantity !== ordered.quantity ||
+      optionKeys(modifiers) !== optionKeys(ordered.modifiers);
+  });
+}
+
+// Verify that an update only changes the dishes while the order can still be repriced:
+// before the kitchen starts on it, and before it is paid for, since the payment holds the old total
+function verifyDishesCanChange(req, res, next) {
+  const { order, lines } = res.locals;
+  // Store whether the dishes changed, an order keeps the dishes and prices it has otherwise
+  res.locals.dishesChanged = dishesChanged(order, lines);
+  if (!res.locals.dishesChanged) return next();
+
+  if (!EDITABLE_STATUSES.includes(order.status)) {
+    return next({
+      status: 409,
+      message: `Order dishes cannot be changed once the order is ${order.status}`,
+    });
+  }
+  if (paymentsService.isAuthorizing(order.id)) {
+    return next({
+      status: 409,
+      message: "Order dishes cannot be changed while its payment is being authorized",
+    });
+  }
+  const payment = paymentsService.findActiveForOrder(order.id);
+  if (payment) {
+    return next({
+      status: 409,
+      message: `Order dishes cannot be changed once the order is paid for. Void payment ${payment.id} first`,
+    });
+  }
+
+  next();
+}
+
+// Verify that a paid order does not move to a zone with another delivery fee, since the payment holds the old total
+function verifyDeliveryFeeCanChange(req, res, next) {
+  const { order, deliveryZone } = res.locals;
+  if (!deliveryZone || !order.deliveryZone || deliveryZone.deliveryFee === order.deliveryZone.deliveryFee) {
+    return next();
+  }
+  if (paymentsService.isAuthorizing(order.id)) {
+    return next({
+      status: 409,
+      message: "Order cannot move to a delivery zone with another delivery fee while its payment is being authorized",
+    });
+  }
+  const payment = paymentsService.findActiveForOrder(order.id);
+  if (payment) {
+    return next({
+      status: 409,
+      message: `Order cannot move to a delivery zone with another delivery fee once it is paid for. Void payment ${payment.id} first`,
+    });
   }
 
-  // Invalid data, return an error
+  next();
+}
+
+// Verify that every dish in a new order can be ordered right now, reporting each one that cannot.
+// An update only checks the dishes it adds, so dishes already on the order can be sent again.
+function verifyDishesAvailable(req, res, next) {
+  const { order, lines } = res.locals;
+  if (order && !res.locals.dishesChanged) return next();
+
+  const ordered = new Set(order ? order.dishes.map(({ id }) => id) : []);
+  const now = new Date();
+  const errors = lines
+    .map(({ dish }, index) => {
+      if (ordered.has(dish.id)) return undefined;
+      const reason = unavailableReason(dish, now);
+      return reason && { field: `data.dishes[${index}]`, message: `dish ${index} (${dish.name}) ${reason}` };
+    })
+    .filter(Boolean);
+  if (!errors.length) return next();
+
   next({
     status: 400,
-    message: "Order must include at least one dish"
+    message: errors.map((error) => error.message).join("; "),
+    errors,
   });
 }
 
-// Validate each dish has a valid quantity property
-function validateDishesQuantity(req, res, next) {
-  // Get the dishes array from res.locals
-  const dishes = res.locals.dishes;
-  // Check that the dish contains 'quantity' property.
-  // Also check that quantity is a number, and that quantity is more than 0
-  dishes.every((dish, index) => {
-    if (!(dish.hasOwnProperty("quantity") && 
-      Number.isInteger(dish["quantity"]) &&
-      dish["quantity"] > 0))
-    {
-      // Invalid data, return an error
-      return next({
-        status: 400,
-        message: `dish ${index} must have a quantity that is an integer greater than 0`
-      });
-    }
-    return true; // Continue iteration
+// Verify that mobileNumber is a phone number we can call, written in E.164 form
+function verifyMobileNumber(req, res, next) {
+  const { data: { mobileNumber } } = req.body;
+  const normalized = normalizePhoneNumber(mobileNumber);
+  if (!normalized) {
+    return next({
+      status: 400,
+      message: `Order mobileNumber is not a valid phone number: ${mobileNumber}. Include the country code if it is not a ${config.phoneRegion} number, e.g. +12024561111`,
+    });
+  }
+
+  // Store the normalized number to save with the order
+  res.locals.mobileNumber = normalized;
+  next();
+}
+
+// Check whether an update sends an order somewhere else: to another address, or another location at it
+function deliveryMoved(order, deliverTo, deliveryLocation) {
+  const { lat, lng } = order.deliveryLocation || {};
+  return order.deliverTo !== deliverTo ||
+    (deliveryLocation !== undefined && (deliveryLocation.lat !== lat || deliveryLocation.lng !== lng));
+}
+
+// Verify that deliverTo is an address in one of our delivery zones.
+// An update only checks the address again when it changes, and it can only change before the kitchen starts on the order.
+function verifyDeliveryAddress(req, res, next) {
+  const { data: { deliverTo, deliveryLocation } } = req.body;
+  const { order } = res.locals;
+  if (order && !EDITABLE_STATUSES.includes(order.status)) {
+    return deliveryMoved(order, deliverTo, deliveryLocation)
+      ? next({ status: 409, message: `Order deliverTo cannot be changed once the order is ${order.status}` })
+      : next();
+  }
+  if (order && order.deliverTo === deliverTo && deliveryLocation === undefined) return next();
+
+  const address = parseAddress(deliverTo);
+  if (!address) {
+    return next({
+      status: 400,
+      message: "Order deliverTo must be a street address with a city, state and ZIP code, e.g. 308 Negra Arroyo Lane, Albuquerque, NM 87104",
+    });
+  }
+  const zone = deliveryZonesService.findForAddress(address, deliveryLocation);
+  if (!zone) {
+    return next({
+      status: 400,
+      message: `We do not deliver to ${formatAddress(address)}`,
+    });
+  }
+
+  // Store the address and zone to build the order later
+  res.locals.address = address;
+  res.locals.deliveryZone = zone;
+  next();
+}
+
+// Verify that a scheduled order is far enough ahead for the kitchen, not too far ahead, and due while we are open
+function verifySchedule(req, res, next) {
+  const { data: { scheduledFor } } = req.body;
+  if (scheduledFor === undefined) return next();
+
+  const due = new Date(scheduledFor);
+  const now = Date.now();
+  const earliest = now + config.scheduleLeadMinutes * 60 * 1000;
+  const latest = now + config.scheduleMaxDays * 24 * 60 * 60 * 1000;
+  if (due.getTime() < earliest) {
+    return next({
+      status: 400,
+      message: `Order must be scheduled at least ${config.scheduleLeadMinutes} minutes ahead`,
+    });
+  }
+  if (due.getTime() > latest) {
+    return next({
+      status: 400,
+      message: `Order cannot be scheduled more than ${config.scheduleMaxDays} days ahead`,
+    });
+  }
+  if (!isOpenAt(due)) {
+    return next({
+      status: 400,
+      message: `Order cannot be scheduled for ${scheduledFor} because we are closed. Opening hours are ${describeOpeningHours()}`,
+    });
+  }
+
+  next();
+}
+
+// Verify that there is enough stock to make everything on the order.
+// Stock the order already reserved counts as available, because the new reservation replaces it.
+// An update that keeps the dishes keeps the stock it reserved, so there is nothing to check.
+function verifyStockAvailable(req, res, next) {
+  const { order } = res.locals;
+  if (order && !res.locals.dishesChanged) return next();
+
+  const requirements = stock.requirementsFor(res.locals.lines);
+  const shortages = stock.shortages(requirements, order && order.stockReservation);
+  if (!shortages.length) {
+    // Store the ingredients needed to reserve them later
+    res.locals.stockRequirements = requirements;
+    return next();
+  }
+
+  next({
+    status: 409,
+    message: shortages
+      .map(({ name, needed, available }) => `Not enough ${name}: ${needed} needed, ${available} left`)
+      .join("; "),
+  });
+}
+
+// Verify that the promo code in the request, if any, can be applied to the order
+function verifyPromoCode(req, res, next) {
+  const { data: { promoCode } } = req.body;
+  if (promoCode === undefined) return next();
+
+  const promotion = promotionsService.findByCode(promoCode);
+  if (!promotion) {
+    return next({
+      status: 400,
+      message: `Promo code does not exist: ${promoCode}`,
+    });
+  }
+  // Minimum order values are checked against the food, before any discount
+  const { subtotal } = priceOrder(res.locals.lines);
+  const problem = promotionProblem(promotion, subtotal);
+  if (problem) {
+    return next({ status: 400, message: problem });
+  }
+
+  // Store the promotion to price the order later
+  res.locals.promotion = promotion;
+  next();
+}
+
+// Verify that an update changing the dishes keeps the order at or above its promotion's minimum.
+// The order already counts towards the promotion, so only the minimum is checked again.
+function verifyPromotionMinimum(req, res, next) {
+  const { order, lines } = res.locals;
+  const promotion = res.locals.dishesChanged && orderPromotion(order);
+  if (!promotion) return next();
+
+  const { subtotal } = priceOrder(lines);
+  const problem = minimumOrderProblem(promotion, subtotal);
+  if (!problem) return next();
+
+  next({
+    status: 400,
+    message: `${problem}, and these dishes come to ${subtotal}`,
   });
+}
+
+// Check that the signed in user can see the order.
+// Staff can see every order, customers only the orders they placed.
+function canAccessOrder(user, order) {
+  return isStaff(user) || order.customerId === user.id;
+}
+
+// Verify that the order's status allows it to be cancelled, and that no payment is being authorized
+// for it, since the refund is settled against the payment the order has when it is cancelled
+function verifyOrderCanBeCancelled(req, res, next) {
+  const { id, status: currentStatus } = res.locals.order;
+  if (!canTransition(currentStatus, "cancelled")) {
+    return next(statusTransitionError(currentStatus, "cancelled"));
+  }
+  if (paymentsService.isAuthorizing(id)) {
+    return next({
+      status: 409,
+      message: "An order cannot be cancelled while its payment is being authorized",
+    });
+  }
+
+  next();
+}
+
+// Validate the filter query parameters for listing orders
+function validateListFilters(req, res, next) {
+  const { status, mobileNumber } = req.query;
+  // Status is a comma separated list of statuses, each of which must be valid
+  const invalidStatus = status === undefined
+    ? undefined
+    : String(status).split(",").find((value) => !isValidStatus(value));
+  if (invalidStatus !== undefined) {
+    return next({
+      status: 400,
+      message: `Cannot filter by status ${invalidStatus}. Status must be ${describeStatuses()}`
+    });
+  }
+  // The mobile number can be written in any format, so it is compared in E.164 form
+  if (mobileNumber !== undefined && !normalizePhoneNumber(mobileNumber)) {
+    return next({
+      status: 400,
+      message: `Cannot filter by mobileNumber ${mobileNumber}. It is not a valid phone number`,
+    });
+  }
 
-  // Data is valid, go to the next function
+  // Filters are valid, go to the next function
   next();
 }
 
-// Verify that an order in the orders array has an id that matches the orderId in the request parameter
+// Verify that an order in the store has an id that matches the orderId in the request parameter
 function orderExists(req, res, next) {
   // Get the orderId from request parameters
   const { orderId } = req.params;
-  // Use find to set the order from the orders array matching the orderId
-  const foundOrder = orders.find(order => order.id === orderId);
-  if (foundOrder) { // Matching order found
+  // Read the order matching the orderId from the store
+  const foundOrder = service.read(orderId);
+  // Orders that belong to someone else are reported as missing so their ids are not revealed
+  if (foundOrder && canAccessOrder(res.locals.user, foundOrder)) { // Matching order found
     // Store the matching order object in res.locals to use in later functions in the route chain
     res.locals.order = foundOrder;
     // Go to the next function in the chain
@@ -157,91 +604,356 @@ function verifyOrderIsPending(req, res, next) {
   });
 }
 
+// Verify that the order has no payment holding money for it, or being authorized for it,
+// since a deleted order's payments can no longer be reached
+function verifyOrderIsUnpaid(req, res, next) {
+  const orderId = res.locals.order.id;
+  if (paymentsService.isAuthorizing(orderId)) {
+    return next({
+      status: 409,
+      message: "An order cannot be deleted while its payment is being authorized",
+    });
+  }
+  const payment = paymentsService.findActiveForOrder(orderId);
+  if (!payment) return next();
+
+  next({
+    status: 409,
+    message: `An order cannot be deleted once it is paid for. Void payment ${payment.id} first`,
+  });
+}
+
 ////////////////////////////////////////////////////////////////////////
 // Route Middleware
 ////////////////////////////////////////////////////////////////////////
 
+// Build the dishes and pricing of an order from the looked up dishes, any promotion applied
+// and the zone it is delivered in. Orders placed before delivery zones pay the standard fee.
+function buildOrderDishes(lines, promotion, deliveryZone) {
+  return {
+    // Copy each dish from the store so the order keeps the details it was placed with
+    dishes: lines.map(({ dish, quantity, modifiers = [] }) => ({
+      ...dish,
+      quantity,
+      ...(modifiers.length && { modifiers }),
+    })),
+    pricing: priceOrder(lines, { promotion, deliveryFee: deliveryZone && deliveryZone.deliveryFee }),
+  };
+}
+
+// Build the delivery details of an order from its parsed address and the zone that delivers there
+function buildDelivery(address, zone, deliveryLocation) {
+  return {
+    // Write the address the same way every time
+    deliverTo: formatAddress(address),
+    address,
+    ...(deliveryLocation && { deliveryLocation }),
+    // Keep a copy of the zone so later changes to it do not change the order
+    deliveryZone: {
+      id: zone.id,
+      name: zone.name,
+      deliveryFee: zone.deliveryFee,
+      estimatedMinutes: zone.estimatedMinutes,
+    },
+  };
+}
+
+// Turn the dishes on an order back into lines to price, using the copies the order keeps
+function orderLines(order) {
+  return order.dishes.map((dish) => ({ dish, quantity: dish.quantity, modifiers: dish.modifiers }));
+}
+
+// Find the promotion an order was placed with, so repricing the order keeps its discount.
+// Orders keep a copy of it; orders placed before they did look it up in the store.
+function orderPromotion(order) {
+  if (order.appliedPromotion) return order.appliedPromotion;
+  const discount = order.pricing && order.pricing.discount;
+  return discount && promotionsService.read(discount.promotionId);
+}
+
+// Give back an order's use of its promotion, for an order that will never be delivered
+function releasePromotion(order) {
+  const { discount } = order.pricing || {};
+  if (discount) promotionsService.releaseUse(discount.promotionId);
+}
+
+// Respond with the order and its ETag. The estimates are worked out as the order is read,
+// so the ETag changes when they move even though the order's version does not.
+function sendOrder(res, order, status = 200) {
+  sendRecord(res, order, status, ESTIMATE_FIELDS);
+}
+
 // Request: GET /orders
 function list(req, res) {
-  // Respond with the entire orders array
-  res.json({ data: orders });
+  // Get the filters from the query string
+  const { status, mobileNumber, deliverTo } = req.query;
+  const statuses = status === undefined ? undefined : String(status).split(",");
+  const phoneNumber = mobileNumber === undefined ? undefined : normalizePhoneNumber(mobileNumber);
+  // Keep the orders that match every filter given
+  const orders = service.list().filter((order) =>
+    canAccessOrder(res.locals.user, order) &&
+    (statuses === undefined || statuses.includes(order.status)) &&
+    (phoneNumber === undefined || normalizePhoneNumber(order.mobileNumber) === phoneNumber) &&
+    (deliverTo === undefined || order.deliverTo.toLowerCase().includes(String(deliverTo).toLowerCase()))
+  );
+  // Respond with the sorted page of matching orders
+  sendPage(req, res, orders);
 }
 
 // Request: POST /orders
 function create(req, res) {
   // Get the data from the request body
-  const { data: { deliverTo, mobileNumber, dishes } = {} } = req.body;
-  // Create the new dish object
-  const newOrder = {
+  const { data: { scheduledFor, deliveryLocation } = {} } = req.body;
+  const { promotion, address, deliveryZone, mobileNumber } = res.locals;
+  // Take the ingredients for the order out of stock
+  const stockReservation = stock.reserve(res.locals.stockRequirements);
+  // Create the new order object, starting its status history at pending, or scheduled if it is for later
+  const newOrder = applyStatus({
     id: nextId(), // Get the ID from nextId function
-    deliverTo,
+    customerId: res.locals.user.id, // The order belongs to whoever placed it
+    ...buildDelivery(address, deliveryZone, deliveryLocation),
     mobileNumber,
-    dishes,
-  };
-  // Add the new dish object to the array of dishes
-  orders.push(newOrder);
-  // Respond with a status of 201 and an object containing the new dish
-  res.status(201).json({ data: newOrder });
+    // Normalize the time so the scheduler can compare it
+    ...(scheduledFor && { scheduledFor: new Date(scheduledFor).toISOString() }),
+    ...(promotion && { promoCode: promotion.code, appliedPromotion: discountRule(promotion) }),
+    ...buildOrderDishes(res.locals.lines, promotion, deliveryZone),
+    ...(stockReservation.length && { stockReservation }),
+  }, scheduledFor ? "scheduled" : "pending");
+  // Save the new order to the store
+  const createdOrder = service.create(newOrder);
+  // Count the order towards the promotion's usage limit
+  if (promotion) promotionsService.recordUse(promotion);
+  ordersEvents.publish(ORDER_EVENTS.CREATED, createdOrder);
+  // Respond with a status of 201 and an object containing the new order
+  sendOrder(res, createdOrder, 201);
 }
 
 // Request: GET /orders/:orderId
 function read(req, res, next) {
   // Respond with the order object stored in res.locals
-  res.json({ data: res.locals.order });
+  sendOrder(res, res.locals.order);
 };
 
-// Request: PUT /orders/:orderId
+// Request: PUT /orders/:orderId and PATCH /orders/:orderId
 function update(req, res, next) {
   // Get the matching order from res.locals
   const foundOrder = res.locals.order;
-  // Get the new data from the request body
-  const { data: { deliverTo, mobileNumber, status, dishes } = {} } = req.body;
+  // Get the new data from the request body.
+  // The order keeps the time it was scheduled for, so scheduledFor is not taken from the update.
+  const { data: { deliverTo, status, deliveryLocation } = {} } = req.body;
+  const { mobileNumber } = res.locals;
+  // A changed address was matched to a zone, otherwise the order keeps its delivery details
+  const { address, deliveryZone = foundOrder.deliveryZone } = res.locals;
+  const delivery = address ? buildDelivery(address, deliveryZone, deliveryLocation) : { deliverTo };
+
+  // Apply the new status, recording it in the status history only when it changes
+  const orderWithStatus = status === foundOrder.status
+    ? foundOrder
+    : applyStatus(foundOrder, status);
+
+  // Swap the stock reserved for the old dishes for the stock the new dishes need.
+  // Unchanged dishes keep what they reserved, even if their recipes have changed since.
+  const stockReservation = res.locals.dishesChanged
+    ? stock.reserve(res.locals.stockRequirements, foundOrder.stockReservation)
+    : foundOrder.stockReservation || [];
+
+  // New dishes are priced from the store, unchanged dishes keep the prices the order was placed with
+  const lines = res.locals.dishesChanged ? res.locals.lines : orderLines(foundOrder);
+
+  // Save the updated order to the store
+  const updatedOrder = service.update({
+    ...orderWithStatus,
+    ...delivery,
+    mobileNumber,
+    ...buildOrderDishes(lines, orderPromotion(foundOrder), deliveryZone),
+    stockReservation: stockReservation.length ? stockReservation : undefined,
+  });
+  ordersEvents.publish(ORDER_EVENTS.UPDATED, updatedOrder);
+  if (status !== foundOrder.status) {
+    ordersEvents.publish(ORDER_EVENTS.STATUS_CHANGED, updatedOrder);
+  }
+
+  // Respond with the updated order
+  sendOrder(res, updatedOrder);
+}
+
+// Request: POST /orders/:orderId/transitions
+function transition(req, res) {
+  // Get the new status from the request body
+  const { data: { status } } = req.body;
+  const { driver } = res.locals;
+  // Save the order with its new status, and the driver taking it out if one was assigned, to the store
+  const updatedOrder = service.update(applyStatus({
+    ...res.locals.order,
+    ...(driver && { driverId: driver.id, assignedAt: new Date().toISOString() }),
+  }, status));
+  ordersEvents.publish(ORDER_EVENTS.STATUS_CHANGED, updatedOrder);
+  // Respond with the updated order
+  sendOrder(res, updatedOrder);
+}
+
+// Request: PUT /orders/:orderId/driver
+function assignDriver(req, res) {
+  const { order, driver } = res.locals;
+  const updatedOrder = service.update({ ...order, driverId: driver.id, assignedAt: new Date().toISOString() });
+  ordersEvents.publish(ORDER_EVENTS.UPDATED, updatedOrder);
+  sendOrder(res, updatedOrder);
+}
+
+// Request: POST /orders/:orderId/cancel
+function cancel(req, res) {
+  const { order, user } = res.locals;
+  const { data: { reason } } = req.body;
+  const now = new Date();
+
+  // Record the refund owed for how far the order had progressed
+  const refund = refundsService.create({
+    id: nextId(),
+    orderId: order.id,
+    amount: refundAmount(order),
+    // The payment is settled once the cancellation has been saved
+    status: "pending",
+    reason,
+    createdBy: user.id,
+    createdAt: now.toISOString(),
+  });
+
+  // Keep the order for history, marked as cancelled with who cancelled it and why
+  const cancelledOrder = service.update(applyStatus({
+    ...order,
+    cancellation: {
+      cancelledBy: user.id,
+      reason,
+      cancelledAt: now.toISOString(),
+      refundId: refund.id,
+      refundAmount: refund.amount,
+    },
+  }, "cancelled", now));
+  // The order will never be delivered, so give back its use of the promotion
+  releasePromotion(order);
+  ordersEvents.publish(ORDER_EVENTS.STATUS_CHANGED, cancelledOrder);
+
+  // Respond with the order as stored, since giving back its stock changes it again
+  sendOrder(res, service.read(cancelledOrder.id));
+}
+
+// Request: GET /orders/:orderId/refunds
+function listRefunds(req, res) {
+  res.json({ data: refundsService.listForOrder(res.locals.order.id) });
+}
+
+// Stream order events to the client, keeping only the events that match the filter
+function streamEvents(req, res, filter) {
+  const send = openEventStream(req, res);
+  const unsubscribe = ordersEvents.subscribe(({ type, order, occurredAt }) => {
+    if (filter(order)) send(type, { data: order, occurredAt });
+  });
+  // Stop listening once the client disconnects
+  req.on("close", unsubscribe);
+}
 
-  // Update the order
-  foundOrder.deliverTo = deliverTo;
-  foundOrder.mobileNumber = mobileNumber;
-  foundOrder.status = status;
-  foundOrder.dishes = dishes;
+// Request: GET /orders/events
+function streamAll(req, res) {
+  // Stream events for every order
+  streamEvents(req, res, () => true);
+}
 
-  // Respond with the updated dish
-  res.json({ data: foundOrder });
+// Request: GET /orders/:orderId/events
+function streamOrder(req, res) {
+  // Stream events for the order in res.locals only
+  const orderId = res.locals.order.id;
+  streamEvents(req, res, (order) => order.id === orderId);
 }
 
 // Request: DELETE /orders/:orderId
 function destroy(req, res) {
   // Get the order id from res.locals
   const orderId = res.locals.order.id;
-  // Find the index of the matching order in the array of orders
-  const index = orders.findIndex((order) => order.id === orderId);
-  // Remove the matching index from the array of orders
-  const deletedOrder = orders.splice(index, 1);
+  // Remove the matching order from the store
+  service.delete(orderId);
+  // The order never went anywhere, so give back its use of the promotion
+  releasePromotion(res.locals.order);
+  ordersEvents.publish(ORDER_EVENTS.DELETED, res.locals.order);
   // send a response with no message
   res.sendStatus(204);
 }
 
 // Export route middleware for the router to call
 module.exports = {
-  list,
+  orderExists,
+  list: [listQuery(SORT_FIELDS), validateListFilters, list], // Run validation checks before calling list
   create: [
-    requestDataHasProperty("deliverTo"),
-    requestDataHasProperty("mobileNumber"),
-    requestDataHasProperty("dishes"),
-    validateDishes,
-    validateDishesQuantity,
+    validateBody(createOrderSchema),
+    verifyMobileNumber,
+    verifyDeliveryAddress,
+    verifySchedule,
+    verifyDishesExist,
+    verifyModifiers,
+    verifyDishesAvailable,
+    verifyStockAvailable,
+    verifyPromoCode,
     create
   ], // Run validation checks before calling update
   read: [orderExists, read], // Run validation checks before calling update
   update: [
     orderExists,
-    requestDataHasProperty("deliverTo"),
-    requestDataHasProperty("mobileNumber"),
-    requestDataHasProperty("status"),
+    verifyIfMatch("order"),
+    validateBody(updateOrderSchema),
     validateStatusForExistingOrder,
-    requestDataHasProperty("dishes"),
-    validateDishes,
-    validateDishesQuantity,
+    verifyMobileNumber,
+    verifyDeliveryAddress,
+    verifyDishesExist,
+    verifyModifiers,
+    verifyDishesCanChange,
+    verifyDishesAvailable,
+    verifyPromotionMinimum,
+    verifyDeliveryFeeCanChange,
     verifyOrderIdDataMatchesRoute,
+    verifyStockAvailable,
     update
   ], // Run validation checks before calling update
-  delete: [orderExists, verifyOrderIsPending, destroy],
+  patch: [
+    orderExists,
+    verifyIfMatch("order"),
+    applyPatch("order"),
+    validateBody(updateOrderSchema),
+    validateStatusForExistingOrder,
+    verifyMobileNumber,
+    verifyDeliveryAddress,
+    verifyDishesExist,
+    verifyModifiers,
+    verifyDishesCanChange,
+    verifyDishesAvailable,
+    verifyPromotionMinimum,
+    verifyDeliveryFeeCanChange,
+    verifyOrderIdDataMatchesRoute,
+    verifyStockAvailable,
+    update
+  ], // Apply the patch, then run the same checks as a full update
+  delete: [orderExists, verifyOrderIsPending, verifyOrderIsUnpaid, destroy],
+  transition: [
+    orderExists,
+    verifyIfMatch("order"),
+    validateBody(transitionSchema),
+    verifyStatusTransition,
+    verifyDriverAssignment,
+    transition
+  ], // Run validation checks before changing the status
+  assignDriver: [
+    orderExists,
+    verifyIfMatch("order"),
+    validateBody(assignDriverSchema),
+    verifyDriverCanBeAssigned,
+    assignDriver
+  ], // Run validation checks before assigning the driver
+  cancel: [
+    orderExists,
+    verifyIfMatch("order"),
+    validateBody(cancelOrderSchema),
+    verifyOrderCanBeCancelled,
+    cancel
+  ], // Run validation checks before cancelling the order
+  listRefunds: [orderExists, listRefunds],
+  streamAll,
+  streamOrder: [orderExists, streamOrder],
 };
@@ -0,0 +1,27 @@
+const { EventEmitter } = require("events");
+
+// Every change to an order is published here so other parts of the app can react to it
+const emitter = new EventEmitter();
+// Each open event stream subscribes, so there is no sensible listener limit
+emitter.setMaxListeners(0);
+
+// The kinds of events published for orders
+const ORDER_EVENTS = {
+  CREATED: "order.created",
+  UPDATED: "order.updated",
+  STATUS_CHANGED: "order.status-changed",
+  DELETED: "order.deleted",
+};
+
+// Publish an event about an order
+function publish(type, order) {
+  emitter.emit("order", { type, order, occurredAt: new Date().toISOString() });
+}
+
+// Call listener with every order event, returning a function that stops listening
+function subscribe(listener) {
+  emitter.on("order", listener);
+  return () => emitter.off("order", listener);
+}
+
+module.exports = { ORDER_EVENTS, publish, subscribe };
@@ -1,17 +1,46 @@
 const router = require("express").Router();
 const controller = require("./orders.controller");
+const paymentsRouter = require("../payments/payments.router");
 const methodNotAllowed = require("../errors/methodNotAllowed");
+const { authorize } = require("../auth/permissions");
 
+// Routes for /orders/events
+router.route("/events")
+  .get(authorize("orders:streamAll"), controller.streamAll)
+  .all(methodNotAllowed);
+// Routes for /orders/:orderId/events
+router.route("/:orderId/events")
+  .get(authorize("orders:read"), controller.streamOrder)
+  .all(methodNotAllowed);
+// Routes for /orders/:orderId/cancel
+router.route("/:orderId/cancel")
+  .post(authorize("orders:cancel"), controller.cancel)
+  .all(methodNotAllowed);
+// Routes for /orders/:orderId/refunds
+router.route("/:orderId/refunds")
+  .get(authorize("orders:read"), controller.listRefunds)
+  .all(methodNotAllowed);
+// Routes for /orders/:orderId/payments, which only reach orders the user can see
+router.use("/:orderId/payments", controller.orderExists, paymentsRouter);
+// Routes for /orders/:orderId/transitions
+router.route("/:orderId/transitions")
+  .post(authorize("orders:changeStatus"), controller.transition)
+  .all(methodNotAllowed);
+// Routes for /orders/:orderId/driver
+router.route("/:orderId/driver")
+  .put(authorize("orders:assignDriver"), controller.assignDriver)
+  .all(methodNotAllowed);
 // Routes for /orders/:orderId
 router.route("/:orderId")
-  .get(controller.read)
-  .put(controller.update)
-  .delete(controller.delete)
+  .get(authorize("orders:read"), controller.read)
+  .put(authorize("orders:update"), controller.update)
+  .patch(authorize("orders:update"), controller.patch)
+  .delete(authorize("orders:delete"), controller.delete)
   .all(methodNotAllowed);
 // Routes for /orders
 router.route("/")
-  .get(controller.list)
-  .post(controller.create)
+  .get(authorize("orders:list"), controller.list)
+  .post(authorize("orders:create"), controller.create)
   .all(methodNotAllowed);
 
 module.exports = router;
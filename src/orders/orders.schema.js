@@ -0,0 +1,161 @@
+const { STATUSES, describeStatuses } = require("./orderStatus");
+const dateTimeSchema = require("../validation/dateTimeSchema");
+
+const statusSchema = {
+  type: "string",
+  enum: STATUSES,
+  errorMessage: `Order must have a status of ${describeStatuses()}`,
+};
+
+// The shape of the data in a request to create an order
+const createOrderSchema = {
+  type: "object",
+  errorMessage: "Request body must have a data object",
+  required: ["deliverTo", "mobileNumber", "dishes"],
+  properties: {
+    deliverTo: {
+      type: "string",
+      minLength: 1,
+      errorMessage: "Order must include a deliverTo",
+    },
+    mobileNumber: {
+      type: "string",
+      minLength: 1,
+      errorMessage: "Order must include a mobileNumber",
+    },
+    deliveryLocation: {
+      type: "object",
+      errorMessage: "Order deliveryLocation must be an object with a lat and lng",
+      required: ["lat", "lng"],
+      properties: {
+        lat: {
+          type: "number",
+          minimum: -90,
+          maximum: 90,
+          errorMessage: "Order deliveryLocation must have a lat from -90 to 90",
+        },
+        lng: {
+          type: "number",
+          minimum: -180,
+          maximum: 180,
+          errorMessage: "Order deliveryLocation must have a lng from -180 to 180",
+        },
+      },
+    },
+    scheduledFor: dateTimeSchema("Order scheduledFor must be a date and time"),
+    promoCode: {
+      type: "string",
+      minLength: 1,
+      errorMessage: "Order promoCode must be a string",
+    },
+    dishes: {
+      type: "array",
+      minItems: 1,
+      errorMessage: {
+        required: "Order must include a dish",
+        default: "Order must include at least one dish",
+      },
+      items: {
+        type: "object",
+        errorMessage: "dish {index} must be an object",
+        required: ["id", "quantity"],
+        properties: {
+          id: {
+            type: "string",
+            minLength: 1,
+            errorMessage: "dish {index} must include an id",
+          },
+          quantity: {
+            type: "integer",
+            exclusiveMinimum: 0,
+            errorMessage: "dish {index} must have a quantity that is an integer greater than 0",
+          },
+          modifiers: {
+            type: "array",
+            errorMessage: "dish {index} must have modifiers that are an array",
+            items: {
+              type: "object",
+              errorMessage: "modifier {index} must be an object",
+              required: ["groupId", "optionId"],
+              properties: {
+                groupId: {
+                  type: "string",
+                  minLength: 1,
+                  errorMessage: "modifier {index} must include a groupId",
+                },
+                optionId: {
+                  type: "string",
+                  minLength: 1,
+                  errorMessage: "modifier {index} must include an optionId",
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+// The shape of the data in a request to update an order, which must also include its status
+const updateOrderSchema = {
+  ...createOrderSchema,
+  required: [...createOrderSchema.required, "status"],
+  properties: {
+    ...createOrderSchema.properties,
+    status: statusSchema,
+  },
+};
+
+// The shape of the data in a request to change an order's status
+const transitionSchema = {
+  type: "object",
+  errorMessage: "Request body must have a data object",
+  required: ["status"],
+  properties: {
+    status: statusSchema,
+    // The driver taking an order out for delivery, or "auto" to pick one
+    driverId: {
+      type: "string",
+      minLength: 1,
+      errorMessage: "Order driverId must be a driver id or auto",
+    },
+  },
+};
+
+// The shape of the data in a request to assign a driver to an order out for delivery
+const assignDriverSchema = {
+  type: "object",
+  errorMessage: "Request body must have a data object",
+  required: ["driverId"],
+  properties: {
+    // The driver delivering the order, or "auto" to pick one
+    driverId: {
+      type: "string",
+      minLength: 1,
+      errorMessage: "Order driverId must be a driver id or auto",
+    },
+  },
+};
+
+// The shape of the data in a request to cancel an order
+const cancelOrderSchema = {
+  type: "object",
+  errorMessage: "Request body must have a data object",
+  required: ["reason"],
+  properties: {
+    reason: {
+      type: "string",
+      minLength: 1,
+      errorMessage: "Cancellation must include a reason",
+    },
+  },
+};
+
+module.exports = {
+  createOrderSchema,
+  updateOrderSchema,
+  transitionSchema,
+  assignDriverSchema,
+  cancelOrderSchema,
+};
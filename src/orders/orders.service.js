@@ -0,0 +1,71 @@
+const path = require("path");
+const makeStore = require("../db/makeStore");
+const { KITCHEN_STATUSES, estimateTimes } = require("./estimates");
+const { placedTime } = require("./orderStatus");
+
+// The existing order data is the initial set of orders in the store
+const orders = require(path.resolve("src/data/orders-data"));
+
+const store = makeStore("orders", orders);
+
+// The orders the kitchen is working on, in the order they were stored
+function kitchenOrders() {
+  return store.list().filter((order) => KITCHEN_STATUSES.includes(order.status));
+}
+
+// Return when the kitchen got the order, ranking orders without a known time after the rest as the kitchen queue does
+function queueTime(order) {
+  const placedAt = placedTime(order);
+  return Number.isNaN(placedAt) ? Infinity : placedAt;
+}
+
+// Count the orders in the kitchen ahead of this one: those already being prepared, and those the kitchen got before it.
+// A scheduled order joins the queue when it is released, not when it was booked.
+// Orders the kitchen got at the same time are taken in the order they were stored.
+function queueDepth(order, inKitchen) {
+  const placedAt = queueTime(order);
+  const position = inKitchen.findIndex(({ id }) => id === order.id);
+  return inKitchen.filter((other, index) => {
+    if (other.id === order.id) return false;
+    if (other.status === "preparing") return true;
+    const otherPlacedAt = queueTime(other);
+    return otherPlacedAt < placedAt || (otherPlacedAt === placedAt && (position === -1 || index < position));
+  }).length;
+}
+
+// Return a copy of the order with fresh estimates of when it will be ready and delivered
+function withEstimates(order, inKitchen = kitchenOrders()) {
+  return { ...order, ...estimateTimes(order, queueDepth(order, inKitchen)) };
+}
+
+// Return every order. The estimates are worked out as the orders are read, so they move
+// as the kitchen's queue drains rather than staying as they were when each order last changed.
+function list() {
+  const inKitchen = kitchenOrders();
+  return store.list().map((order) => withEstimates(order, inKitchen));
+}
+
+// Return the order with a matching id, with its estimates worked out now
+function read(id) {
+  const order = store.read(id);
+  return order && withEstimates(order);
+}
+
+// Add a new order with its first estimates
+function create(order) {
+  return store.create(withEstimates(order));
+}
+
+// Replace a stored order, estimating its times again since its status or dishes may have changed.
+// Delivered and cancelled orders keep the last estimates saved for them.
+function update(order) {
+  return store.update(withEstimates(order));
+}
+
+module.exports = {
+  ...store,
+  list,
+  read,
+  create,
+  update,
+};
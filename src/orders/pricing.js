@@ -0,0 +1,69 @@
+const config = require("../config");
+const { computeDiscount } = require("../promotions/discounts");
+
+// Round an amount of money to whole cents
+function roundCurrency(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Compute the price of one of a dish with the modifiers picked for it
+function unitPrice(dish, modifiers = []) {
+  return roundCurrency(modifiers.reduce((sum, { priceDelta }) => sum + priceDelta, dish.price));
+}
+
+// Compute the price breakdown for an order.
+// Each line is a dish from the dishes store, the quantity ordered and any modifiers picked,
+// so the prices always come from the store rather than the request.
+// When a promotion is given, the discount it gives is recorded in the breakdown:
+// food discounts come off the subtotal before tax, and free delivery waives the delivery fee.
+function priceOrder(lines, { taxRate = config.taxRate, deliveryFee = config.deliveryFee, promotion } = {}) {
+  const lineItems = lines.map(({ dish, quantity, modifiers = [] }) => {
+    const price = unitPrice(dish, modifiers);
+    return {
+      dishId: dish.id,
+      name: dish.name,
+      ...(modifiers.length && { modifiers }),
+      unitPrice: price,
+      quantity,
+      lineTotal: roundCurrency(price * quantity),
+    };
+  });
+  const subtotal = roundCurrency(
+    lineItems.reduce((sum, lineItem) => sum + lineItem.lineTotal, 0)
+  );
+
+  if (!promotion) {
+    const tax = roundCurrency(subtotal * taxRate);
+    return {
+      lineItems,
+      subtotal,
+      taxRate,
+      tax,
+      deliveryFee,
+      total: roundCurrency(subtotal + tax + deliveryFee),
+    };
+  }
+
+  const { itemsDiscount, freeDelivery } = computeDiscount(promotion, { lineItems, subtotal });
+  const foodDiscount = roundCurrency(itemsDiscount);
+  const tax = roundCurrency((subtotal - foodDiscount) * taxRate);
+  const chargedDeliveryFee = freeDelivery ? 0 : deliveryFee;
+
+  return {
+    lineItems,
+    subtotal,
+    discount: {
+      promotionId: promotion.id,
+      code: promotion.code,
+      type: promotion.type,
+      // Everything the customer saved, including a waived delivery fee
+      amount: roundCurrency(foodDiscount + deliveryFee - chargedDeliveryFee),
+    },
+    taxRate,
+    tax,
+    deliveryFee: chargedDeliveryFee,
+    total: roundCurrency(subtotal - foodDiscount + tax + chargedDeliveryFee),
+  };
+}
+
+module.exports = { roundCurrency, priceOrder };
@@ -0,0 +1,55 @@
+const config = require("../config");
+const service = require("./orders.service");
+const ordersEvents = require("./orders.events");
+const { ORDER_EVENTS } = ordersEvents;
+const { applyStatus } = require("./orderStatus");
+
+// Return when a scheduled order should reach the kitchen: the lead time before it is due
+function releaseTime(order, leadMinutes = config.scheduleLeadMinutes) {
+  return new Date(order.scheduledFor).getTime() - leadMinutes * 60 * 1000;
+}
+
+// Create a scheduler that moves scheduled orders to pending once they are due in the kitchen.
+// The clock and timer functions can be replaced, so tests can control time instead of waiting for it.
+function createScheduler({
+  clock = () => new Date(),
+  intervalMs = config.schedulerIntervalSeconds * 1000,
+  leadMinutes = config.scheduleLeadMinutes,
+  setInterval = global.setInterval,
+  clearInterval = global.clearInterval,
+} = {}) {
+  let timer;
+
+  // Release every scheduled order that is due, returning the orders that were released
+  function tick() {
+    const now = clock();
+    return service
+      .list()
+      .filter((order) => order.status === "scheduled" && releaseTime(order, leadMinutes) <= now.getTime())
+      .map((order) => {
+        const releasedOrder = service.update(applyStatus(order, "pending", now));
+        ordersEvents.publish(ORDER_EVENTS.STATUS_CHANGED, releasedOrder);
+        return releasedOrder;
+      });
+  }
+
+  // Check for due orders now and then every interval. Starting a running scheduler has no effect.
+  function start() {
+    if (timer) return;
+    tick();
+    timer = setInterval(tick, intervalMs);
+    // Do not keep the process alive just for the scheduler
+    if (timer && timer.unref) timer.unref();
+  }
+
+  // Stop checking for due orders
+  function stop() {
+    if (!timer) return;
+    clearInterval(timer);
+    timer = undefined;
+  }
+
+  return { tick, start, stop };
+}
+
+module.exports = { createScheduler, releaseTime };
@@ -0,0 +1,12 @@
+const paymentsService = require("../payments/payments.service");
+
+// Conditions an order must meet to move to a status, on top of the state machine.
+// Returns the reason the order cannot move, or undefined if it can.
+function transitionBlocker(order, status) {
+  if (order.status === "pending" && status !== "cancelled" && !paymentsService.findActiveForOrder(order.id)) {
+    return "Order cannot leave pending until its payment is authorized";
+  }
+  return undefined;
+}
+
+module.exports = { transitionBlocker };
@@ -0,0 +1,26 @@
+const config = require("../../config");
+const createMockGateway = require("./mockGateway");
+
+// A payment gateway is an object with a name and these methods, each returning a promise:
+//
+//   authorize({ amount, currency, source, reference }) resolves { transactionId }
+//   capture(transactionId, amount)                     resolves { transactionId }
+//   void(transactionId)                                resolves { transactionId }
+//   refund(transactionId, amount)                      resolves { refundId }
+//
+// A gateway rejects with { status, message } when it declines a request.
+// To add a provider, write a module that creates such an object and add it below.
+const GATEWAYS = {
+  mock: createMockGateway,
+};
+
+// Create the gateway picked in config
+function makeGateway(name = config.paymentGateway) {
+  const createGateway = GATEWAYS[name];
+  if (!createGateway) {
+    throw new Error(`Unknown PAYMENT_GATEWAY "${name}". Use one of: ${Object.keys(GATEWAYS).join(", ")}.`);
+  }
+  return createGateway();
+}
+
+module.exports = makeGateway;
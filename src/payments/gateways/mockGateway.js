@@ -0,0 +1,76 @@
+// A payment gateway for local development and tests that never talks to a real provider.
+// It is deterministic: transaction ids count up from 1, and the payment source decides the outcome.
+
+// Sources the mock gateway declines, and the reason it gives
+const DECLINED_SOURCES = {
+  tok_declined: "Card declined",
+  tok_insufficient_funds: "Insufficient funds",
+};
+
+// Create a mock gateway with its own set of transactions
+function createMockGateway() {
+  const transactions = new Map();
+  let sequence = 0;
+
+  // Build the error for a request the gateway rejects
+  function decline(message) {
+    return Promise.reject({ status: 402, message });
+  }
+
+  // Find a transaction the gateway has seen, or undefined
+  function find(transactionId) {
+    return transactions.get(transactionId);
+  }
+
+  // Hold the amount on the payment source
+  function authorize({ amount, currency, source }) {
+    if (DECLINED_SOURCES[source]) return decline(DECLINED_SOURCES[source]);
+    if (!(amount > 0)) return decline(`Cannot authorize an amount of ${amount}`);
+
+    sequence += 1;
+    const transactionId = `mock_txn_${String(sequence).padStart(6, "0")}`;
+    transactions.set(transactionId, { amount, currency, status: "authorized", captured: 0, refunded: 0 });
+    return Promise.resolve({ transactionId });
+  }
+
+  // Take up to the authorized amount; any remainder of the hold is released
+  function capture(transactionId, amount) {
+    const transaction = find(transactionId);
+    if (!transaction || transaction.status !== "authorized") {
+      return decline(`Transaction ${transactionId} cannot be captured`);
+    }
+    if (amount > transaction.amount) {
+      return decline(`Cannot capture ${amount}, only ${transaction.amount} was authorized`);
+    }
+    transactions.set(transactionId, { ...transaction, status: "captured", captured: amount });
+    return Promise.resolve({ transactionId });
+  }
+
+  // Release the hold without taking any money
+  function voidTransaction(transactionId) {
+    const transaction = find(transactionId);
+    if (!transaction || transaction.status !== "authorized") {
+      return decline(`Transaction ${transactionId} cannot be voided`);
+    }
+    transactions.set(transactionId, { ...transaction, status: "voided" });
+    return Promise.resolve({ transactionId });
+  }
+
+  // Return money that was captured
+  function refund(transactionId, amount) {
+    const transaction = find(transactionId);
+    if (!transaction || transaction.status !== "captured") {
+      return decline(`Transaction ${transactionId} cannot be refunded`);
+    }
+    if (transaction.refunded + amount > transaction.captured) {
+      return decline(`Cannot refund ${amount}, only ${transaction.captured - transaction.refunded} is left`);
+    }
+    sequence += 1;
+    transactions.set(transactionId, { ...transaction, refunded: transaction.refunded + amount });
+    return Promise.resolve({ refundId: `mock_ref_${String(sequence).padStart(6, "0")}` });
+  }
+
+  return { name: "mock", authorize, capture, void: voidTransaction, refund };
+}
+
+module.exports = createMockGateway;
@@ -0,0 +1,159 @@
+const service = require("./payments.service");
+const refundsService = require("../refunds/refunds.service");
+const nextId = require("../utils/nextId");
+const { roundCurrency } = require("../orders/pricing");
+const asyncErrorBoundary = require("../errors/asyncErrorBoundary");
+const validateBody = require("../validation/validateBody");
+const { authorizePaymentSchema, refundPaymentSchema } = require("./payments.schema");
+const { markOrderRefunded } = require("./payments.listeners");
+
+////////////////////////////////////////////////////////////////////////
+// Validation Middleware
+////////////////////////////////////////////////////////////////////////
+
+// Verify that a payment for the order in res.locals matches the paymentId in the request parameter
+function paymentExists(req, res, next) {
+  const { paymentId } = req.params;
+  const foundPayment = service.read(paymentId);
+  if (foundPayment && foundPayment.orderId === res.locals.order.id) {
+    // Store the matching payment in res.locals to use in later functions in the route chain
+    res.locals.payment = foundPayment;
+    return next();
+  }
+
+  next({
+    status: 404,
+    message: `Payment does not exist: ${paymentId}.`,
+  });
+}
+
+// Verify that the order can be paid for: it is pending or scheduled, priced and not already paid
+function verifyOrderCanBePaid(req, res, next) {
+  const { order } = res.locals;
+  if (!service.PAYABLE_STATUSES.includes(order.status)) {
+    return next({
+      status: 409,
+      message: `Only a pending or scheduled order can be paid for, this order is ${order.status}`,
+    });
+  }
+  if (!order.pricing) {
+    return next({
+      status: 409,
+      message: "Order has no total to pay",
+    });
+  }
+  const activePayment = service.findActiveForOrder(order.id);
+  if (activePayment) {
+    return next({
+      status: 409,
+      message: `Order already has a payment: ${activePayment.id}`,
+    });
+  }
+
+  next();
+}
+
+// Verify that the payment has one of the given statuses
+function verifyPaymentStatus(...statuses) {
+  return function (req, res, next) {
+    const { status } = res.locals.payment;
+    if (statuses.includes(status)) return next();
+
+    next({
+      status: 409,
+      message: `Payment is ${status}, it must be ${statuses.join(" or ")}`,
+    });
+  };
+}
+
+// Verify that a refund is no more than what is left to refund
+function verifyRefundAmount(req, res, next) {
+  const { payment } = res.locals;
+  const { data: { amount } = {} } = req.body;
+  const remaining = payment.capturedAmount - payment.refundedAmount;
+  if (amount === undefined || amount <= remaining) return next();
+
+  next({
+    status: 400,
+    message: `Refund amount cannot be more than ${remaining}`,
+  });
+}
+
+////////////////////////////////////////////////////////////////////////
+// Route Middleware
+////////////////////////////////////////////////////////////////////////
+
+// Request: GET /orders/:orderId/payments
+function list(req, res) {
+  res.json({ data: service.listForOrder(res.locals.order.id) });
+}
+
+// Request: POST /orders/:orderId/payments
+async function create(req, res) {
+  const { data: { source } } = req.body;
+  const payment = await service.authorize(res.locals.order, source);
+  res.status(201).json({ data: payment });
+}
+
+// Request: GET /orders/:orderId/payments/:paymentId
+function read(req, res) {
+  res.json({ data: res.locals.payment });
+}
+
+// Request: POST /orders/:orderId/payments/:paymentId/capture
+async function capture(req, res) {
+  res.json({ data: await service.capture(res.locals.payment) });
+}
+
+// Request: POST /orders/:orderId/payments/:paymentId/void
+async function voidPayment(req, res) {
+  res.json({ data: await service.void(res.locals.payment) });
+}
+
+// Request: POST /orders/:orderId/payments/:paymentId/refund
+async function refund(req, res) {
+  const { data: { amount } = {} } = req.body;
+  const { order, user } = res.locals;
+  const payment = await service.refund(res.locals.payment, amount);
+  // Record the refund with the order's other refunds, so they can all be listed together
+  refundsService.create({
+    id: nextId(),
+    orderId: order.id,
+    amount: roundCurrency(payment.refundedAmount - res.locals.payment.refundedAmount),
+    status: "processed",
+    createdBy: user.id,
+    createdAt: new Date().toISOString(),
+    paymentId: payment.id,
+  });
+  // Once all the money is back with the customer, so is the order
+  if (payment.status === "refunded") markOrderRefunded(order.id);
+  res.json({ data: payment });
+}
+
+// Export route middleware for the router to call
+module.exports = {
+  list,
+  create: [
+    validateBody(authorizePaymentSchema),
+    verifyOrderCanBePaid,
+    asyncErrorBoundary(create)
+  ], // Run validation checks before authorizing the payment
+  read: [paymentExists, read],
+  capture: [
+    paymentExists,
+    verifyPaymentStatus("authorized"),
+    asyncErrorBoundary(capture)
+  ], // Run validation checks before capturing the payment
+  void: [
+    paymentExists,
+    verifyPaymentStatus("authorized"),
+    asyncErrorBoundary(voidPayment)
+  ], // Run validation checks before voiding the payment
+  refund: [
+    paymentExists,
+    verifyPaymentStatus("captured", "partially-refunded"),
+    validateBody(refundPaymentSchema),
+    verifyRefundAmount,
+    asyncErrorBoundary(refund)
+  ], // Run validation checks before refunding the payment
+};
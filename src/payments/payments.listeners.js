@@ -0,0 +1,80 @@
+const service = require("./payments.service");
+const ordersService = require("../orders/orders.service");
+const refundsService = require("../refunds/refunds.service");
+const ordersEvents = require("../orders/orders.events");
+const { ORDER_EVENTS } = ordersEvents;
+const { canTransition, applyStatus } = require("../orders/orderStatus");
+const { roundCurrency } = require("../orders/pricing");
+
+// Move an order to refunded once all the money taken for it has been returned
+function markOrderRefunded(orderId) {
+  const order = ordersService.read(orderId);
+  if (!order || !canTransition(order.status, "refunded")) return;
+
+  const refundedOrder = ordersService.update(applyStatus(order, "refunded"));
+  ordersEvents.publish(ORDER_EVENTS.STATUS_CHANGED, refundedOrder);
+}
+
+// Take the money held for an order once it has been delivered
+async function captureOnDelivery(order) {
+  const payment = service.findActiveForOrder(order.id);
+  if (!payment || payment.status !== "authorized") return;
+
+  try {
+    await service.capture(payment);
+  } catch (error) {
+    service.recordFailure(payment, "capture", error);
+  }
+}
+
+// Return the refund owed for a cancelled order to the customer's payment
+async function settleCancellation(order) {
+  const { cancellation } = order;
+  const refund = cancellation && refundsService.read(cancellation.refundId);
+  if (!refund || refund.status !== "pending") return;
+
+  const payment = service.findActiveForOrder(order.id);
+  if (!payment) {
+    // Nothing was paid, so there is nothing to return
+    refundsService.update({ ...refund, status: "not-applicable" });
+    return;
+  }
+
+  try {
+    let settled;
+    if (payment.status !== "authorized") {
+      // The money was taken, give back the refund
+      const refundable = roundCurrency(payment.capturedAmount - payment.refundedAmount);
+      settled = await service.refund(payment, Math.min(refund.amount, refundable));
+    } else if (refund.amount >= payment.amount) {
+      // The money was only held, release all of it
+      settled = await service.void(payment);
+    } else {
+      // Take what is not refunded and release the rest of the hold
+      settled = await service.capture(payment, roundCurrency(payment.amount - refund.amount));
+    }
+    refundsService.update({ ...refund, status: "processed", paymentId: payment.id });
+    if (settled.status === "refunded") markOrderRefunded(order.id);
+  } catch (error) {
+    service.recordFailure(payment, "refund", error);
+    refundsService.update({ ...refund, status: "failed", paymentId: payment.id });
+  }
+}
+
+// Settle payments as orders change status
+function handleOrderEvent({ type, order }) {
+  if (type !== ORDER_EVENTS.STATUS_CHANGED) return undefined;
+  if (order.status === "delivered") return captureOnDelivery(order);
+  if (order.status === "cancelled") return settleCancellation(order);
+  return undefined;
+}
+
+let unsubscribe;
+
+// Start settling payments as orders change status. Calling this again has no effect.
+function registerPaymentListeners() {
+  if (!unsubscribe) unsubscribe = ordersEvents.subscribe(handleOrderEvent);
+  return unsubscribe;
+}
+
+module.exports = { registerPaymentListeners, markOrderRefunded, handleOrderEvent };
@@ -0,0 +1,29 @@
+// mergeParams gives these routes the :orderId from the orders router
+const router = require("express").Router({ mergeParams: true });
+const controller = require("./payments.controller");
+const methodNotAllowed = require("../errors/methodNotAllowed");
+const { authorize } = require("../auth/permissions");
+
+// Routes for /orders/:orderId/payments/:paymentId/capture
+router.route("/:paymentId/capture")
+  .post(authorize("payments:capture"), controller.capture)
+  .all(methodNotAllowed);
+// Routes for /orders/:orderId/payments/:paymentId/void
+router.route("/:paymentId/void")
+  .post(authorize("payments:void"), controller.void)
+  .all(methodNotAllowed);
+// Routes for /orders/:orderId/payments/:paymentId/refund
+router.route("/:paymentId/refund")
+  .post(authorize("payments:refund"), controller.refund)
+  .all(methodNotAllowed);
+// Routes for /orders/:orderId/payments/:paymentId
+router.route("/:paymentId")
+  .get(authorize("payments:read"), controller.read)
+  .all(methodNotAllowed);
+// Routes for /orders/:orderId/payments
+router.route("/")
+  .get(authorize("payments:read"), controller.list)
+  .post(authorize("payments:authorize"), controller.create)
+  .all(methodNotAllowed);
+
+module.exports = router;
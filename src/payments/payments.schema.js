@@ -0,0 +1,28 @@
+// The shape of the data in a request to authorize a payment
+const authorizePaymentSchema = {
+  type: "object",
+  errorMessage: "Request body must have a data object",
+  required: ["source"],
+  properties: {
+    source: {
+      type: "string",
+      minLength: 1,
+      errorMessage: "Payment must include a source",
+    },
+  },
+};
+
+// The shape of the data in a request to refund a payment, where the amount defaults to everything left
+const refundPaymentSchema = {
+  type: "object",
+  errorMessage: "Request body must have a data object",
+  properties: {
+    amount: {
+      type: "number",
+      exclusiveMinimum: 0,
+      errorMessage: "Refund amount must be a number greater than 0",
+    },
+  },
+};
+
+module.exports = { authorizePaymentSchema, refundPaymentSchema };
@@ -0,0 +1,145 @@
+const path = require("path");
+const config = require("../config");
+const makeStore = require("../db/makeStore");
+const makeGateway = require("./gateways");
+const nextId = require("../utils/nextId");
+const { roundCurrency } = require("../orders/pricing");
+const ordersService = require("../orders/orders.service");
+
+// The existing payments data is the initial set of payments in the store
+const payments = require(path.resolve("src/data/payments-data"));
+
+const store = makeStore("payments", payments);
+const gateway = makeGateway();
+
+// Payments in these statuses have money held or taken for the order
+const ACTIVE_STATUSES = ["authorized", "captured", "partially-refunded"];
+
+// Orders in these statuses can be paid for
+const PAYABLE_STATUSES = ["pending", "scheduled"];
+
+// Return the payments for an order, oldest first
+function listForOrder(orderId) {
+  return store
+    .list()
+    .filter((payment) => payment.orderId === orderId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Return the payment that holds or has taken money for an order, if there is one
+function findActiveForOrder(orderId) {
+  return listForOrder(orderId).find((payment) => ACTIVE_STATUSES.includes(payment.status));
+}
+
+// Save a change to a payment, recording what happened in its history
+function record(payment, changes, action, amount) {
+  const at = new Date().toISOString();
+  return store.update({
+    ...payment,
+    ...changes,
+    updatedAt: at,
+    history: [...(payment.history || []), { action, amount, at }],
+  });
+}
+
+// Record that a gateway request for the payment failed, so staff can follow up and retry
+function recordFailure(payment, action, error) {
+  return store.update({
+    ...payment,
+    lastError: { action, message: error.message || String(error), at: new Date().toISOString() },
+  });
+}
+
+// Orders with an authorization waiting on the gateway. The payment is only saved once the gateway
+// answers, so without this a second request in the meantime would see no payment and authorize again.
+const authorizing = new Set();
+
+// Check whether the order has an authorization waiting on the gateway, which holds the order's current total
+function isAuthorizing(orderId) {
+  return authorizing.has(orderId);
+}
+
+// Authorize a payment for the order's total.
+// If the order is no longer payable or its total changed while the gateway was answering,
+// the payment is voided rather than left holding the wrong amount.
+async function authorize(order, source) {
+  if (authorizing.has(order.id)) {
+    throw { status: 409, message: `Order already has a payment being authorized: ${order.id}` };
+  }
+  authorizing.add(order.id);
+  const amount = order.pricing.total;
+  let transactionId;
+  try {
+    ({ transactionId } = await gateway.authorize({
+      amount,
+      currency: config.currency,
+      source,
+      reference: order.id,
+    }));
+  } finally {
+    authorizing.delete(order.id);
+  }
+  const now = new Date().toISOString();
+  const payment = store.create({
+    id: nextId(),
+    orderId: order.id,
+    gateway: gateway.name,
+    transactionId,
+    amount,
+    currency: config.currency,
+    status: "authorized",
+    capturedAmount: 0,
+    refundedAmount: 0,
+    createdAt: now,
+    updatedAt: now,
+    history: [{ action: "authorize", amount, at: now }],
+  });
+
+  const current = ordersService.read(order.id);
+  if (current && PAYABLE_STATUSES.includes(current.status) && current.pricing && current.pricing.total === amount) {
+    return payment;
+  }
+  try {
+    await voidPayment(payment);
+  } catch (error) {
+    recordFailure(payment, "void", error);
+  }
+  throw {
+    status: 409,
+    message: `Order changed while its payment was being authorized, so payment ${payment.id} was voided. Pay for the order again`,
+  };
+}
+
+// Take the money held by an authorized payment, by default all of it
+async function capture(payment, amount = payment.amount) {
+  await gateway.capture(payment.transactionId, amount);
+  return record(payment, { status: "captured", capturedAmount: amount }, "capture", amount);
+}
+
+// Release the money held by an authorized payment
+async function voidPayment(payment) {
+  await gateway.void(payment.transactionId);
+  return record(payment, { status: "voided" }, "void", payment.amount);
+}
+
+// Return captured money, by default all that has not been refunded yet
+async function refund(payment, amount = payment.capturedAmount - payment.refundedAmount) {
+  await gateway.refund(payment.transactionId, amount);
+  const refundedAmount = roundCurrency(payment.refundedAmount + amount);
+  const status = refundedAmount >= payment.capturedAmount ? "refunded" : "partially-refunded";
+  return record(payment, { status, refundedAmount }, "refund", amount);
+}
+
+module.exports = {
+  ...store,
+  ACTIVE_STATUSES,
+  PAYABLE_STATUSES,
+  listForOrder,
+  findActiveForOrder,
+  isAuthorizing,
+  recordFailure,
+  authorize,
+  capture,
+  void: voidPayment,
+  refund,
+};
@@ -0,0 +1,76 @@
+// The discount rules a promotion can use
+const PROMOTION_TYPES = ["percentage", "fixed-amount", "buy-x-get-y", "free-delivery"];
+
+// Check whether two promo codes are the same, ignoring case
+function sameCode(a, b) {
+  return String(a).toUpperCase() === String(b).toUpperCase();
+}
+
+// Explain why a promotion cannot be applied to an order with this subtotal, or return undefined if it can
+function promotionProblem(promotion, subtotal, now = new Date()) {
+  const { code, startsAt, expiresAt, usageLimit, timesUsed = 0 } = promotion;
+  if (startsAt && new Date(startsAt) > now) {
+    return `Promo code ${code} is not active until ${startsAt}`;
+  }
+  if (expiresAt && new Date(expiresAt) <= now) {
+    return `Promo code ${code} expired at ${expiresAt}`;
+  }
+  if (usageLimit !== undefined && timesUsed >= usageLimit) {
+    return `Promo code ${code} has reached its usage limit`;
+  }
+  return minimumOrderProblem(promotion, subtotal);
+}
+
+// Explain why an order with this subtotal is too small for the promotion, or return undefined if it is not
+function minimumOrderProblem({ code, minimumOrder }, subtotal) {
+  if (minimumOrder !== undefined && subtotal < minimumOrder) {
+    return `Promo code ${code} needs an order of at least ${minimumOrder}`;
+  }
+  return undefined;
+}
+
+// Compute how much a buy-x-get-y promotion takes off the line items.
+// For every buyQuantity + getQuantity of a dish, getQuantity of them are free.
+function freeItemsDiscount({ buyQuantity, getQuantity, dishId }, lineItems) {
+  return lineItems
+    .filter((lineItem) => dishId === undefined || lineItem.dishId === dishId)
+    .reduce((sum, { unitPrice, quantity }) => {
+      const freeQuantity = Math.floor(quantity / (buyQuantity + getQuantity)) * getQuantity;
+      return sum + freeQuantity * unitPrice;
+    }, 0);
+}
+
+// Compute the discount a promotion gives an order.
+// itemsDiscount comes off the subtotal before tax; a free-delivery promotion waives the delivery fee instead.
+// The pricing rules round the amount to whole cents.
+function computeDiscount(promotion, { lineItems, subtotal }) {
+  switch (promotion.type) {
+    case "percentage":
+      return { itemsDiscount: (subtotal * promotion.value) / 100, freeDelivery: false };
+    case "fixed-amount":
+      // Never take off more than the food costs
+      return { itemsDiscount: Math.min(promotion.value, subtotal), freeDelivery: false };
+    case "buy-x-get-y":
+      return { itemsDiscount: freeItemsDiscount(promotion, lineItems), freeDelivery: false };
+    case "free-delivery":
+      return { itemsDiscount: 0, freeDelivery: true };
+    default:
+      throw new Error(`Unknown promotion type: ${promotion.type}`);
+  }
+}
+
+// Copy the parts of a promotion that decide its discount, for an order to keep.
+// The order is repriced from its copy, so editing or deleting the promotion later does not change it.
+// The minimum order is kept too, since the order must still reach it when its dishes change.
+function discountRule({ id, code, type, value, buyQuantity, getQuantity, dishId, minimumOrder }) {
+  return { id, code, type, value, buyQuantity, getQuantity, dishId, minimumOrder };
+}
+
+module.exports = {
+  PROMOTION_TYPES,
+  sameCode,
+  promotionProblem,
+  minimumOrderProblem,
+  computeDiscount,
+  discountRule,
+};
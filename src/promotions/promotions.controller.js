@@ -0,0 +1,211 @@
+// Use the promotions store for reading and saving promotions
+const service = require("./promotions.service");
+
+// Use this function to assign ID's when necessary
+const nextId = require("../utils/nextId");
+
+// Use these functions to sort and paginate lists
+const { listQuery, sendPage } = require("../utils/listQuery");
+
+// Use these functions for ETags and conditional requests
+const { sendRecord, verifyIfMatch } = require("../utils/etag");
+
+// Use this function to apply PATCH requests
+const { applyPatch } = require("../utils/patch");
+
+// Use the promotion schema to validate request data
+const validateBody = require("../validation/validateBody");
+const { promotionSchema } = require("./promotions.schema");
+const { sameCode, promotionProblem } = require("./discounts");
+
+// Fields a list of promotions can be sorted by
+const SORT_FIELDS = {
+  id: (promotion) => promotion.id,
+  code: (promotion) => promotion.code,
+  expiresAt: (promotion) => promotion.expiresAt || "",
+  timesUsed: (promotion) => promotion.timesUsed || 0,
+};
+
+// The rule fields a promotion can have, copied from the request body
+const RULE_FIELDS = [
+  "code",
+  "type",
+  "value",
+  "buyQuantity",
+  "getQuantity",
+  "dishId",
+  "startsAt",
+  "expiresAt",
+  "usageLimit",
+  "minimumOrder",
+];
+
+////////////////////////////////////////////////////////////////////////
+// Validation Middleware
+////////////////////////////////////////////////////////////////////////
+
+// Validate the filter query parameters for listing promotions
+function validateListFilters(req, res, next) {
+  const { active } = req.query;
+  if (active === undefined || active === "true" || active === "false") return next();
+
+  next({
+    status: 400,
+    message: "active must be true or false",
+  });
+}
+
+// Verify that a promotion in the store has an id that matches the promotionId in the request parameter
+function promotionExists(req, res, next) {
+  const { promotionId } = req.params;
+  const foundPromotion = service.read(promotionId);
+  if (foundPromotion) {
+    // Store the matching promotion in res.locals to use in later functions in the route chain
+    res.locals.promotion = foundPromotion;
+    return next();
+  }
+
+  next({
+    status: 404,
+    message: `Promotion does not exist: ${promotionId}.`,
+  });
+}
+
+// Verify that the promotion id in the request body matches the promotionId in the request parameter
+function verifyPromotionIdDataMatchesRoute(req, res, next) {
+  const promotionId = res.locals.promotion.id;
+  const { data: { id } } = req.body;
+  if (!id || id === promotionId) return next();
+
+  next({
+    status: 400,
+    message: `Promotion id does not match route id. Promotion: ${id}, Route: ${promotionId}`,
+  });
+}
+
+// Verify that the promotion has the fields its type needs, and that its dates make sense
+function verifyPromotionRule(req, res, next) {
+  const { data: { type, value, buyQuantity, getQuantity, startsAt, expiresAt } } = req.body;
+  if ((type === "percentage" || type === "fixed-amount") && value === undefined) {
+    return next({ status: 400, message: `A ${type} promotion must include a value` });
+  }
+  if (type === "percentage" && value > 100) {
+    return next({ status: 400, message: "A percentage promotion cannot take off more than 100" });
+  }
+  if (type === "buy-x-get-y" && (buyQuantity === undefined || getQuantity === undefined)) {
+    return next({ status: 400, message: "A buy-x-get-y promotion must include a buyQuantity and getQuantity" });
+  }
+  if (startsAt && expiresAt && new Date(expiresAt) <= new Date(startsAt)) {
+    return next({ status: 400, message: "Promotion expiresAt must be after startsAt" });
+  }
+
+  next();
+}
+
+// Verify that no other promotion uses the same code
+function verifyCodeIsUnique(req, res, next) {
+  const { data: { code } } = req.body;
+  const existing = service.findByCode(code);
+  const { promotion } = res.locals;
+  if (!existing || (promotion && existing.id === promotion.id)) return next();
+
+  next({
+    status: 409,
+    message: `Promo code ${code} is already used by promotion ${existing.id}`,
+  });
+}
+
+////////////////////////////////////////////////////////////////////////
+// Route Middleware
+////////////////////////////////////////////////////////////////////////
+
+// Copy the rule fields from the request data, leaving out any that were not given
+function ruleFields(data) {
+  return RULE_FIELDS.reduce((fields, field) => (
+    data[field] === undefined ? fields : { ...fields, [field]: data[field] }
+  ), {});
+}
+
+// Check whether a promotion can be used right now by an order big enough for it
+function isActive(promotion) {
+  return promotionProblem(promotion, Infinity) === undefined;
+}
+
+// Request: GET /promotions
+function list(req, res) {
+  const { code, active } = req.query;
+  // Keep the promotions that match every filter given
+  const promotions = service.list().filter((promotion) =>
+    (code === undefined || sameCode(promotion.code, code)) &&
+    (active === undefined || isActive(promotion) === (active === "true"))
+  );
+  sendPage(req, res, promotions);
+}
+
+// Request: POST /promotions
+function create(req, res) {
+  const { data = {} } = req.body;
+  const createdPromotion = service.create({
+    id: nextId(),
+    ...ruleFields(data),
+    timesUsed: 0,
+  });
+  sendRecord(res, createdPromotion, 201);
+}
+
+// Request: GET /promotions/:promotionId
+function read(req, res) {
+  sendRecord(res, res.locals.promotion);
+}
+
+// Request: PUT /promotions/:promotionId and PATCH /promotions/:promotionId
+function update(req, res) {
+  const { id, timesUsed } = res.locals.promotion;
+  const { data = {} } = req.body;
+  // The rules are replaced, but the promotion keeps count of how often it was used
+  const updatedPromotion = service.update({
+    id,
+    ...ruleFields(data),
+    timesUsed,
+  });
+  sendRecord(res, updatedPromotion);
+}
+
+// Request: DELETE /promotions/:promotionId
+function destroy(req, res) {
+  // Orders keep a copy of the promotion they were given and are repriced from it, so their discount stays
+  service.delete(res.locals.promotion.id);
+  res.sendStatus(204);
+}
+
+// Export route middleware for the router to call
+module.exports = {
+  list: [listQuery(SORT_FIELDS), validateListFilters, list], // Run validation checks before calling list
+  create: [
+    validateBody(promotionSchema),
+    verifyPromotionRule,
+    verifyCodeIsUnique,
+    create
+  ], // Run validation checks before calling create
+  read: [promotionExists, read],
+  update: [
+    promotionExists,
+    verifyIfMatch("promotion"),
+    validateBody(promotionSchema),
+    verifyPromotionIdDataMatchesRoute,
+    verifyPromotionRule,
+    verifyCodeIsUnique,
+    update
+  ], // Run validation checks before calling update
+  patch: [
+    promotionExists,
+    verifyIfMatch("promotion"),
+    applyPatch("promotion"),
+    validateBody(promotionSchema),
+    verifyPromotionIdDataMatchesRoute,
+    verifyPromotionRule,
+    verifyCodeIsUnique,
+    update
+  ], // Apply the patch, then run the same checks as a full update
+  delete: [promotionExists, verifyIfMatch("promotion"), destroy],
+};
@@ -0,0 +1,19 @@
+const router = require("express").Router();
+const controller = require("./promotions.controller");
+const methodNotAllowed = require("../errors/methodNotAllowed");
+const { authorize } = require("../auth/permissions");
+
+// Routes for /promotions/:promotionId
+router.route("/:promotionId")
+  .get(authorize("promotions:read"), controller.read)
+  .put(authorize("promotions:update"), controller.update)
+  .patch(authorize("promotions:update"), controller.patch)
+  .delete(authorize("promotions:delete"), controller.delete)
+  .all(methodNotAllowed);
+// Routes for /promotions
+router.route("/")
+  .get(authorize("promotions:read"), controller.list)
+  .post(authorize("promotions:create"), controller.create)
+  .all(methodNotAllowed);
+
+module.exports = router;
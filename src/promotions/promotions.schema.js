@@ -0,0 +1,57 @@
+const { PROMOTION_TYPES } = require("./discounts");
+const dateTimeSchema = require("../validation/dateTimeSchema");
+
+// The shape of the data in a request to create or update a promotion.
+// Which of value, buyQuantity and getQuantity are needed depends on the type,
+// so the promotions controller checks those.
+const promotionSchema = {
+  type: "object",
+  errorMessage: "Request body must have a data object",
+  required: ["code", "type"],
+  properties: {
+    code: {
+      type: "string",
+      pattern: "^[A-Za-z0-9_-]{3,32}$",
+      errorMessage: "Promotion must include a code of 3 to 32 letters, digits, dashes or underscores",
+    },
+    type: {
+      type: "string",
+      enum: PROMOTION_TYPES,
+      errorMessage: `Promotion must have a type of ${PROMOTION_TYPES.join(", ")}`,
+    },
+    value: {
+      type: "number",
+      exclusiveMinimum: 0,
+      errorMessage: "Promotion value must be a number greater than 0",
+    },
+    buyQuantity: {
+      type: "integer",
+      exclusiveMinimum: 0,
+      errorMessage: "Promotion buyQuantity must be an integer greater than 0",
+    },
+    getQuantity: {
+      type: "integer",
+      exclusiveMinimum: 0,
+      errorMessage: "Promotion getQuantity must be an integer greater than 0",
+    },
+    dishId: {
+      type: "string",
+      minLength: 1,
+      errorMessage: "Promotion dishId must be a dish id",
+    },
+    startsAt: dateTimeSchema("Promotion startsAt must be a date and time"),
+    expiresAt: dateTimeSchema("Promotion expiresAt must be a date and time"),
+    usageLimit: {
+      type: "integer",
+      exclusiveMinimum: 0,
+      errorMessage: "Promotion usageLimit must be an integer greater than 0",
+    },
+    minimumOrder: {
+      type: "number",
+      minimum: 0,
+      errorMessage: "Promotion minimumOrder must be a number of at least 0",
+    },
+  },
+};
+
+module.exports = { promotionSchema };
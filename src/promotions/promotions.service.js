@@ -0,0 +1,32 @@
+const path = require("path");
+const makeStore = require("../db/makeStore");
+const { sameCode } = require("./discounts");
+
+// The existing promotions data is the initial set of promotions in the store
+const promotions = require(path.resolve("src/data/promotions-data"));
+
+const store = makeStore("promotions", promotions);
+
+// Find the promotion with a matching code, ignoring case
+function findByCode(code) {
+  return store.list().find((promotion) => sameCode(promotion.code, code));
+}
+
+// Count an order that used the promotion towards its usage limit
+function recordUse(promotion) {
+  return store.update({ ...promotion, timesUsed: (promotion.timesUsed || 0) + 1 });
+}
+
+// Give back a use of the promotion, for an order that was deleted before it went anywhere
+function releaseUse(promotionId) {
+  const promotion = store.read(promotionId);
+  if (!promotion || !promotion.timesUsed) return promotion;
+  return store.update({ ...promotion, timesUsed: promotion.timesUsed - 1 });
+}
+
+module.exports = {
+  ...store,
+  findByCode,
+  recordUse,
+  releaseUse,
+};
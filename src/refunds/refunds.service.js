@@ -0,0 +1,20 @@
+const path = require("path");
+const makeStore = require("../db/makeStore");
+
+// The existing refunds data is the initial set of refunds in the store
+const refunds = require(path.resolve("src/data/refunds-data"));
+
+const store = makeStore("refunds", refunds);
+
+// Return the refunds issued for an order, oldest first
+function listForOrder(orderId) {
+  return store
+    .list()
+    .filter((refund) => refund.orderId === orderId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+module.exports = {
+  ...store,
+  listForOrder,
+};
@@ -6,5 +6,21 @@ const app = require(path.resolve(
   "src/app"
 ));
 
+const { createScheduler } = require(path.resolve(
+  `${process.env.SOLUTION_PATH || ""}`,
+  "src/orders/scheduler"
+));
+
+const { createDispatcher } = require(path.resolve(
+  `${process.env.SOLUTION_PATH || ""}`,
+  "src/webhooks/dispatcher"
+));
+
 const listener = () => console.log(`Listening on Port ${PORT}!`);
 app.listen(PORT, listener);
+
+// Move scheduled orders to the kitchen when they are due
+createScheduler().start();
+
+// Retry the webhook deliveries that were waiting when the app last stopped
+createDispatcher().resumePending();
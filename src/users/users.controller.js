@@ -0,0 +1,45 @@
+const service = require("./users.service");
+const validateBody = require("../validation/validateBody");
+const { roleSchema } = require("./users.schema");
+
+////////////////////////////////////////////////////////////////////////
+// Validation Middleware
+////////////////////////////////////////////////////////////////////////
+
+// Verify that a user in the store has an id that matches the userId in the request parameter
+function userExists(req, res, next) {
+  const { userId } = req.params;
+  const foundUser = service.read(userId);
+  if (foundUser) {
+    // Store the matching user in res.locals to use in later functions in the route chain
+    res.locals.foundUser = foundUser;
+    return next();
+  }
+
+  next({
+    status: 404,
+    message: `User does not exist: ${userId}.`,
+  });
+}
+
+////////////////////////////////////////////////////////////////////////
+// Route Middleware
+////////////////////////////////////////////////////////////////////////
+
+// Request: GET /users
+function list(req, res) {
+  res.json({ data: service.list().map(service.toPublicUser) });
+}
+
+// Request: PUT /users/:userId/role
+function updateRole(req, res) {
+  const { data: { role } } = req.body;
+  const updatedUser = service.update({ ...res.locals.foundUser, role });
+  res.json({ data: service.toPublicUser(updatedUser) });
+}
+
+// Export route middleware for the router to call
+module.exports = {
+  list,
+  updateRole: [userExists, validateBody(roleSchema), updateRole],
+};
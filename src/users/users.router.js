@@ -0,0 +1,15 @@
+const router = require("express").Router();
+const controller = require("./users.controller");
+const methodNotAllowed = require("../errors/methodNotAllowed");
+const { authorize } = require("../auth/permissions");
+
+// Routes for /users/:userId/role
+router.route("/:userId/role")
+  .put(authorize("users:changeRole"), controller.updateRole)
+  .all(methodNotAllowed);
+// Routes for /users
+router.route("/")
+  .get(authorize("users:list"), controller.list)
+  .all(methodNotAllowed);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const { ROLES } = require("../auth/roles");
+
+// The shape of the data in a request to change a user's role
+const roleSchema = {
+  type: "object",
+  errorMessage: "Request body must have a data object",
+  required: ["role"],
+  properties: {
+    role: {
+      type: "string",
+      enum: ROLES,
+      errorMessage: `User must have a role of ${ROLES.join(", ")}`,
+    },
+  },
+};
+
+module.exports = { roleSchema };
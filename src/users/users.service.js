@@ -0,0 +1,49 @@
+const path = require("path");
+const config = require("../config");
+const makeStore = require("../db/makeStore");
+const nextId = require("../utils/nextId");
+const { hashPassword } = require("../auth/password");
+
+// The existing users data is the initial set of users in the store
+const users = require(path.resolve("src/data/users-data"));
+
+const store = makeStore("users", users);
+
+// Find the user with a matching email address, ignoring case
+function findByEmail(email) {
+  const normalized = String(email).trim().toLowerCase();
+  return store.list().find((user) => user.email === normalized);
+}
+
+// Create a user with a hashed password
+function createUser({ email, password, name, role }) {
+  return store.create({
+    id: nextId(),
+    email: String(email).trim().toLowerCase(),
+    name,
+    role,
+    passwordHash: hashPassword(password),
+  });
+}
+
+// Return the user without its password hash, for sending in responses
+function toPublicUser({ passwordHash, ...user }) {
+  return user;
+}
+
+// Make sure the admin account named in config exists so there is always someone who can sign in as staff
+if (config.adminEmail && config.adminPassword && !findByEmail(config.adminEmail)) {
+  createUser({
+    email: config.adminEmail,
+    password: config.adminPassword,
+    name: "Administrator",
+    role: "admin",
+  });
+}
+
+module.exports = {
+  ...store,
+  findByEmail,
+  createUser,
+  toPublicUser,
+};
@@ -0,0 +1,49 @@
+const crypto = require("crypto");
+const versionOf = require("../db/version");
+
+// Build the ETag for a record from its version
+function etagFor(record) {
+  return `"${versionOf(record)}"`;
+}
+
+// Build the ETag to send with a record. Fields worked out as the record is read, such as an order's
+// estimated times, can change without a new version, so a digest of them follows the version,
+// e.g. "3-1a2b3c4d". Without it If-None-Match would keep answering 304 over values that have moved.
+function responseEtagFor(record, liveFields = []) {
+  const live = liveFields.map((field) => record[field]);
+  if (live.every((value) => value === undefined)) return etagFor(record);
+  const digest = crypto.createHash("sha1").update(JSON.stringify(live)).digest("hex").slice(0, 8);
+  return `"${versionOf(record)}-${digest}"`;
+}
+
+// Find the version ETag an ETag from a response was built from, dropping any digest of live fields
+function versionEtag(etag) {
+  return etag.replace(/^(".*?)-[0-9a-f]+"$/, '$1"');
+}
+
+// Respond with the record and its ETag, including the live fields named, if any.
+// Express compares the ETag with If-None-Match and responds 304 when the client's copy is current.
+function sendRecord(res, record, status = 200, liveFields = []) {
+  res.status(status).set("ETag", responseEtagFor(record, liveFields)).json({ data: record });
+}
+
+// Create middleware that checks the If-Match header against the record stored in res.locals[name],
+// so a client can only change the record if no one else has changed it since they read it.
+// Only the version is compared, so live fields moving since the client read the record do not stop the change.
+function verifyIfMatch(name) {
+  return function (req, res, next) {
+    const ifMatch = req.get("If-Match");
+    if (!ifMatch) return next(); // The client did not ask for a conditional update
+
+    const record = res.locals[name];
+    const etags = ifMatch.split(",").map((etag) => versionEtag(etag.trim()));
+    if (etags.includes("*") || etags.includes(etagFor(record))) return next();
+
+    next({
+      status: 412,
+      message: `The ${name} has changed since it was read. Current ETag: ${etagFor(record)}`,
+    });
+  };
+}
+
+module.exports = { etagFor, sendRecord, verifyIfMatch };
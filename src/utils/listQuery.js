@@ -0,0 +1,103 @@
+// Helpers for the sort and pagination query parameters shared by the list routes
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+// Compare two values for sorting, putting missing values last
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return 1;
+  if (b === undefined || b === null) return -1;
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+// Parse a query parameter as a whole number no smaller than min
+function parseWholeNumber(value, min) {
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min ? number : undefined;
+}
+
+// Create middleware that validates the sort, limit and offset query parameters.
+// sortFields maps each field a list can be sorted by to a function that reads it from a record.
+// The parsed values are stored in res.locals.listQuery for sendPage to use.
+function listQuery(sortFields, defaultSort = "") {
+  return function (req, res, next) {
+    const { sort = defaultSort, limit = DEFAULT_LIMIT, offset = 0 } = req.query;
+
+    // Sort is a comma separated list of fields, a leading "-" sorts that field in descending order
+    const sortKeys = String(sort)
+      .split(",")
+      .filter(Boolean)
+      .map((key) => ({
+        field: key.replace(/^-/, ""),
+        direction: key.startsWith("-") ? -1 : 1,
+      }));
+    const unknownKey = sortKeys.find(({ field }) => !sortFields[field]);
+    if (unknownKey) {
+      return next({
+        status: 400,
+        message: `Cannot sort by ${unknownKey.field}. Sort must be one of ${Object.keys(sortFields).join(", ")}`,
+      });
+    }
+
+    const parsedLimit = parseWholeNumber(limit, 1);
+    if (parsedLimit === undefined || parsedLimit > MAX_LIMIT) {
+      return next({
+        status: 400,
+        message: `limit must be an integer from 1 to ${MAX_LIMIT}`,
+      });
+    }
+
+    const parsedOffset = parseWholeNumber(offset, 0);
+    if (parsedOffset === undefined) {
+      return next({
+        status: 400,
+        message: "offset must be an integer of 0 or more",
+      });
+    }
+
+    res.locals.listQuery = {
+      sortKeys: sortKeys.map((key) => ({ ...key, read: sortFields[key.field] })),
+      limit: parsedLimit,
+      offset: parsedOffset,
+    };
+    next();
+  };
+}
+
+// Build the link to another page of the list, keeping the rest of the query string
+function pageLink(req, offset, limit) {
+  const params = new URLSearchParams(req.query);
+  params.set("offset", offset);
+  params.set("limit", limit);
+  return `${req.originalUrl.split("?")[0]}?${params}`;
+}
+
+// Sort and paginate the records using res.locals.listQuery, then respond with
+// the page of records along with pagination metadata and links to the next and previous pages
+function sendPage(req, res, records) {
+  const { sortKeys, limit, offset } = res.locals.listQuery;
+
+  const sorted = records.slice().sort((a, b) => {
+    for (const { read, direction } of sortKeys) {
+      const result = compareValues(read(a), read(b));
+      if (result !== 0) return result * direction;
+    }
+    return 0;
+  });
+  const page = sorted.slice(offset, offset + limit);
+  const total = sorted.length;
+
+  res.json({
+    data: page,
+    meta: { total, count: page.length, limit, offset },
+    links: {
+      self: pageLink(req, offset, limit),
+      next: offset + limit < total ? pageLink(req, offset + limit, limit) : null,
+      prev: offset > 0 ? pageLink(req, Math.max(offset - limit, 0), limit) : null,
+    },
+  });
+}
+
+module.exports = { listQuery, sendPage };
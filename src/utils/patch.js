@@ -0,0 +1,203 @@
+// Support for PATCH requests in the two standard formats:
+//
+// - JSON Merge Patch (RFC 7386, application/merge-patch+json): like every other request body
+//   the patch goes in "data", e.g. { "data": { "price": 12 } }. Fields set to null are removed.
+// - JSON Patch (RFC 6902, application/json-patch+json): the body is an array of operations
+//   whose paths point into the resource, e.g. [{ "op": "replace", "path": "/price", "value": 12 }].
+
+const MERGE_PATCH = "application/merge-patch+json";
+const JSON_PATCH = "application/json-patch+json";
+
+// Keys that would reach an object's prototype instead of its own fields
+const FORBIDDEN_KEYS = ["__proto__", "constructor", "prototype"];
+
+// Check that an object has a field of its own, ignoring anything inherited from its prototype
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// Check that a value is a plain object rather than an array or null
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+// Apply a JSON Merge Patch to the target, returning the patched copy
+function applyMergePatch(target, patch) {
+  if (!isObject(patch)) return patch;
+
+  const result = isObject(target) ? { ...target } : {};
+  Object.keys(patch).forEach((key) => {
+    if (FORBIDDEN_KEYS.includes(key)) {
+      throw { status: 400, message: `A patch cannot change ${key}` };
+    }
+    if (patch[key] === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], patch[key]);
+    }
+  });
+  return result;
+}
+
+// Build the error for a JSON Patch operation that cannot be applied
+function patchError(index, message, status = 400) {
+  return { status, message: `Patch operation ${index} ${message}` };
+}
+
+// Split a JSON Pointer into its reference tokens, e.g. "/dishes/0/quantity" -> ["dishes", "0", "quantity"]
+function parsePointer(pointer, index) {
+  if (pointer === "") return [];
+  if (typeof pointer !== "string" || !pointer.startsWith("/")) {
+    throw patchError(index, `has an invalid path: ${pointer}`);
+  }
+  const tokens = pointer
+    .slice(1)
+    .split("/")
+    .map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+  const forbidden = tokens.find((token) => FORBIDDEN_KEYS.includes(token));
+  if (forbidden !== undefined) {
+    throw patchError(index, `cannot change ${forbidden}: ${pointer}`);
+  }
+  return tokens;
+}
+
+// Find the container and key a path points at, checking that the container exists.
+// Only the document's own fields are followed, never inherited ones.
+function locate(document, tokens, index, pointer) {
+  let container = document;
+  tokens.slice(0, -1).forEach((token) => {
+    if ((!isObject(container) && !Array.isArray(container)) || !hasOwn(container, token)) {
+      throw patchError(index, `has a path that does not exist: ${pointer}`);
+    }
+    container = container[token];
+  });
+  if (!isObject(container) && !Array.isArray(container)) {
+    throw patchError(index, `has a path that does not exist: ${pointer}`);
+  }
+  return { container, key: tokens[tokens.length - 1] };
+}
+
+// Read the value at a path, throwing if there is nothing there
+function getValue(document, pointer, index) {
+  const tokens = parsePointer(pointer, index);
+  if (!tokens.length) return document;
+  const { container, key } = locate(document, tokens, index, pointer);
+  if (!hasOwn(container, key)) {
+    throw patchError(index, `has a path that does not exist: ${pointer}`);
+  }
+  return container[key];
+}
+
+// Convert an array index token, allowing "-" (the end of the array) when adding
+function arrayIndex(array, key, index, pointer, allowEnd) {
+  if (allowEnd && key === "-") return array.length;
+  const position = Number(key);
+  const max = allowEnd ? array.length : array.length - 1;
+  if (!/^(0|[1-9][0-9]*)$/.test(key) || position > max) {
+    throw patchError(index, `has an array index out of range: ${pointer}`);
+  }
+  return position;
+}
+
+// Add a value at a path, inserting into arrays
+function addValue(document, pointer, value, index) {
+  const tokens = parsePointer(pointer, index);
+  if (!tokens.length) return value;
+  const { container, key } = locate(document, tokens, index, pointer);
+  if (Array.isArray(container)) {
+    container.splice(arrayIndex(container, key, index, pointer, true), 0, value);
+  } else {
+    container[key] = value;
+  }
+  return document;
+}
+
+// Remove the value at a path
+function removeValue(document, pointer, index) {
+  const tokens = parsePointer(pointer, index);
+  if (!tokens.length) throw patchError(index, "cannot remove the whole resource");
+  getValue(document, pointer, index);
+  const { container, key } = locate(document, tokens, index, pointer);
+  if (Array.isArray(container)) {
+    container.splice(arrayIndex(container, key, index, pointer, false), 1);
+  } else {
+    delete container[key];
+  }
+  return document;
+}
+
+// Apply a JSON Patch to the target, returning the patched copy.
+// Throws an error with a status when an operation is invalid or a "test" operation fails.
+function applyJsonPatch(target, operations) {
+  if (!Array.isArray(operations)) {
+    throw { status: 400, message: "A JSON Patch must be an array of operations" };
+  }
+
+  // Work on a copy so a failed patch leaves the target untouched
+  let document = JSON.parse(JSON.stringify(target));
+  operations.forEach((operation, index) => {
+    const { op, path, from, value } = operation || {};
+    if (["add", "replace", "test"].includes(op) && value === undefined) {
+      throw patchError(index, "must include a value");
+    }
+    switch (op) {
+      case "add":
+        document = addValue(document, path, value, index);
+        break;
+      case "remove":
+        document = removeValue(document, path, index);
+        break;
+      case "replace":
+        getValue(document, path, index);
+        document = path === ""
+          ? value
+          : addValue(removeValue(document, path, index), path, value, index);
+        break;
+      case "move": {
+        const moved = getValue(document, from, index);
+        document = addValue(removeValue(document, from, index), path, moved, index);
+        break;
+      }
+      case "copy": {
+        const copied = JSON.parse(JSON.stringify(getValue(document, from, index)));
+        document = addValue(document, path, copied, index);
+        break;
+      }
+      case "test":
+        if (JSON.stringify(getValue(document, path, index)) !== JSON.stringify(value)) {
+          throw patchError(index, `failed, ${path} does not match the expected value`, 409);
+        }
+        break;
+      default:
+        throw patchError(index, `has an unknown op: ${op}`);
+    }
+  });
+  return document;
+}
+
+// Create middleware that applies the patch in the request body to the record in res.locals[name].
+// The patched record replaces the request body's data, so the update route's validation runs on it
+// just like on a full update.
+function applyPatch(name) {
+  return function (req, res, next) {
+    const record = res.locals[name];
+    try {
+      if (req.is(MERGE_PATCH)) {
+        const { data = {} } = req.body;
+        req.body = { data: applyMergePatch(record, data) };
+      } else if (req.is(JSON_PATCH)) {
+        req.body = { data: applyJsonPatch(record, req.body) };
+      } else {
+        return next({
+          status: 415,
+          message: `PATCH requests must use ${MERGE_PATCH} or ${JSON_PATCH}`,
+        });
+      }
+    } catch (error) {
+      return next(error);
+    }
+    next();
+  };
+}
+
+module.exports = { MERGE_PATCH, JSON_PATCH, applyMergePatch, applyJsonPatch, applyPatch };
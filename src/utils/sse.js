@@ -0,0 +1,27 @@
+// How often to send a comment down an idle stream so proxies do not close it
+const HEARTBEAT_MS = 25000;
+
+// Start a Server-Sent Events stream on the response, returning a function that sends an event.
+// Listen for "close" on the request to clean up once the client disconnects.
+function openEventStream(req, res) {
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+  // Tell the client the stream is open
+  res.write(": connected\n\n");
+
+  let eventId = 0;
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT_MS);
+
+  req.on("close", () => clearInterval(heartbeat));
+
+  return function send(event, data) {
+    eventId += 1;
+    res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+module.exports = openEventStream;
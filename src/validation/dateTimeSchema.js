@@ -0,0 +1,11 @@
+// The schema for a date and time such as 2021-01-31T23:59:59Z, with the message naming the field
+function dateTimeSchema(message) {
+  return {
+    type: "string",
+    pattern: "^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:\\d{2})$",
+    format: "date-time",
+    errorMessage: `${message}, e.g. 2021-01-31T23:59:59Z`,
+  };
+}
+
+module.exports = dateTimeSchema;
@@ -0,0 +1,56 @@
+// Parse phone numbers and write them in E.164 form, e.g. "(202) 456-1111" becomes "+12024561111".
+// A number without a country code is read as a number in the default region.
+
+const config = require("../config");
+
+// The regions we can read national numbers for: the country calling code, the digits
+// dialled before a national number that are not part of it, and the shape of the national number
+const REGIONS = {
+  US: { callingCode: "1", trunkPrefix: "1", pattern: /^[2-9]\d{9}$/ },
+  CA: { callingCode: "1", trunkPrefix: "1", pattern: /^[2-9]\d{9}$/ },
+  MX: { callingCode: "52", pattern: /^\d{10}$/ },
+  GB: { callingCode: "44", trunkPrefix: "0", pattern: /^[1-9]\d{9}$/ },
+  IE: { callingCode: "353", trunkPrefix: "0", pattern: /^[1-9]\d{6,8}$/ },
+  AU: { callingCode: "61", trunkPrefix: "0", pattern: /^[2-9]\d{8}$/ },
+  NZ: { callingCode: "64", trunkPrefix: "0", pattern: /^[2-9]\d{7,9}$/ },
+};
+
+// Spaces, dashes, dots and brackets only make a number easier to read
+const FORMATTING = /[\s\-.()]/g;
+
+// Check that national digits fit a region, dropping the trunk prefix if it was dialled
+function nationalNumber(digits, region) {
+  const { trunkPrefix, pattern } = REGIONS[region];
+  if (pattern.test(digits)) return digits;
+  if (trunkPrefix && digits.startsWith(trunkPrefix) && pattern.test(digits.slice(trunkPrefix.length))) {
+    return digits.slice(trunkPrefix.length);
+  }
+  return undefined;
+}
+
+// Check the digits after a + against the regions with that calling code.
+// Calling codes we have no rules for only need to fit E.164: at most 15 digits, not starting with 0.
+function internationalNumber(digits) {
+  const regions = Object.values(REGIONS).filter(({ callingCode }) => digits.startsWith(callingCode));
+  if (!regions.length) return /^[1-9]\d{7,14}$/.test(digits) ? `+${digits}` : undefined;
+
+  const valid = regions.some(({ callingCode, pattern }) => pattern.test(digits.slice(callingCode.length)));
+  return valid ? `+${digits}` : undefined;
+}
+
+// Write a phone number in E.164 form, or return undefined if it is not a valid number
+function normalizePhoneNumber(text, region = config.phoneRegion) {
+  const compact = String(text).replace(FORMATTING, "");
+  // 00 is the international dialling prefix in most of the world
+  const international = /^(\+|00)(\d+)$/.exec(compact);
+  if (international) return internationalNumber(international[2]);
+
+  if (!/^\d+$/.test(compact) || !REGIONS[region]) return undefined;
+  const national = nationalNumber(compact, region);
+  return national && `+${REGIONS[region].callingCode}${national}`;
+}
+
+module.exports = {
+  REGIONS,
+  normalizePhoneNumber,
+};
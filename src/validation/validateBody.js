@@ -0,0 +1,19 @@
+const validateSchema = require("./validateSchema");
+
+// Create middleware that validates the data property of the request body against a schema.
+// Every problem is reported at once: the messages are joined in "error", and listed in "errors".
+function validateBody(schema) {
+  return function (req, res, next) {
+    const { data = {} } = req.body;
+    const errors = validateSchema(schema, data, "data", { name: "data", index: "" });
+    if (!errors.length) return next(); // Data is valid, go to the next function
+
+    next({
+      status: 400,
+      message: errors.map((error) => error.message).join("; "),
+      errors: errors.map(({ field, message }) => ({ field, message })),
+    });
+  };
+}
+
+module.exports = validateBody;
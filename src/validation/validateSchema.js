@@ -0,0 +1,157 @@
+// A small JSON Schema validator covering the keywords our request payloads need:
+// type, required, properties, items, enum, pattern, format, minLength, maxLength,
+// minimum, exclusiveMinimum, maximum, minItems and maxItems.
+// The formats supported are "date-time", which must be a date and time that exists, and "uri", which must be an absolute http or https URL.
+//
+// A schema can also carry an errorMessage, either a string used for every failed keyword
+// or an object of messages keyed by keyword (with "default" as the fallback).
+// "{index}" in a message is replaced with the index of the array item being validated.
+
+// Describe a type for the default messages, e.g. "an integer"
+function describeType(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+// The messages used when a schema does not define its own
+const DEFAULT_MESSAGES = {
+  required: (field) => `${field} is required`,
+  type: (field, schema) => `${field} must be ${describeType(schema.type)}`,
+  enum: (field, schema) => `${field} must be one of ${schema.enum.join(", ")}`,
+  pattern: (field) => `${field} is not in the right format`,
+  format: (field, schema) => `${field} must be a ${schema.format}`,
+  minLength: (field, schema) => `${field} must be at least ${schema.minLength} characters`,
+  maxLength: (field, schema) => `${field} must be at most ${schema.maxLength} characters`,
+  minimum: (field, schema) => `${field} must be at least ${schema.minimum}`,
+  exclusiveMinimum: (field, schema) => `${field} must be greater than ${schema.exclusiveMinimum}`,
+  maximum: (field, schema) => `${field} must be at most ${schema.maximum}`,
+  minItems: (field, schema) => `${field} must have at least ${schema.minItems} items`,
+  maxItems: (field, schema) => `${field} must have at most ${schema.maxItems} items`,
+};
+
+// The parts of a date and time such as 2021-01-31T23:59:59.999+02:00
+const DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:Z|[+-](\d{2}):(\d{2}))$/;
+
+// Check that a string is a date and time that exists. Date.parse rolls impossible dates over,
+// e.g. 2021-02-30 becomes March 2nd, so each part must come back unchanged from a UTC date built from it:
+// a month from 1 to 12, a day within the month, an hour up to 23 and minutes and seconds up to 59.
+function isDateTime(value) {
+  const match = DATE_TIME.exec(value);
+  if (!match) return false;
+  const [year, month, day, hour, minute, second = 0, offsetHour = 0, offsetMinute = 0] = match
+    .slice(1)
+    .map((part) => (part === undefined ? undefined : Number(part)));
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day &&
+    date.getUTCHours() === hour &&
+    date.getUTCMinutes() === minute &&
+    date.getUTCSeconds() === second &&
+    offsetHour <= 23 &&
+    offsetMinute <= 59;
+}
+
+// Check that a string is in a format. A pattern can check the shape of a date, but not that it exists,
+// e.g. 2021-13-45T10:00Z has the right shape and is no date at all.
+const FORMATS = {
+  "date-time": isDateTime,
+  uri: (value) => {
+    try {
+      // Throws on a malformed or relative URL. Other schemes, e.g. javascript: or data:, are not links we can serve.
+      const { protocol } = new URL(value);
+      return protocol === "http:" || protocol === "https:";
+    } catch (error) {
+      return false;
+    }
+  },
+};
+
+// Check that a value matches a JSON Schema type
+function hasType(value, type) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return typeof value === "object" && value !== null && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+// Build the error for a keyword that failed
+function failure(schema, keyword, field, context) {
+  const { errorMessage } = schema;
+  const custom = typeof errorMessage === "object"
+    ? errorMessage[keyword] || errorMessage.default
+    : errorMessage;
+  const message = custom || DEFAULT_MESSAGES[keyword](context.name, schema);
+  return {
+    field,
+    keyword,
+    message: message.replace(/\{index\}/g, context.index),
+  };
+}
+
+// Check the keywords that apply to a single value, returning the name of the first one that fails
+function failedKeyword(schema, value) {
+  if (schema.type && !hasType(value, schema.type)) return "type";
+  if (schema.enum && !schema.enum.includes(value)) return "enum";
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) return "minLength";
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) return "maxLength";
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return "pattern";
+    if (schema.format && !FORMATS[schema.format](value)) return "format";
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) return "minimum";
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) return "exclusiveMinimum";
+    if (schema.maximum !== undefined && value > schema.maximum) return "maximum";
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) return "minItems";
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) return "maxItems";
+  }
+  return undefined;
+}
+
+// Validate a value against a schema, returning every error found.
+// Each error has the path of the field that failed, the keyword and a message.
+function validateSchema(schema, value, field = "", context = { name: "value", index: "" }) {
+  const keyword = failedKeyword(schema, value);
+  // Nested values are only checked once the value itself is the right shape
+  if (keyword) return [failure(schema, keyword, field, context)];
+
+  const errors = [];
+
+  if (hasType(value, "object")) {
+    const { properties = {}, required = [] } = schema;
+    // Check the fields in the order the schema lists them, so errors come back in a predictable order
+    const names = [...Object.keys(properties), ...required.filter((name) => !properties[name])];
+    names.forEach((name) => {
+      const propertySchema = properties[name] || {};
+      const propertyField = field ? `${field}.${name}` : name;
+      const propertyContext = { ...context, name };
+      if (value[name] !== undefined && value[name] !== null) {
+        errors.push(...validateSchema(propertySchema, value[name], propertyField, propertyContext));
+      } else if (required.includes(name)) {
+        errors.push(failure(propertySchema, "required", propertyField, propertyContext));
+      }
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(
+        ...validateSchema(schema.items, item, `${field}[${index}]`, { name: `${context.name}[${index}]`, index })
+      );
+    });
+  }
+
+  return errors;
+}
+
+module.exports = validateSchema;
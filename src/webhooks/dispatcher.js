@@ -0,0 +1,151 @@
+// Delivering events to webhooks.
+//
+// Every delivery is written to the delivery log before it is sent, then each attempt is added to it:
+//
+//   { id, webhookId, event, payload, status: "pending" | "succeeded" | "failed",
+//     attempts: [{ attemptedAt, statusCode, error, durationMs }], nextAttemptAt, createdAt }
+//
+// A delivery succeeds when the receiver responds with a 2xx status. Anything else is retried with
+// exponential backoff until it has been tried maxAttempts times. Retries wait in memory, so the app
+// resumes the pending deliveries in the log when it starts.
+
+const http = require("http");
+const https = require("https");
+const config = require("../config");
+const webhooksService = require("./webhooks.service");
+const deliveriesService = require("./webhookDeliveries.service");
+const { SIGNATURE_HEADER, signatureHeader } = require("./signing");
+const nextId = require("../utils/nextId");
+
+// POST a JSON body to a URL, resolving with the response status code whatever it is.
+// Rejects when the receiver cannot be reached or does not answer in time.
+function postJson(url, body, headers, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const { request } = url.startsWith("https:") ? https : http;
+    const req = request(url, {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json", "Content-Length": Buffer.byteLength(body) },
+      timeout: timeoutMs,
+    }, (res) => {
+      // The response body is not used, but it has to be read for the request to finish
+      res.resume();
+      res.on("end", () => resolve({ statusCode: res.statusCode }));
+    });
+    req.on("timeout", () => req.destroy(new Error(`No response after ${timeoutMs}ms`)));
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+// How long to wait before trying a delivery again, after it has been tried attemptCount times
+function backoffDelay(attemptCount, baseDelayMs) {
+  return baseDelayMs * 2 ** (attemptCount - 1);
+}
+
+// Create a dispatcher that delivers events to the webhooks subscribed to them.
+// The transport, timers and clock can be swapped out, which is how the tests drive retries.
+function createDispatcher({
+  send = postJson,
+  setTimeout = global.setTimeout,
+  clock = () => new Date(),
+  maxAttempts = config.webhookMaxAttempts,
+  baseDelayMs = config.webhookRetryBaseSeconds * 1000,
+  timeoutMs = config.webhookTimeoutSeconds * 1000,
+} = {}) {
+  // Wait for the backoff delay, then try the delivery again
+  function scheduleRetry(delivery, delayMs) {
+    const timer = setTimeout(() => attempt(delivery.id), delayMs);
+    // A retry waiting to go should not keep the process running
+    if (timer && timer.unref) timer.unref();
+  }
+
+  // Try to send a delivery once, recording how it went in the delivery log
+  async function attempt(deliveryId) {
+    const delivery = deliveriesService.read(deliveryId);
+    if (!delivery || delivery.status !== "pending") return delivery;
+
+    const webhook = webhooksService.read(delivery.webhookId);
+    if (!webhook) {
+      return deliveriesService.update({ ...delivery, status: "failed", nextAttemptAt: undefined });
+    }
+
+    const attemptedAt = clock();
+    const body = JSON.stringify(delivery.payload);
+    const headers = {
+      "User-Agent": "GrubDash-Webhooks/1",
+      "X-Webhook-Id": webhook.id,
+      "X-Webhook-Event": delivery.event,
+      "X-Webhook-Delivery": delivery.id,
+      [SIGNATURE_HEADER]: signatureHeader(webhook.secret, body, attemptedAt),
+    };
+    let result;
+    try {
+      const { statusCode } = await send(webhook.url, body, headers, timeoutMs);
+      result = { statusCode };
+    } catch (error) {
+      result = { error: error.message };
+    }
+
+    const attempts = [
+      ...delivery.attempts,
+      { attemptedAt: attemptedAt.toISOString(), ...result, durationMs: clock() - attemptedAt },
+    ];
+    const succeeded = result.statusCode >= 200 && result.statusCode < 300;
+    if (succeeded || attempts.length >= maxAttempts) {
+      return deliveriesService.update({
+        ...delivery,
+        status: succeeded ? "succeeded" : "failed",
+        attempts,
+        nextAttemptAt: undefined,
+      });
+    }
+
+    const delayMs = backoffDelay(attempts.length, baseDelayMs);
+    const retrying = deliveriesService.update({
+      ...delivery,
+      attempts,
+      nextAttemptAt: new Date(attemptedAt.getTime() + delayMs).toISOString(),
+    });
+    scheduleRetry(retrying, delayMs);
+    return retrying;
+  }
+
+  // Log a delivery of an event to a webhook and make the first attempt
+  function deliver(webhook, event, data, occurredAt = clock().toISOString()) {
+    const id = nextId();
+    const delivery = deliveriesService.create({
+      id,
+      webhookId: webhook.id,
+      event,
+      // The receiver gets the delivery id too, so it can ignore a delivery it has already handled
+      payload: { id, event, occurredAt, data },
+      status: "pending",
+      attempts: [],
+      createdAt: clock().toISOString(),
+    });
+    return attempt(delivery.id);
+  }
+
+  // Deliver an event to every webhook subscribed to it
+  function dispatch(event, data, occurredAt) {
+    return Promise.all(
+      webhooksService.findSubscribers(event).map((webhook) => deliver(webhook, event, data, occurredAt))
+    );
+  }
+
+  // Pick up the deliveries still pending when the app last stopped, since their retries were only waiting
+  // in memory. Each is tried again when it was due, or straight away if that time has passed.
+  function resumePending() {
+    const now = clock().getTime();
+    const pending = deliveriesService.list().filter((delivery) => delivery.status === "pending");
+    pending.forEach((delivery) => {
+      const dueAt = delivery.nextAttemptAt ? Date.parse(delivery.nextAttemptAt) : now;
+      scheduleRetry(delivery, Math.max(dueAt - now, 0));
+    });
+    return pending;
+  }
+
+  return { dispatch, deliver, attempt, resumePending };
+}
+
+module.exports = { createDispatcher, backoffDelay, postJson };
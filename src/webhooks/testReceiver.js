@@ -0,0 +1,94 @@
+// A webhook receiver that runs on this machine, for trying out webhooks without a partner system.
+//
+// Run it on its own with `npm run webhooks:receiver`, register http://127.0.0.1:5050/ as a webhook,
+// and it prints every delivery it gets. Set WEBHOOK_SECRET to the webhook's secret to check signatures.
+// The tests start one with startTestReceiver() and look at the deliveries it recorded.
+
+const http = require("http");
+const { SIGNATURE_HEADER, verifySignature } = require("./signing");
+
+// Start a receiver on localhost. respondWith is the status code to answer with, or a function
+// that picks one for each delivery, e.g. to fail the first attempt.
+function startTestReceiver({ secret, port = 0, respondWith = 200 } = {}) {
+  const deliveries = [];
+  let waiters = [];
+
+  // Resolve anyone waiting for this many deliveries
+  function notify() {
+    waiters = waiters.filter(({ count, resolve }) => {
+      if (deliveries.length < count) return true;
+      resolve(deliveries.slice());
+      return false;
+    });
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      const delivery = {
+        event: req.headers["x-webhook-event"],
+        deliveryId: req.headers["x-webhook-delivery"],
+        headers: req.headers,
+        body: JSON.parse(body || "null"),
+        // Without the secret there is nothing to check the signature against
+        verified: secret === undefined
+          ? undefined
+          : verifySignature(secret, body, req.headers[SIGNATURE_HEADER.toLowerCase()]),
+      };
+      deliveries.push(delivery);
+      const status = typeof respondWith === "function" ? respondWith(delivery, deliveries.length - 1) : respondWith;
+      res.writeHead(status).end();
+      notify();
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/`,
+        deliveries,
+        // Wait until the receiver has had count deliveries, resolving with them
+        waitForDeliveries(count, timeoutMs = 2000) {
+          return new Promise((resolveWait, rejectWait) => {
+            const timer = setTimeout(
+              () => rejectWait(new Error(`Only ${deliveries.length} of ${count} deliveries arrived`)),
+              timeoutMs
+            );
+            waiters.push({
+              count,
+              resolve: (received) => {
+                clearTimeout(timer);
+                resolveWait(received);
+              },
+            });
+            notify();
+          });
+        },
+        close() {
+          return new Promise((resolveClose) => server.close(resolveClose));
+        },
+      });
+    });
+  });
+}
+
+// Print each delivery when run on its own
+if (require.main === module) {
+  const { RECEIVER_PORT = "5050", WEBHOOK_SECRET } = process.env;
+  startTestReceiver({
+    secret: WEBHOOK_SECRET,
+    port: Number(RECEIVER_PORT),
+    respondWith: (delivery) => {
+      const signature = delivery.verified === undefined ? "not checked" : delivery.verified ? "valid" : "INVALID";
+      console.log(`${delivery.event} ${delivery.deliveryId} (signature ${signature})`);
+      console.log(JSON.stringify(delivery.body, null, 2));
+      return 200;
+    },
+  }).then(({ url }) => console.log(`Receiving webhooks at ${url}`));
+}
+
+module.exports = { startTestReceiver };
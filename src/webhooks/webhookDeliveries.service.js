@@ -0,0 +1,17 @@
+const path = require("path");
+const makeStore = require("../db/makeStore");
+
+// The existing webhook deliveries data is the initial delivery log
+const deliveries = require(path.resolve("src/data/webhook-deliveries-data"));
+
+const store = makeStore("webhook-deliveries", deliveries);
+
+// Find the deliveries made to a webhook
+function listForWebhook(webhookId) {
+  return store.list().filter((delivery) => delivery.webhookId === webhookId);
+}
+
+module.exports = {
+  ...store,
+  listForWebhook,
+};
@@ -0,0 +1,176 @@
+// Use the webhooks store for reading and saving webhooks
+const service = require("./webhooks.service");
+
+// Use the delivery log to show what was sent to a webhook
+const deliveriesService = require("./webhookDeliveries.service");
+
+// Use the dispatcher to send test events
+const { createDispatcher } = require("./dispatcher");
+
+// Use this function to catch errors in async handlers
+const asyncErrorBoundary = require("../errors/asyncErrorBoundary");
+
+// Use this function to assign ID's when necessary
+const nextId = require("../utils/nextId");
+
+// Use these functions to sort and paginate lists
+const { listQuery, sendPage } = require("../utils/listQuery");
+
+// Use these functions for ETags and conditional requests
+const { sendRecord, verifyIfMatch } = require("../utils/etag");
+
+// Use this function to apply PATCH requests
+const { applyPatch } = require("../utils/patch");
+
+// Use the webhook schema to validate request data
+const validateBody = require("../validation/validateBody");
+const { webhookSchema } = require("./webhooks.schema");
+
+// The event sent by the test endpoint. Every webhook gets it, whatever it subscribes to.
+const PING_EVENT = "webhook.ping";
+
+const dispatcher = createDispatcher();
+
+// Fields a list of webhooks can be sorted by
+const SORT_FIELDS = {
+  id: (webhook) => webhook.id,
+  url: (webhook) => webhook.url,
+  createdAt: (webhook) => webhook.createdAt,
+};
+
+// Fields a webhook's delivery log can be sorted by
+const DELIVERY_SORT_FIELDS = {
+  createdAt: (delivery) => delivery.createdAt,
+  event: (delivery) => delivery.event,
+  status: (delivery) => delivery.status,
+};
+
+////////////////////////////////////////////////////////////////////////
+// Validation Middleware
+////////////////////////////////////////////////////////////////////////
+
+// Verify that a webhook in the store has an id that matches the webhookId in the request parameter
+function webhookExists(req, res, next) {
+  const { webhookId } = req.params;
+  const foundWebhook = service.read(webhookId);
+  if (foundWebhook) {
+    // Store the matching webhook in res.locals to use in later functions in the route chain
+    res.locals.webhook = foundWebhook;
+    return next();
+  }
+
+  next({
+    status: 404,
+    message: `Webhook does not exist: ${webhookId}.`,
+  });
+}
+
+// Verify that the webhook id in the request body matches the webhookId in the request parameter
+function verifyWebhookIdDataMatchesRoute(req, res, next) {
+  const webhookId = res.locals.webhook.id;
+  const { data: { id } } = req.body;
+  if (!id || id === webhookId) return next();
+
+  next({
+    status: 400,
+    message: `Webhook id does not match route id. Webhook: ${id}, Route: ${webhookId}`,
+  });
+}
+
+// Store the webhook without its secret for a PATCH to apply to, so a patch cannot read the secret,
+// e.g. by copying it into the description. The update keeps the secret from the stored webhook.
+function hideSecret(req, res, next) {
+  res.locals.publicWebhook = service.toPublicWebhook(res.locals.webhook);
+  next();
+}
+
+////////////////////////////////////////////////////////////////////////
+// Route Middleware
+////////////////////////////////////////////////////////////////////////
+
+// Request: GET /webhooks
+function list(req, res) {
+  sendPage(req, res, service.list().map(service.toPublicWebhook));
+}
+
+// Request: POST /webhooks
+function create(req, res) {
+  const { data: { url, events, description, active = true } = {} } = req.body;
+  const createdWebhook = service.create({
+    id: nextId(),
+    url,
+    events,
+    description,
+    active,
+    secret: service.makeSecret(),
+    createdAt: new Date().toISOString(),
+  });
+  // This is the only time the secret is sent, the integrator needs it to check signatures
+  sendRecord(res, createdWebhook, 201);
+}
+
+// Request: GET /webhooks/:webhookId
+function read(req, res) {
+  sendRecord(res, service.toPublicWebhook(res.locals.webhook));
+}
+
+// Request: PUT /webhooks/:webhookId and PATCH /webhooks/:webhookId
+function update(req, res) {
+  const { webhook } = res.locals;
+  const { data: { url, events, description, active = webhook.active } = {} } = req.body;
+  // The webhook keeps its secret
+  const updatedWebhook = service.update({
+    ...webhook,
+    url,
+    events,
+    description,
+    active,
+  });
+  sendRecord(res, service.toPublicWebhook(updatedWebhook));
+}
+
+// Request: DELETE /webhooks/:webhookId
+function destroy(req, res) {
+  service.delete(res.locals.webhook.id);
+  res.sendStatus(204);
+}
+
+// Request: GET /webhooks/:webhookId/deliveries
+function listDeliveries(req, res) {
+  sendPage(req, res, deliveriesService.listForWebhook(res.locals.webhook.id));
+}
+
+// Request: POST /webhooks/:webhookId/test
+async function sendTest(req, res) {
+  const { webhook } = res.locals;
+  // Wait for the first attempt so the response shows whether the receiver got it
+  const delivery = await dispatcher.deliver(webhook, PING_EVENT, service.toPublicWebhook(webhook));
+  res.status(201).json({ data: delivery });
+}
+
+// Export route middleware for the router to call
+module.exports = {
+  list: [listQuery(SORT_FIELDS, "createdAt"), list],
+  create: [validateBody(webhookSchema), create], // Run validation checks before calling create
+  read: [webhookExists, read],
+  update: [
+    webhookExists,
+    verifyIfMatch("webhook"),
+    validateBody(webhookSchema),
+    verifyWebhookIdDataMatchesRoute,
+    update
+  ], // Run validation checks before calling update
+  patch: [
+    webhookExists,
+    verifyIfMatch("webhook"),
+    hideSecret,
+    applyPatch("publicWebhook"),
+    validateBody(webhookSchema),
+    verifyWebhookIdDataMatchesRoute,
+    update
+  ], // Apply the patch, then run the same checks as a full update
+  delete: [webhookExists, verifyIfMatch("webhook"), destroy],
+  // The newest deliveries come first
+  listDeliveries: [webhookExists, listQuery(DELIVERY_SORT_FIELDS, "-createdAt"), listDeliveries],
+  sendTest: [webhookExists, asyncErrorBoundary(sendTest)],
+};
@@ -0,0 +1,24 @@
+const ordersEvents = require("../orders/orders.events");
+const dishesEvents = require("../dishes/dishes.events");
+const { createDispatcher } = require("./dispatcher");
+
+let unsubscribe;
+
+// Start delivering order and dish events to the webhooks subscribed to them. Calling this again has no effect.
+function registerWebhookListeners(dispatcher = createDispatcher()) {
+  if (!unsubscribe) {
+    const stopOrders = ordersEvents.subscribe(({ type, order, occurredAt }) => {
+      dispatcher.dispatch(type, order, occurredAt);
+    });
+    const stopDishes = dishesEvents.subscribe(({ type, dish, occurredAt }) => {
+      dispatcher.dispatch(type, dish, occurredAt);
+    });
+    unsubscribe = () => {
+      stopOrders();
+      stopDishes();
+    };
+  }
+  return unsubscribe;
+}
+
+module.exports = { registerWebhookListeners };
@@ -0,0 +1,27 @@
+const router = require("express").Router();
+const controller = require("./webhooks.controller");
+const methodNotAllowed = require("../errors/methodNotAllowed");
+const { authorize } = require("../auth/permissions");
+
+// Routes for /webhooks/:webhookId/deliveries
+router.route("/:webhookId/deliveries")
+  .get(authorize("webhooks:read"), controller.listDeliveries)
+  .all(methodNotAllowed);
+// Routes for /webhooks/:webhookId/test
+router.route("/:webhookId/test")
+  .post(authorize("webhooks:update"), controller.sendTest)
+  .all(methodNotAllowed);
+// Routes for /webhooks/:webhookId
+router.route("/:webhookId")
+  .get(authorize("webhooks:read"), controller.read)
+  .put(authorize("webhooks:update"), controller.update)
+  .patch(authorize("webhooks:update"), controller.patch)
+  .delete(authorize("webhooks:delete"), controller.delete)
+  .all(methodNotAllowed);
+// Routes for /webhooks
+router.route("/")
+  .get(authorize("webhooks:read"), controller.list)
+  .post(authorize("webhooks:create"), controller.create)
+  .all(methodNotAllowed);
+
+module.exports = router;
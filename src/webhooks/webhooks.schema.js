@@ -0,0 +1,35 @@
+const { WEBHOOK_EVENTS } = require("./webhooks.service");
+
+// The shape of the data in a request to create or update a webhook
+const webhookSchema = {
+  type: "object",
+  errorMessage: "Request body must have a data object",
+  required: ["url", "events"],
+  properties: {
+    url: {
+      type: "string",
+      pattern: "^https?://[^\\s]+$",
+      errorMessage: "Webhook must include a url starting with http:// or https://",
+    },
+    events: {
+      type: "array",
+      minItems: 1,
+      errorMessage: "Webhook must include an array of at least one event",
+      items: {
+        type: "string",
+        enum: WEBHOOK_EVENTS,
+        errorMessage: `webhook event {index} must be ${WEBHOOK_EVENTS.join(", ")}`,
+      },
+    },
+    description: {
+      type: "string",
+      errorMessage: "Webhook description must be a string",
+    },
+    active: {
+      type: "boolean",
+      errorMessage: "Webhook active must be true or false",
+    },
+  },
+};
+
+module.exports = { webhookSchema };
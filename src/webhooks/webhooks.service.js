@@ -0,0 +1,37 @@
+const path = require("path");
+const crypto = require("crypto");
+const makeStore = require("../db/makeStore");
+const { ORDER_EVENTS } = require("../orders/orders.events");
+const { DISH_EVENTS } = require("../dishes/dishes.events");
+
+// The existing webhooks data is the initial set of webhooks in the store
+const webhooks = require(path.resolve("src/data/webhooks-data"));
+
+const store = makeStore("webhooks", webhooks);
+
+// Every event a webhook can subscribe to
+const WEBHOOK_EVENTS = [...Object.values(ORDER_EVENTS), ...Object.values(DISH_EVENTS)];
+
+// Make a new secret for signing a webhook's deliveries
+function makeSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+// Find the active webhooks subscribed to an event
+function findSubscribers(event) {
+  return store.list().filter((webhook) => webhook.active && webhook.events.includes(event));
+}
+
+// Return the webhook without its secret, for sending in responses.
+// The secret is only shown once, when the webhook is created.
+function toPublicWebhook({ secret, ...webhook }) {
+  return webhook;
+}
+
+module.exports = {
+  ...store,
+  WEBHOOK_EVENTS,
+  makeSecret,
+  findSubscribers,
+  toPublicWebhook,
+};
@@ -0,0 +1,159 @@
+const { execFileSync } = require("child_process");
+const request = require("supertest");
+const app = require("../src/app");
+const users = require("../src/data/users-data");
+const orders = require("../src/data/orders-data");
+const { hashPassword } = require("../src/auth/password");
+
+const dishId = "90c3d873684bf381dfab29034b5bba73";
+
+// Register a customer and return their token
+async function register(email) {
+  const response = await request(app)
+    .post("/auth/register")
+    .send({ data: { email, password: "correct horse", name: email } });
+  return response.body.data.token;
+}
+
+// Place an order as the user with the token
+function placeOrder(token) {
+  return request(app)
+    .post("/orders")
+    .set("Authorization", `Bearer ${token}`)
+    .send({
+      data: {
+        deliverTo: "308 Negra Arroyo Lane, Albuquerque, NM 87104",
+        mobileNumber: "(505) 143-3369",
+        dishes: [{ id: dishId, quantity: 1 }],
+      },
+    });
+}
+
+describe("authentication", () => {
+  beforeEach(() => {
+    users.splice(0, users.length, {
+      id: "staff-1",
+      email: "staff@example.com",
+      name: "Staff",
+      role: "kitchen",
+      passwordHash: hashPassword("staff password"),
+    });
+    orders.splice(0, orders.length);
+  });
+
+  test("registers a customer and returns a token", async () => {
+    const response = await request(app)
+      .post("/auth/register")
+      .send({ data: { email: "Ada@Example.com", password: "correct horse" } });
+
+    expect(response.body.error).toBeUndefined();
+    expect(response.body.data.token).toEqual(expect.any(String));
+    expect(response.body.data.user).toEqual({
+      id: expect.any(String),
+      email: "ada@example.com",
+      role: "customer",
+      version: 1,
+    });
+    expect(response.status).toBe(201);
+
+    const me = await request(app)
+      .get("/auth/me")
+      .set("Authorization", `Bearer ${response.body.data.token}`);
+    expect(me.body.data.email).toEqual("ada@example.com");
+  });
+
+  test("returns 409 when the email is already registered", async () => {
+    await register("ada@example.com");
+
+    const response = await request(app)
+      .post("/auth/register")
+      .send({ data: { email: "ADA@example.com", password: "another password" } });
+
+    expect(response.status).toBe(409);
+  });
+
+  test("returns 400 for a short password", async () => {
+    const response = await request(app)
+      .post("/auth/register")
+      .send({ data: { email: "ada@example.com", password: "short" } });
+
+    expect(response.body.error).toContain("password");
+    expect(response.status).toBe(400);
+  });
+
+  test("logs in with the right password only", async () => {
+    await register("ada@example.com");
+
+    const wrong = await request(app)
+      .post("/auth/login")
+      .send({ data: { email: "ada@example.com", password: "wrong password" } });
+    expect(wrong.status).toBe(401);
+
+    const right = await request(app)
+      .post("/auth/login")
+      .send({ data: { email: "ada@example.com", password: "correct horse" } });
+    expect(right.body.data.token).toEqual(expect.any(String));
+    expect(right.status).toBe(200);
+  });
+
+  test("requires a valid token for orders", async () => {
+    const anonymous = await request(app).get("/orders");
+    expect(anonymous.status).toBe(401);
+
+    const forged = await request(app)
+      .get("/orders")
+      .set("Authorization", "Bearer not.a.token");
+    expect(forged.status).toBe(401);
+  });
+
+  test("customers only see their own orders, staff see every order", async () => {
+    const ada = await register("ada@example.com");
+    const bob = await register("bob@example.com");
+    const order = (await placeOrder(ada)).body.data;
+
+    const ownRead = await request(app)
+      .get(`/orders/${order.id}`)
+      .set("Authorization", `Bearer ${ada}`);
+    expect(ownRead.status).toBe(200);
+
+    const otherRead = await request(app)
+      .get(`/orders/${order.id}`)
+      .set("Authorization", `Bearer ${bob}`);
+    expect(otherRead.status).toBe(404);
+
+    const otherList = await request(app)
+      .get("/orders")
+      .set("Authorization", `Bearer ${bob}`);
+    expect(otherList.body.data).toEqual([]);
+
+    const staff = await request(app)
+      .post("/auth/login")
+      .send({ data: { email: "staff@example.com", password: "staff password" } });
+    const staffList = await request(app)
+      .get("/orders")
+      .set("Authorization", `Bearer ${staff.body.data.token}`);
+    expect(staffList.body.data.map(({ id }) => id)).toEqual([order.id]);
+  });
+});
+
+describe("auth secret", () => {
+  // Load the config in a new process without a secret, returning the secret it would use
+  function loadConfig(nodeEnv) {
+    const env = { ...process.env, NODE_ENV: nodeEnv };
+    delete env.AUTH_SECRET;
+    if (nodeEnv === undefined) delete env.NODE_ENV;
+    return execFileSync(process.execPath, ["-e", 'process.stdout.write(require("./src/config").authSecret)'], {
+      env,
+      stdio: "pipe",
+    }).toString();
+  }
+
+  test("refuses to start without a secret outside development and the tests", () => {
+    expect(() => loadConfig("production")).toThrow("AUTH_SECRET must be set");
+    expect(() => loadConfig(undefined)).toThrow("AUTH_SECRET must be set");
+  });
+
+  test("uses the development secret in development", () => {
+    expect(loadConfig("development")).toEqual("development-secret");
+  });
+});
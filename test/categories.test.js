@@ -0,0 +1,150 @@
+const request = require("supertest");
+const categories = require("../src/data/categories-data");
+const dishes = require("../src/data/dishes-data");
+const categoriesRouter = require("../src/categories/categories.router");
+const menuRouter = require("../src/menu/menu.router");
+const dishesRouter = require("../src/dishes/dishes.router");
+const makeTestApp = require("./make-test-app");
+
+const ATTACHED_PATH = "/categories-router";
+
+const manager = { id: "manager", role: "manager" };
+
+const app = makeTestApp(ATTACHED_PATH, categoriesRouter, manager);
+const menuApp = makeTestApp("/menu", menuRouter);
+const dishesApp = makeTestApp("/dishes", dishesRouter, manager);
+
+const starters = { id: "starters", name: "Starters", displayOrder: 1 };
+const mains = { id: "mains", name: "Mains", displayOrder: 2 };
+const desserts = { id: "desserts", name: "Desserts", displayOrder: 3 };
+
+function makeDish(id, name, fields) {
+  return { id, name, description: "d", image_url: "https://example.com/dish.jpg", price: 5, ...fields };
+}
+
+describe("categories", () => {
+  beforeEach(() => {
+    categories.splice(0, categories.length, desserts, mains, starters);
+    dishes.splice(0, dishes.length);
+  });
+
+  describe("categories router", () => {
+    test("lists categories in display order", async () => {
+      const response = await request(app).get(ATTACHED_PATH);
+
+      expect(response.body.data.map(({ id }) => id)).toEqual(["starters", "mains", "desserts"]);
+    });
+
+    test("creates a category", async () => {
+      const response = await request(app)
+        .post(ATTACHED_PATH)
+        .send({ data: { name: "Drinks", displayOrder: 4 } });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data).toEqual({
+        id: expect.any(String),
+        name: "Drinks",
+        displayOrder: 4,
+        version: 1,
+      });
+      expect(response.status).toBe(201);
+    });
+
+    test("returns 409 if a category with the same name exists", async () => {
+      const response = await request(app)
+        .post(ATTACHED_PATH)
+        .send({ data: { name: "mains", displayOrder: 4 } });
+
+      expect(response.status).toBe(409);
+    });
+
+    test("returns 400 if displayOrder is missing", async () => {
+      const response = await request(app)
+        .post(ATTACHED_PATH)
+        .send({ data: { name: "Drinks" } });
+
+      expect(response.body.error).toEqual("Category must include a displayOrder");
+      expect(response.status).toBe(400);
+    });
+
+    test("updates a category", async () => {
+      const response = await request(app)
+        .put(`${ATTACHED_PATH}/mains`)
+        .send({ data: { name: "Main courses", displayOrder: 5 } });
+
+      expect(response.body.data).toEqual({ ...mains, name: "Main courses", displayOrder: 5, version: 2 });
+    });
+
+    test("returns 409 when deleting a category that still has dishes", async () => {
+      dishes.push(makeDish("1", "Stew", { categoryId: "mains" }));
+
+      const response = await request(app).delete(`${ATTACHED_PATH}/mains`);
+
+      expect(response.status).toBe(409);
+      expect(categories).toHaveLength(3);
+    });
+
+    test("deletes an empty category", async () => {
+      dishes.push(makeDish("1", "Stew", { categoryId: "mains", archivedAt: "2020-09-01T17:00:00.000Z" }));
+
+      const response = await request(app).delete(`${ATTACHED_PATH}/mains`);
+
+      expect(response.status).toBe(204);
+      expect(categories.map(({ id }) => id)).toEqual(["desserts", "starters"]);
+    });
+
+    test("only lets managers change categories", async () => {
+      const customerApp = makeTestApp(ATTACHED_PATH, categoriesRouter, { id: "c", role: "customer" });
+
+      const response = await request(customerApp)
+        .post(ATTACHED_PATH)
+        .send({ data: { name: "Drinks", displayOrder: 4 } });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe("dishes in categories", () => {
+    test("returns 400 if the dish category does not exist", async () => {
+      const response = await request(dishesApp)
+        .post("/dishes")
+        .send({ data: { ...makeDish(undefined, "Soup"), categoryId: "missing" } });
+
+      expect(response.body.error).toEqual("Category does not exist: missing");
+      expect(response.status).toBe(400);
+    });
+
+    test("filters dishes by category", async () => {
+      dishes.push(makeDish("1", "Soup", { categoryId: "starters" }), makeDish("2", "Stew", { categoryId: "mains" }));
+
+      const response = await request(dishesApp).get("/dishes?categoryId=mains");
+
+      expect(response.body.data.map(({ id }) => id)).toEqual(["2"]);
+    });
+  });
+
+  describe("menu", () => {
+    test("groups the dishes that can be ordered by category", async () => {
+      dishes.push(
+        makeDish("1", "Stew", { categoryId: "mains" }),
+        makeDish("2", "Pie", { categoryId: "mains" }),
+        makeDish("3", "Soup", { categoryId: "starters" }),
+        makeDish("4", "Trifle", { categoryId: "desserts", available: false }),
+        makeDish("5", "Old stew", { categoryId: "mains", archivedAt: "2020-09-01T17:00:00.000Z" }),
+        makeDish("6", "Bread", {})
+      );
+
+      const response = await request(menuApp).get("/menu");
+
+      expect(response.body.error).toBeUndefined();
+      expect(
+        response.body.data.map(({ id, name, dishes }) => ({ id, name, dishes: dishes.map((dish) => dish.id) }))
+      ).toEqual([
+        { id: "starters", name: "Starters", dishes: ["3"] },
+        { id: "mains", name: "Mains", dishes: ["2", "1"] },
+        { id: null, name: "Other", dishes: ["6"] },
+      ]);
+      expect(response.status).toBe(200);
+    });
+  });
+});
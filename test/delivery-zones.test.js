@@ -0,0 +1,210 @@
+const request = require("supertest");
+const deliveryZones = require("../src/data/delivery-zones-data");
+const orders = require("../src/data/orders-data");
+const dishes = require("../src/data/dishes-data");
+const deliveryZonesRouter = require("../src/delivery/deliveryZones.router");
+const ordersRouter = require("../src/orders/orders.router");
+const { parseAddress, formatAddress } = require("../src/delivery/address");
+const { containsPoint } = require("../src/delivery/zones");
+const makeTestApp = require("./make-test-app");
+
+const ATTACHED_PATH = "/delivery-zones-router";
+const ORDERS_PATH = "/orders-router";
+
+const app = makeTestApp(ATTACHED_PATH, deliveryZonesRouter, { id: "manager", role: "manager" });
+const ordersApp = makeTestApp(ORDERS_PATH, ordersRouter, { id: "customer", role: "customer" });
+
+// A square around downtown Albuquerque
+const downtown = [
+  [-106.66, 35.07],
+  [-106.63, 35.07],
+  [-106.63, 35.1],
+  [-106.66, 35.1],
+];
+
+const albuquerque = {
+  id: "abq",
+  name: "Albuquerque",
+  postalCodes: ["87104"],
+  deliveryFee: 5,
+  estimatedMinutes: 35,
+};
+
+const downtownZone = {
+  id: "downtown",
+  name: "Downtown",
+  polygon: downtown,
+  deliveryFee: 3,
+  estimatedMinutes: 20,
+};
+
+const validOrder = {
+  deliverTo: "308 negra arroyo lane,  Albuquerque, nm 87104",
+  mobileNumber: "(505) 143-3369",
+  dishes: [{ id: "9", quantity: 1 }],
+};
+
+function placeOrder(fields) {
+  return request(ordersApp)
+    .post(ORDERS_PATH)
+    .send({ data: { ...validOrder, ...fields } });
+}
+
+describe("delivery zones", () => {
+  beforeEach(() => {
+    deliveryZones.splice(0, deliveryZones.length, albuquerque, downtownZone);
+    orders.splice(0, orders.length);
+    dishes.splice(0, dishes.length, { id: "9", name: "Bagel", description: "d", image_url: "https://example.com/dish.jpg", price: 6 });
+  });
+
+  describe("addresses", () => {
+    test("parses a street, unit, city, state and ZIP code", () => {
+      expect(parseAddress("221 Baker St,  Apt 2, Albuquerque, nm 87104-1234")).toEqual({
+        line1: "221 Baker St",
+        line2: "Apt 2",
+        city: "Albuquerque",
+        region: "NM",
+        postalCode: "87104",
+        country: "US",
+      });
+    });
+
+    test("writes a parsed address back out as one line", () => {
+      expect(formatAddress(parseAddress("308 Negra Arroyo Lane,Albuquerque,NM 87104"))).toEqual(
+        "308 Negra Arroyo Lane, Albuquerque, NM 87104"
+      );
+    });
+
+    test("cannot parse an address without a house number or ZIP code", () => {
+      expect(parseAddress("Negra Arroyo Lane, Albuquerque, NM 87104")).toBeUndefined();
+      expect(parseAddress("308 Negra Arroyo Lane, Albuquerque, NM")).toBeUndefined();
+      expect(parseAddress("somewhere")).toBeUndefined();
+    });
+
+    test("finds points inside a polygon", () => {
+      expect(containsPoint(downtown, { lat: 35.08, lng: -106.65 })).toBe(true);
+      expect(containsPoint(downtown, { lat: 35.2, lng: -106.65 })).toBe(false);
+    });
+  });
+
+  describe("delivery zones router", () => {
+    test("lists the delivery zones", async () => {
+      const response = await request(app).get(ATTACHED_PATH);
+
+      expect(response.body.data.map(({ id }) => id)).toEqual(["abq", "downtown"]);
+    });
+
+    test("creates a zone from postal codes", async () => {
+      const response = await request(app)
+        .post(ATTACHED_PATH)
+        .send({ data: { name: "Gulfport", postalCodes: ["39503"], deliveryFee: 7, estimatedMinutes: 50 } });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data).toEqual({
+        id: expect.any(String),
+        name: "Gulfport",
+        postalCodes: ["39503"],
+        deliveryFee: 7,
+        estimatedMinutes: 50,
+        version: 1,
+      });
+      expect(response.status).toBe(201);
+    });
+
+    test("returns 400 if a zone covers nowhere", async () => {
+      const response = await request(app)
+        .post(ATTACHED_PATH)
+        .send({ data: { name: "Nowhere", deliveryFee: 7, estimatedMinutes: 50 } });
+
+      expect(response.body.error).toEqual("Delivery zone must include postalCodes or a polygon");
+      expect(response.status).toBe(400);
+    });
+
+    test("only lets managers change zones", async () => {
+      const customerApp = makeTestApp(ATTACHED_PATH, deliveryZonesRouter, { id: "c", role: "customer" });
+
+      const response = await request(customerApp).delete(`${ATTACHED_PATH}/abq`);
+
+      expect(response.status).toBe(403);
+      expect(deliveryZones).toHaveLength(2);
+    });
+  });
+
+  describe("orders in delivery zones", () => {
+    test("normalizes the address and charges the zone's delivery fee", async () => {
+      const response = await placeOrder();
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.deliverTo).toEqual("308 negra arroyo lane, Albuquerque, NM 87104");
+      expect(response.body.data.address).toEqual({
+        line1: "308 negra arroyo lane",
+        city: "Albuquerque",
+        region: "NM",
+        postalCode: "87104",
+        country: "US",
+      });
+      expect(response.body.data.deliveryZone).toEqual({
+        id: "abq",
+        name: "Albuquerque",
+        deliveryFee: 5,
+        estimatedMinutes: 35,
+      });
+      expect(response.body.data.pricing.deliveryFee).toEqual(5);
+      expect(response.status).toBe(201);
+    });
+
+    test("estimates the delivery time from the zone", async () => {
+      const response = await placeOrder();
+
+      const { estimatedReadyAt, estimatedDeliveredAt } = response.body.data;
+      expect(Date.parse(estimatedDeliveredAt) - Date.parse(estimatedReadyAt)).toEqual(35 * 60 * 1000);
+    });
+
+    test("picks the cheapest zone when the address location is inside a polygon", async () => {
+      const response = await placeOrder({ deliveryLocation: { lat: 35.08, lng: -106.65 } });
+
+      expect(response.body.data.deliveryZone.id).toEqual("downtown");
+      expect(response.body.data.pricing.deliveryFee).toEqual(3);
+    });
+
+    test("returns 400 if the address cannot be parsed", async () => {
+      const response = await placeOrder({ deliverTo: "the blue house" });
+
+      expect(response.body.error).toContain("Order deliverTo must be a street address");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if no zone delivers to the address", async () => {
+      const response = await placeOrder({ deliverTo: "742 Evergreen Terrace, Springfield, OR 97477" });
+
+      expect(response.body.error).toEqual("We do not deliver to 742 Evergreen Terrace, Springfield, OR 97477");
+      expect(response.status).toBe(400);
+      expect(orders).toHaveLength(0);
+    });
+
+    test.each(["preparing", "out-for-delivery"])("returns 409 if the address changes once the order is %s", async (status) => {
+      const placed = await placeOrder();
+      orders[0].status = status;
+
+      const response = await request(ordersApp)
+        .put(`${ORDERS_PATH}/${placed.body.data.id}`)
+        .send({ data: { ...validOrder, status, deliverTo: "400 Central Ave SW, Albuquerque, NM 87104" } });
+
+      expect(response.body.error).toEqual(`Order deliverTo cannot be changed once the order is ${status}`);
+      expect(response.status).toBe(409);
+      expect(orders[0].deliverTo).toEqual(placed.body.data.deliverTo);
+    });
+
+    test("keeps the address of an order the kitchen has started when the update leaves it alone", async () => {
+      const placed = await placeOrder({ deliveryLocation: { lat: 35.08, lng: -106.65 } });
+      orders[0].status = "preparing";
+
+      const response = await request(ordersApp)
+        .put(`${ORDERS_PATH}/${placed.body.data.id}`)
+        .send({ data: { ...placed.body.data, status: "preparing", mobileNumber: "+12024561111" } });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.deliveryZone).toEqual(placed.body.data.deliveryZone);
+    });
+  });
+});
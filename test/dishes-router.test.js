@@ -5,7 +5,9 @@ const makeTestApp = require("./make-test-app");
 
 const ATTACHED_PATH = "/dishes-router";
 
-const app = makeTestApp(ATTACHED_PATH, dishesRouter);
+const manager = { id: "manager", role: "manager" };
+
+const app = makeTestApp(ATTACHED_PATH, dishesRouter, manager);
 
 describe("dishes router", () => {
   beforeEach(() => {
@@ -22,7 +24,7 @@ describe("dishes router", () => {
           data: {
             name: expectedName,
             description: "description",
-            image_url: "none",
+            image_url: "https://example.com/dish.jpg",
             price: 1,
           },
         });
@@ -40,7 +42,7 @@ describe("dishes router", () => {
         .post(ATTACHED_PATH)
         .set("Accept", "application/json")
         .send({
-          data: { description: "description", image_url: "none", price: 1 },
+          data: { description: "description", image_url: "https://example.com/dish.jpg", price: 1 },
         });
 
       expect(response.body.data).toBeUndefined();
@@ -56,7 +58,7 @@ describe("dishes router", () => {
           data: {
             name: "",
             description: "description",
-            image_url: "none",
+            image_url: "https://example.com/dish.jpg",
             price: 1,
           },
         });
@@ -70,7 +72,7 @@ describe("dishes router", () => {
       const response = await request(app)
         .post(ATTACHED_PATH)
         .set("Accept", "application/json")
-        .send({ data: { name: "name", image_url: "none", price: 1 } });
+        .send({ data: { name: "name", image_url: "https://example.com/dish.jpg", price: 1 } });
 
       expect(response.body.data).toBeUndefined();
       expect(response.body.error).toContain("description");
@@ -105,12 +107,44 @@ describe("dishes router", () => {
       expect(response.status).toBe(400);
     });
 
+    test("returns 400 if image_url is not a URL", async () => {
+      const response = await request(app)
+        .post(ATTACHED_PATH)
+        .set("Accept", "application/json")
+        .send({
+          data: {
+            name: "name",
+            description: "description",
+            image_url: "some-valid-url",
+            price: 1,
+          },
+        });
+
+      expect(response.body.data).toBeUndefined();
+      expect(response.body.error).toEqual("Malformed URL in property 'image_url'.");
+      expect(response.status).toBe(400);
+    });
+
+    test.each(["javascript:alert(1)", "data:image/png;base64,iVBORw0KGgo=", "ftp://example.com/dish.jpg"])(
+      "returns 400 if image_url is %s, which is not an http or https URL",
+      async (image_url) => {
+        const response = await request(app)
+          .post(ATTACHED_PATH)
+          .set("Accept", "application/json")
+          .send({ data: { name: "name", description: "description", image_url, price: 1 } });
+
+        expect(response.body.data).toBeUndefined();
+        expect(response.body.error).toEqual("Malformed URL in property 'image_url'.");
+        expect(response.status).toBe(400);
+      }
+    );
+
     test("returns 400 if price is missing", async () => {
       const response = await request(app)
         .post(ATTACHED_PATH)
         .set("Accept", "application/json")
         .send({
-          data: { name: "name", description: "description", image_url: "none" },
+          data: { name: "name", description: "description", image_url: "https://example.com/dish.jpg" },
         });
 
       expect(response.body.data).toBeUndefined();
@@ -122,7 +156,7 @@ describe("dishes router", () => {
       const response = await request(app)
         .post(ATTACHED_PATH)
         .set("Accept", "application/json")
-        .send({ data: { name: "name", description: "description", price: 0, image_url: "none" } });
+        .send({ data: { name: "name", description: "description", price: 0, image_url: "https://example.com/dish.jpg" } });
 
       expect(response.body.data).toBeUndefined();
       expect(response.body.error).toContain("price");
@@ -134,13 +168,28 @@ describe("dishes router", () => {
         .post(ATTACHED_PATH)
         .set("Accept", "application/json")
         .send({
-          data: { name: "name", description: "description", price: Number.MIN_SAFE_INTEGER, image_url: "none" },
+          data: { name: "name", description: "description", price: Number.MIN_SAFE_INTEGER, image_url: "https://example.com/dish.jpg" },
         });
 
       expect(response.body.data).toBeUndefined();
       expect(response.body.error).toContain("price");
       expect(response.status).toBe(400);
     });
+
+    test("reports every invalid field at once", async () => {
+      const response = await request(app)
+        .post(ATTACHED_PATH)
+        .set("Accept", "application/json")
+        .send({ data: { name: "", description: "description", price: 0 } });
+
+      expect(response.body.data).toBeUndefined();
+      expect(response.body.errors).toEqual([
+        { field: "data.name", message: "Dish must include a name" },
+        { field: "data.price", message: "Dish must have a price that is an integer greater than 0" },
+        { field: "data.image_url", message: "Dish must include a image_url" },
+      ]);
+      expect(response.status).toBe(400);
+    });
   });
 
   describe("read method", () => {
@@ -196,7 +245,7 @@ describe("dishes router", () => {
         id: "14",
         name: "Fried Spam",
         description: "America’s favorite mystery meat in a can.",
-        image_url: "some-valid-url",
+        image_url: "https://example.com/dish.jpg",
         price: 14,
       };
 
@@ -206,7 +255,7 @@ describe("dishes router", () => {
         id: "14",
         name: "Coddled Eggs",
         description: "lightly steamed in a hot water bath.",
-        image_url: "some-valid-url",
+        image_url: "https://example.com/dish.jpg",
         price: 14,
       };
 
@@ -216,7 +265,7 @@ describe("dishes router", () => {
         .send({ data: expected });
 
       expect(response.body.error).toBeUndefined();
-      expect(response.body.data).toEqual(expected);
+      expect(response.body.data).toEqual({ ...expected, version: 2 });
       expect(response.status).toBe(200);
     });
 
@@ -225,7 +274,7 @@ describe("dishes router", () => {
         id: "14",
         name: "Fried Spam",
         description: "America’s favorite mystery meat in a can.",
-        image_url: "some-valid-url",
+        image_url: "https://example.com/dish.jpg",
         price: 14,
       };
 
@@ -235,7 +284,7 @@ describe("dishes router", () => {
         id: "19",
         name: "Coddled Eggs",
         description: "lightly steamed in a hot water bath.",
-        image_url: "some-valid-url",
+        image_url: "https://example.com/dish.jpg",
         price: 14,
       };
 
@@ -257,7 +306,7 @@ describe("dishes router", () => {
         id: "14",
         name: "Fried Spam",
         description: "America’s favorite mystery meat in a can.",
-        image_url: "some-valid-url",
+        image_url: "https://example.com/dish.jpg",
         price: 14,
       };
 
@@ -266,7 +315,7 @@ describe("dishes router", () => {
       const expected = {
         name: "Coddled Eggs",
         description: "lightly steamed in a hot water bath.",
-        image_url: "some-valid-url",
+        image_url: "https://example.com/dish.jpg",
         price: 14,
       };
 
@@ -278,7 +327,7 @@ describe("dishes router", () => {
         });
 
       expect(response.body.error).toBeUndefined();
-      expect(response.body.data).toEqual({ ...expected, id: original.id });
+      expect(response.body.data).toEqual({ ...expected, id: original.id, version: 2 });
       expect(response.status).toBe(200);
     });
 
@@ -287,7 +336,7 @@ describe("dishes router", () => {
         id: "14",
         name: "Fried Spam",
         description: "America’s favorite mystery meat in a can.",
-        image_url: "some-valid-url",
+        image_url: "https://example.com/dish.jpg",
         price: 14,
       };
 
@@ -297,7 +346,7 @@ describe("dishes router", () => {
         id: "",
         name: "Coddled Eggs",
         description: "lightly steamed in a hot water bath.",
-        image_url: "some-valid-url",
+        image_url: "https://example.com/dish.jpg",
         price: 14,
       };
 
@@ -309,7 +358,7 @@ describe("dishes router", () => {
         });
 
       expect(response.body.error).toBeUndefined();
-      expect(response.body.data).toEqual({ ...expected, id: original.id });
+      expect(response.body.data).toEqual({ ...expected, id: original.id, version: 2 });
       expect(response.status).toBe(200);
     });
 
@@ -318,7 +367,7 @@ describe("dishes router", () => {
         id: "14",
         name: "Fried Spam",
         description: "America’s favorite mystery meat in a can.",
-        image_url: "some-valid-url",
+        image_url: "https://example.com/dish.jpg",
         price: 14,
       };
 
@@ -328,7 +377,7 @@ describe("dishes router", () => {
         id: null,
         name: "Coddled Eggs",
         description: "lightly steamed in a hot water bath.",
-        image_url: "some-valid-url",
+        image_url: "https://example.com/dish.jpg",
         price: 14,
       };
 
@@ -340,7 +389,7 @@ describe("dishes router", () => {
         });
 
       expect(response.body.error).toBeUndefined();
-      expect(response.body.data).toEqual({ ...expected, id: original.id });
+      expect(response.body.data).toEqual({ ...expected, id: original.id, version: 2 });
       expect(response.status).toBe(200);
     });
 
@@ -349,7 +398,7 @@ describe("dishes router", () => {
         id: "14",
         name: "Fried Spam",
         description: "America’s favorite mystery meat in a can.",
-        image_url: "some-valid-url",
+        image_url: "https://example.com/dish.jpg",
         price: 14,
       };
 
@@ -359,7 +408,7 @@ describe("dishes router", () => {
         id: undefined,
         name: "Coddled Eggs",
         description: "lightly steamed in a hot water bath.",
-        image_url: "some-valid-url",
+        image_url: "https://example.com/dish.jpg",
         price: 14,
       };
 
@@ -371,7 +420,7 @@ describe("dishes router", () => {
         });
 
       expect(response.body.error).toBeUndefined();
-      expect(response.body.data).toEqual({ ...expected, id: original.id });
+      expect(response.body.data).toEqual({ ...expected, id: original.id, version: 2 });
       expect(response.status).toBe(200);
     });
 
@@ -467,7 +516,7 @@ describe("dishes router", () => {
         id: "17",
         name: "Century Eggs",
         description: "Whole eggs preserved in clay and ash for a few months",
-        image_url: "some-valid-url",
+        image_url: "https://example.com/dish.jpg",
         price: 17,
       };
 
@@ -490,7 +539,7 @@ describe("dishes router", () => {
         id: "17",
         name: "Century Eggs",
         description: "Whole eggs preserved in clay and ash for a few months",
-        image_url: "some-valid-url",
+        image_url: "https://example.com/dish.jpg",
         price: 17,
       };
 
@@ -511,7 +560,7 @@ describe("dishes router", () => {
         id: "17",
         name: "Century Eggs",
         description: "Whole eggs preserved in clay and ash for a few months",
-        image_url: "some-valid-url",
+        image_url: "https://example.com/dish.jpg",
         price: 17,
       };
 
@@ -534,7 +583,7 @@ describe("dishes router", () => {
         id: "17",
         name: "Century Eggs",
         description: "Whole eggs preserved in clay and ash for a few months",
-        image_url: "some-valid-url",
+        image_url: "https://example.com/dish.jpg",
         price: "17",
       };
 
@@ -555,7 +604,7 @@ describe("dishes router", () => {
         id: "17",
         name: "Century Eggs",
         description: "Whole eggs preserved in clay and ash for a few months",
-        image_url: "some-valid-url",
+        image_url: "https://example.com/dish.jpg",
         price: 17,
       };
 
@@ -576,7 +625,7 @@ describe("dishes router", () => {
         id: "17",
         name: "Century Eggs",
         description: "Whole eggs preserved in clay and ash for a few months",
-        image_url: "some-valid-url",
+        image_url: "https://example.com/dish.jpg",
         price: 17,
       };
 
@@ -593,8 +642,134 @@ describe("dishes router", () => {
     });
   });
 
+  describe("patch method", () => {
+    const original = {
+      id: "14",
+      name: "Fried Spam",
+      description: "America’s favorite mystery meat in a can.",
+      image_url: "https://example.com/dish.jpg",
+      price: 14,
+    };
+
+    test("applies a JSON Merge Patch", async () => {
+      dishes.push(original);
+
+      const response = await request(app)
+        .patch(`${ATTACHED_PATH}/14`)
+        .set("Content-Type", "application/merge-patch+json")
+        .send(JSON.stringify({ data: { price: 16 } }));
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data).toEqual({ ...original, price: 16, version: 2 });
+      expect(response.status).toBe(200);
+    });
+
+    test("applies a JSON Patch", async () => {
+      dishes.push(original);
+
+      const response = await request(app)
+        .patch(`${ATTACHED_PATH}/14`)
+        .set("Content-Type", "application/json-patch+json")
+        .send(JSON.stringify([
+          { op: "test", path: "/price", value: 14 },
+          { op: "replace", path: "/name", value: "Spam Fritters" },
+        ]));
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.name).toEqual("Spam Fritters");
+      expect(response.status).toBe(200);
+    });
+
+    test("validates the patched dish like a full update", async () => {
+      dishes.push(original);
+
+      const response = await request(app)
+        .patch(`${ATTACHED_PATH}/14`)
+        .set("Content-Type", "application/merge-patch+json")
+        .send(JSON.stringify({ data: { price: 0, description: null } }));
+
+      expect(response.body.errors.map((error) => error.field)).toEqual([
+        "data.description",
+        "data.price",
+      ]);
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 409 when a JSON Patch test fails", async () => {
+      dishes.push(original);
+
+      const response = await request(app)
+        .patch(`${ATTACHED_PATH}/14`)
+        .set("Content-Type", "application/json-patch+json")
+        .send(JSON.stringify([{ op: "test", path: "/price", value: 99 }]));
+
+      expect(response.body.error).toContain("/price");
+      expect(response.status).toBe(409);
+    });
+
+    test("returns 415 for a plain JSON body", async () => {
+      dishes.push(original);
+
+      const response = await request(app)
+        .patch(`${ATTACHED_PATH}/14`)
+        .send({ data: { price: 16 } });
+
+      expect(response.status).toBe(415);
+    });
+  });
+
+  describe("conditional requests", () => {
+    const original = {
+      id: "14",
+      name: "Fried Spam",
+      description: "America’s favorite mystery meat in a can.",
+      image_url: "https://example.com/dish.jpg",
+      price: 14,
+      version: 3,
+    };
+
+    test("returns an ETag and 304 when the dish has not changed", async () => {
+      dishes.push(original);
+
+      const response = await request(app).get(`${ATTACHED_PATH}/14`);
+      expect(response.headers.etag).toEqual('"3"');
+
+      const conditional = await request(app)
+        .get(`${ATTACHED_PATH}/14`)
+        .set("If-None-Match", response.headers.etag);
+      expect(conditional.status).toBe(304);
+    });
+
+    test("updates the dish when If-Match is current", async () => {
+      dishes.push(original);
+
+      const response = await request(app)
+        .put(`${ATTACHED_PATH}/14`)
+        .set("If-Match", '"3"')
+        .send({ data: { ...original, price: 15 } });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.version).toEqual(4);
+      expect(response.headers.etag).toEqual('"4"');
+      expect(response.status).toBe(200);
+    });
+
+    test("returns 412 when If-Match is stale", async () => {
+      dishes.push(original);
+
+      const response = await request(app)
+        .put(`${ATTACHED_PATH}/14`)
+        .set("If-Match", '"2"')
+        .send({ data: { ...original, price: 15 } });
+
+      expect(response.body.error).toContain('"3"');
+      expect(response.status).toBe(412);
+      expect(dishes.find((dish) => dish.id === "14").price).toEqual(14);
+    });
+  });
+
   describe("delete method", () => {
-    test("returns 405 for existing dish", async () => {
+    test("archives an existing dish instead of removing it", async () => {
       const original = {
         id: "18",
         name: "Bangers And Mash",
@@ -609,19 +784,174 @@ describe("dishes router", () => {
         .delete(`${ATTACHED_PATH}/18`)
         .set("Accept", "application/json");
 
-      expect(response.body.data).toBeUndefined();
-      expect(response.body.error).not.toBeUndefined();
-      expect(response.status).toBe(405);
+      expect(response.status).toBe(204);
+
+      // The dish can still be read, for the orders it is part of
+      const read = await request(app).get(`${ATTACHED_PATH}/18`);
+      expect(read.body.data.archivedAt).toEqual(expect.any(String));
+
+      // But it is no longer listed
+      const list = await request(app).get(ATTACHED_PATH);
+      expect(list.body.data).toEqual([]);
+
+      const listArchived = await request(app).get(`${ATTACHED_PATH}?includeArchived=true`);
+      expect(listArchived.body.data.map((dish) => dish.id)).toEqual(["18"]);
     });
-  
-    test("returns 405 for non-existent dish", async () => {
+
+    test("returns 409 when changing an archived dish", async () => {
+      const original = {
+        id: "19",
+        name: "Bangers And Mash",
+        description: "finger sausages",
+        image_url: "https://example.com/dish.jpg",
+        price: 18,
+        archivedAt: "2020-09-01T17:00:00.000Z",
+      };
+
+      dishes.push(original);
+
+      const response = await request(app)
+        .put(`${ATTACHED_PATH}/19`)
+        .set("Accept", "application/json")
+        .send({ data: { ...original, archivedAt: undefined, price: 20 } });
+
+      expect(response.body.error).toContain("archived");
+      expect(response.status).toBe(409);
+    });
+
+    test("returns 404 for non-existent dish", async () => {
       const response = await request(app)
         .delete(`${ATTACHED_PATH}/77`)
         .set("Accept", "application/json");
 
       expect(response.body.data).toBeUndefined();
       expect(response.body.error).not.toBeUndefined();
-      expect(response.status).toBe(405);
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe("availability", () => {
+    test("makes new dishes available", async () => {
+      const response = await request(app)
+        .post(ATTACHED_PATH)
+        .send({ data: { name: "Soup", description: "d", image_url: "https://example.com/dish.jpg", price: 4 } });
+
+      expect(response.body.data.available).toBe(true);
+    });
+
+    test("returns 400 if the availability window ends before it starts", async () => {
+      const response = await request(app)
+        .post(ATTACHED_PATH)
+        .send({
+          data: {
+            name: "Pumpkin Soup",
+            description: "d",
+            image_url: "https://example.com/dish.jpg",
+            price: 4,
+            availableFrom: "2020-11-01T00:00:00Z",
+            availableUntil: "2020-10-01T00:00:00Z",
+          },
+        });
+
+      expect(response.body.error).toEqual("Dish availableUntil must be after availableFrom");
+      expect(response.status).toBe(400);
+    });
+
+    test("lists only the dishes that can be ordered now", async () => {
+      dishes.push(
+        { id: "1", name: "Soup", description: "d", image_url: "https://example.com/dish.jpg", price: 4, available: true },
+        { id: "2", name: "Stew", description: "d", image_url: "https://example.com/dish.jpg", price: 4, available: false },
+        {
+          id: "3",
+          name: "Pie",
+          description: "d",
+          image_url: "https://example.com/dish.jpg",
+          price: 4,
+          availableUntil: "2020-01-01T00:00:00Z",
+        }
+      );
+
+      const available = await request(app).get(`${ATTACHED_PATH}?available=true`);
+      const unavailable = await request(app).get(`${ATTACHED_PATH}?available=false`);
+
+      expect(available.body.data.map((dish) => dish.id)).toEqual(["1"]);
+      expect(unavailable.body.data.map((dish) => dish.id)).toEqual(["2", "3"]);
+    });
+  });
+
+  describe("allergens and diets", () => {
+    const stirFry = {
+      id: "1",
+      name: "Stir fry",
+      description: "d",
+      image_url: "https://example.com/dish.jpg",
+      price: 15,
+      allergens: ["soy"],
+      dietaryTags: ["vegan"],
+    };
+    const spaghetti = {
+      id: "2",
+      name: "Spaghetti",
+      description: "d",
+      image_url: "https://example.com/dish.jpg",
+      price: 19,
+      allergens: ["dairy", "gluten"],
+      dietaryTags: ["vegetarian"],
+    };
+    const mystery = { id: "3", name: "Mystery pie", description: "d", image_url: "https://example.com/dish.jpg", price: 9 };
+
+    test("creates a dish with allergens, dietary tags and nutrition", async () => {
+      const data = {
+        name: "Stir fry",
+        description: "d",
+        image_url: "https://example.com/dish.jpg",
+        price: 15,
+        allergens: ["soy"],
+        dietaryTags: ["vegan"],
+        nutrition: { calories: 420, protein: 12 },
+      };
+
+      const response = await request(app).post(ATTACHED_PATH).send({ data });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data).toEqual(expect.objectContaining(data));
+      expect(response.status).toBe(201);
+    });
+
+    test("returns 400 for an allergen outside the vocabulary", async () => {
+      const response = await request(app)
+        .post(ATTACHED_PATH)
+        .send({ data: { ...stirFry, id: undefined, allergens: ["soy", "onions"] } });
+
+      expect(response.body.errors).toEqual([
+        { field: "data.allergens[1]", message: expect.stringContaining("allergen 1 must be one of") },
+      ]);
+      expect(response.status).toBe(400);
+    });
+
+    test("leaves out dishes with the excluded allergens, or without allergen information", async () => {
+      dishes.push(stirFry, spaghetti, mystery);
+
+      const response = await request(app).get(`${ATTACHED_PATH}?excludeAllergens=nuts,dairy`);
+
+      expect(response.body.data.map((dish) => dish.id)).toEqual(["1"]);
+    });
+
+    test("treats a vegan dish as vegetarian", async () => {
+      dishes.push(stirFry, spaghetti, mystery);
+
+      const vegetarian = await request(app).get(`${ATTACHED_PATH}?diet=vegetarian`);
+      const vegan = await request(app).get(`${ATTACHED_PATH}?diet=vegan`);
+
+      expect(vegetarian.body.data.map((dish) => dish.id)).toEqual(["1", "2"]);
+      expect(vegan.body.data.map((dish) => dish.id)).toEqual(["1"]);
+    });
+
+    test("returns 400 for an unknown diet", async () => {
+      const response = await request(app).get(`${ATTACHED_PATH}?diet=vegan,paleo`);
+
+      expect(response.body.error).toContain("Unknown diets: paleo");
+      expect(response.status).toBe(400);
     });
   });
 
@@ -653,5 +983,68 @@ describe("dishes router", () => {
       expect(response.body.data).toEqual(expected);
       expect(response.status).toBe(200);
     });
+
+    test("filters dishes by name and price range", async () => {
+      dishes.push(
+        { id: "1", name: "Falafel bagel", description: "d", price: 6 },
+        { id: "2", name: "Falafel wrap", description: "d", price: 12 },
+        { id: "3", name: "Spaghetti", description: "d", price: 8 }
+      );
+
+      const response = await request(app)
+        .get(`${ATTACHED_PATH}?name=falafel&minPrice=5&maxPrice=10`)
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.map((dish) => dish.id)).toEqual(["1"]);
+      expect(response.status).toBe(200);
+    });
+
+    test("sorts by several fields", async () => {
+      dishes.push(
+        { id: "1", name: "B", description: "d", price: 6 },
+        { id: "2", name: "A", description: "d", price: 6 },
+        { id: "3", name: "C", description: "d", price: 9 }
+      );
+
+      const response = await request(app)
+        .get(`${ATTACHED_PATH}?sort=-price,name`)
+        .set("Accept", "application/json");
+
+      expect(response.body.data.map((dish) => dish.id)).toEqual(["3", "2", "1"]);
+    });
+
+    test("paginates with metadata and links", async () => {
+      dishes.push(
+        ...[1, 2, 3, 4, 5].map((id) => ({ id: `${id}`, name: `${id}`, description: "d", price: id }))
+      );
+
+      const response = await request(app)
+        .get(`${ATTACHED_PATH}?sort=price&limit=2&offset=2`)
+        .set("Accept", "application/json");
+
+      expect(response.body.data.map((dish) => dish.id)).toEqual(["3", "4"]);
+      expect(response.body.meta).toEqual({ total: 5, count: 2, limit: 2, offset: 2 });
+      expect(response.body.links.next).toEqual(`${ATTACHED_PATH}?sort=price&limit=2&offset=4`);
+      expect(response.body.links.prev).toEqual(`${ATTACHED_PATH}?sort=price&limit=2&offset=0`);
+    });
+
+    test("returns 400 for an unknown sort field", async () => {
+      const response = await request(app)
+        .get(`${ATTACHED_PATH}?sort=color`)
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toContain("color");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if minPrice is not a number", async () => {
+      const response = await request(app)
+        .get(`${ATTACHED_PATH}?minPrice=cheap`)
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toContain("minPrice");
+      expect(response.status).toBe(400);
+    });
   });
 });
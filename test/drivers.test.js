@@ -0,0 +1,243 @@
+const request = require("supertest");
+const app = require("../src/app");
+const orders = require("../src/data/orders-data");
+const drivers = require("../src/data/drivers-data");
+const { authAs, useRoleUsers } = require("./sign-in");
+
+const ana = { id: "ana", name: "Ana", mobileNumber: "+15055550101", userId: "delivery", status: "available" };
+const ben = { id: "ben", name: "Ben", mobileNumber: "+15055550102", status: "available" };
+const cal = { id: "cal", name: "Cal", mobileNumber: "+15055550103", status: "off-duty" };
+
+function makeOrder(id, fields) {
+  return {
+    id,
+    customerId: "customer",
+    deliverTo: "308 Negra Arroyo Lane, Albuquerque, NM 87104",
+    mobileNumber: "+15051433369",
+    status: "preparing",
+    dishes: [],
+    statusHistory: [{ status: "preparing", changedAt: "2021-03-01T12:00:00.000Z" }],
+    ...fields,
+  };
+}
+
+// Send an order out for delivery as a manager
+function sendOut(orderId, driverId) {
+  return request(app)
+    .post(`/orders/${orderId}/transitions`)
+    .set("Authorization", authAs("manager"))
+    .send({ data: { status: "out-for-delivery", driverId } });
+}
+
+describe("drivers", () => {
+  beforeEach(() => {
+    useRoleUsers(["customer", "delivery", "manager"]);
+    orders.splice(0, orders.length);
+    drivers.splice(0, drivers.length, { ...ana }, { ...ben }, { ...cal });
+  });
+
+  describe("drivers router", () => {
+    test("creates a driver who starts off duty", async () => {
+      const response = await request(app)
+        .post("/drivers")
+        .set("Authorization", authAs("manager"))
+        .send({ data: { name: "Dee", mobileNumber: "(505) 555-0104" } });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data).toEqual({
+        id: expect.any(String),
+        name: "Dee",
+        mobileNumber: "+15055550104",
+        status: "off-duty",
+        version: 1,
+      });
+      expect(response.status).toBe(201);
+    });
+
+    test("returns 400 if the driver's user is not a delivery user", async () => {
+      const response = await request(app)
+        .post("/drivers")
+        .set("Authorization", authAs("manager"))
+        .send({ data: { name: "Dee", mobileNumber: "(505) 555-0104", userId: "customer" } });
+
+      expect(response.body.error).toEqual("User customer has the customer role, drivers must have the delivery role");
+      expect(response.status).toBe(400);
+    });
+
+    test("lists the drivers who are available", async () => {
+      const response = await request(app)
+        .get("/drivers?status=available")
+        .set("Authorization", authAs("delivery"));
+
+      expect(response.body.data.map(({ id }) => id)).toEqual(["ana", "ben"]);
+    });
+
+    test("lets drivers change their own availability", async () => {
+      const response = await request(app)
+        .put("/drivers/ana/status")
+        .set("Authorization", authAs("delivery"))
+        .send({ data: { status: "on-break" } });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.status).toEqual("on-break");
+    });
+
+    test("does not let drivers change someone else's availability", async () => {
+      const response = await request(app)
+        .put("/drivers/ben/status")
+        .set("Authorization", authAs("delivery"))
+        .send({ data: { status: "off-duty" } });
+
+      expect(response.status).toBe(403);
+      expect(drivers[1].status).toEqual("available");
+    });
+
+    test("returns 409 when deleting a driver who is out delivering", async () => {
+      orders.push(makeOrder("1", { status: "out-for-delivery", driverId: "ben" }));
+
+      const response = await request(app)
+        .delete("/drivers/ben")
+        .set("Authorization", authAs("manager"));
+
+      expect(response.body.error).toEqual("Driver is still delivering orders: 1");
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe("assigning drivers", () => {
+    test("assigns the driver given when the order goes out for delivery", async () => {
+      orders.push(makeOrder("1"));
+
+      const response = await sendOut("1", "ben");
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.status).toEqual("out-for-delivery");
+      expect(response.body.data.driverId).toEqual("ben");
+      expect(response.body.data.assignedAt).toEqual(expect.any(String));
+    });
+
+    test("automatically picks the available driver with the fewest active deliveries", async () => {
+      orders.push(
+        makeOrder("1", { status: "out-for-delivery", driverId: "ana" }),
+        makeOrder("2", { status: "delivered", driverId: "ben" }),
+        makeOrder("3", { status: "delivered", driverId: "ben" }),
+        makeOrder("4")
+      );
+
+      const response = await sendOut("4", "auto");
+
+      expect(response.body.data.driverId).toEqual("ben");
+    });
+
+    test("returns 409 if no driver is available", async () => {
+      drivers.splice(0, drivers.length, { ...cal });
+      orders.push(makeOrder("1"));
+
+      const response = await sendOut("1", "auto");
+
+      expect(response.body.error).toEqual("No driver is available to deliver the order");
+      expect(response.status).toBe(409);
+      expect(orders[0].status).toEqual("preparing");
+    });
+
+    test("returns 409 if the driver given is not available", async () => {
+      orders.push(makeOrder("1"));
+
+      const response = await sendOut("1", "cal");
+
+      expect(response.body.error).toEqual("Driver Cal is off-duty");
+      expect(response.status).toBe(409);
+    });
+
+    test("returns 400 if a driver is given for another status", async () => {
+      orders.push(makeOrder("1", { status: "scheduled" }));
+
+      const response = await request(app)
+        .post("/orders/1/transitions")
+        .set("Authorization", authAs("manager"))
+        .send({ data: { status: "pending", driverId: "ben" } });
+
+      expect(response.body.error).toEqual("Order driverId can only be given when the order goes out-for-delivery");
+      expect(response.status).toBe(400);
+    });
+
+    test("assigns a driver to an order the kitchen already sent out", async () => {
+      orders.push(makeOrder("1", { status: "out-for-delivery" }));
+
+      const response = await request(app)
+        .put("/orders/1/driver")
+        .set("Authorization", authAs("manager"))
+        .send({ data: { driverId: "auto" } });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.driverId).toEqual("ana");
+      expect(response.body.data.assignedAt).toEqual(expect.any(String));
+      expect(response.body.data.status).toEqual("out-for-delivery");
+    });
+
+    test("returns 409 when assigning a driver to an order that is not out for delivery", async () => {
+      orders.push(makeOrder("1"));
+
+      const response = await request(app)
+        .put("/orders/1/driver")
+        .set("Authorization", authAs("manager"))
+        .send({ data: { driverId: "ben" } });
+
+      expect(response.body.error).toEqual(
+        "A driver can only be assigned to an order that is out-for-delivery, this order is preparing"
+      );
+      expect(response.status).toBe(409);
+      expect(orders[0].driverId).toBeUndefined();
+    });
+  });
+
+  describe("deliveries", () => {
+    test("lists a driver's current deliveries", async () => {
+      orders.push(
+        makeOrder("1", { status: "out-for-delivery", driverId: "ana", assignedAt: "2021-03-01T12:30:00.000Z" }),
+        makeOrder("2", { status: "out-for-delivery", driverId: "ana", assignedAt: "2021-03-01T12:10:00.000Z" }),
+        makeOrder("3", { status: "delivered", driverId: "ana" }),
+        makeOrder("4", { status: "out-for-delivery", driverId: "ben" })
+      );
+
+      const response = await request(app)
+        .get("/drivers/ana/deliveries")
+        .set("Authorization", authAs("delivery"));
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.map(({ id }) => id)).toEqual(["2", "1"]);
+    });
+
+    test("marks a delivery delivered", async () => {
+      orders.push(makeOrder("1", { status: "out-for-delivery", driverId: "ana" }));
+
+      const response = await request(app)
+        .post("/drivers/ana/deliveries/1/delivered")
+        .set("Authorization", authAs("delivery"));
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.status).toEqual("delivered");
+      expect(orders[0].status).toEqual("delivered");
+    });
+
+    test("returns 404 for an order the driver is not delivering", async () => {
+      orders.push(makeOrder("1", { status: "out-for-delivery", driverId: "ben" }));
+
+      const response = await request(app)
+        .post("/drivers/ana/deliveries/1/delivered")
+        .set("Authorization", authAs("delivery"));
+
+      expect(response.body.error).toEqual("Driver ana is not delivering order 1.");
+      expect(response.status).toBe(404);
+      expect(orders[0].status).toEqual("out-for-delivery");
+    });
+
+    test("does not let drivers see someone else's deliveries", async () => {
+      const response = await request(app)
+        .get("/drivers/ben/deliveries")
+        .set("Authorization", authAs("delivery"));
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
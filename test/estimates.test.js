@@ -0,0 +1,246 @@
+const request = require("supertest");
+const orders = require("../src/data/orders-data");
+const dishes = require("../src/data/dishes-data");
+const ordersRouter = require("../src/orders/orders.router");
+const dishesRouter = require("../src/dishes/dishes.router");
+const { estimateTimes } = require("../src/orders/estimates");
+const makeTestApp = require("./make-test-app");
+
+const ATTACHED_PATH = "/orders-router";
+
+const app = makeTestApp(ATTACHED_PATH, ordersRouter, { id: "manager", role: "manager" });
+const dishesApp = makeTestApp("/dishes", dishesRouter, { id: "manager", role: "manager" });
+
+const MINUTE = 60 * 1000;
+
+const bagel = { id: "9", name: "Bagel", description: "d", image_url: "https://example.com/dish.jpg", price: 6, prepMinutes: 8 };
+const stew = { id: "10", name: "Stew", description: "d", image_url: "https://example.com/dish.jpg", price: 12, prepMinutes: 20 };
+
+const zone = { id: "abq", name: "Albuquerque", deliveryFee: 5, estimatedMinutes: 35 };
+
+function makeOrder(fields) {
+  return {
+    id: "1",
+    status: "pending",
+    dishes: [{ ...bagel, quantity: 2 }, { ...stew, quantity: 1 }],
+    deliveryZone: zone,
+    statusHistory: [{ status: "pending", changedAt: "2021-03-01T12:00:00.000Z" }],
+    ...fields,
+  };
+}
+
+describe("estimated times", () => {
+  beforeEach(() => {
+    orders.splice(0, orders.length);
+    dishes.splice(0, dishes.length, bagel, stew);
+  });
+
+  describe("estimating", () => {
+    test("waits for the orders ahead, then the slowest dish, then the trip", () => {
+      expect(estimateTimes(makeOrder(), 2)).toEqual({
+        estimatedReadyAt: "2021-03-01T12:30:00.000Z",
+        estimatedDeliveredAt: "2021-03-01T13:05:00.000Z",
+      });
+    });
+
+    test("counts from when the kitchen started preparing the order", () => {
+      const order = makeOrder({
+        status: "preparing",
+        statusHistory: [
+          { status: "pending", changedAt: "2021-03-01T12:00:00.000Z" },
+          { status: "preparing", changedAt: "2021-03-01T12:10:00.000Z" },
+        ],
+      });
+
+      expect(estimateTimes(order, 5)).toEqual({
+        estimatedReadyAt: "2021-03-01T12:30:00.000Z",
+        estimatedDeliveredAt: "2021-03-01T13:05:00.000Z",
+      });
+    });
+
+    test("makes a scheduled order in time to arrive when it is due", () => {
+      const order = makeOrder({ status: "scheduled", scheduledFor: "2021-03-01T19:00:00.000Z" });
+
+      expect(estimateTimes(order)).toEqual({
+        estimatedReadyAt: "2021-03-01T18:25:00.000Z",
+        estimatedDeliveredAt: "2021-03-01T19:00:00.000Z",
+      });
+    });
+
+    test("uses the standard prep and delivery times when they are not known", () => {
+      const order = makeOrder({ dishes: [{ id: "1", quantity: 1 }], deliveryZone: undefined });
+
+      expect(estimateTimes(order)).toEqual({
+        estimatedReadyAt: "2021-03-01T12:15:00.000Z",
+        estimatedDeliveredAt: "2021-03-01T12:45:00.000Z",
+      });
+    });
+  });
+
+  describe("orders", () => {
+    test("estimates the times when an order is placed", async () => {
+      orders.push(makeOrder({ id: "ahead" }));
+      const before = Date.now();
+
+      const response = await request(app)
+        .post(ATTACHED_PATH)
+        .send({
+          data: {
+            deliverTo: "308 Negra Arroyo Lane, Albuquerque, NM 87104",
+            mobileNumber: "(505) 143-3369",
+            dishes: [{ id: "9", quantity: 1 }, { id: "10", quantity: 1 }],
+          },
+        });
+
+      expect(response.body.error).toBeUndefined();
+      const { estimatedReadyAt, estimatedDeliveredAt, deliveryZone } = response.body.data;
+      // One order ahead and the 20 minute stew
+      expect(Date.parse(estimatedReadyAt)).toBeGreaterThanOrEqual(before + 25 * MINUTE);
+      expect(Date.parse(estimatedReadyAt)).toBeLessThanOrEqual(Date.now() + 25 * MINUTE);
+      expect(Date.parse(estimatedDeliveredAt) - Date.parse(estimatedReadyAt)).toEqual(
+        deliveryZone.estimatedMinutes * MINUTE
+      );
+    });
+
+    test("estimates the times again when the status changes and shows them on the order", async () => {
+      orders.push(makeOrder({ status: "preparing" }));
+
+      await request(app)
+        .post(`${ATTACHED_PATH}/1/transitions`)
+        .send({ data: { status: "out-for-delivery" } });
+      const response = await request(app).get(`${ATTACHED_PATH}/1`);
+
+      const { statusHistory, estimatedReadyAt, estimatedDeliveredAt } = response.body.data;
+      const leftAt = statusHistory[statusHistory.length - 1].changedAt;
+      expect(estimatedReadyAt).toEqual(leftAt);
+      expect(Date.parse(estimatedDeliveredAt)).toEqual(Date.parse(leftAt) + 35 * MINUTE);
+    });
+    test("estimates the times again when the dishes change", async () => {
+      const order = makeOrder({
+        deliverTo: "308 Negra Arroyo Lane, Albuquerque, NM 87104",
+        mobileNumber: "(505) 143-3369",
+        dishes: [{ ...bagel, quantity: 1 }],
+      });
+      orders.push(order);
+
+      const response = await request(app)
+        .put(`${ATTACHED_PATH}/1`)
+        .send({ data: { ...order, dishes: [{ id: "9", quantity: 1 }, { id: "10", quantity: 1 }] } });
+
+      expect(response.body.error).toBeUndefined();
+      // The 20 minute stew is now the slowest dish
+      expect(response.body.data.estimatedReadyAt).toEqual("2021-03-01T12:20:00.000Z");
+      expect(orders[0].estimatedReadyAt).toEqual("2021-03-01T12:20:00.000Z");
+    });
+
+    test("brings the times forward as the orders ahead leave the kitchen", async () => {
+      orders.push(makeOrder({ id: "ahead" }), makeOrder({ id: "1" }));
+
+      const before = await request(app).get(`${ATTACHED_PATH}/1`);
+      await request(app).delete(`${ATTACHED_PATH}/ahead`);
+      const after = await request(app).get(`${ATTACHED_PATH}/1`);
+
+      expect(before.body.data.estimatedReadyAt).toEqual("2021-03-01T12:25:00.000Z");
+      expect(after.body.data.estimatedReadyAt).toEqual("2021-03-01T12:20:00.000Z");
+    });
+
+    test("answers a conditional read with the order once its times have moved", async () => {
+      orders.push(makeOrder({ id: "ahead" }), makeOrder({ id: "1" }));
+
+      const before = await request(app).get(`${ATTACHED_PATH}/1`);
+      const unchanged = await request(app).get(`${ATTACHED_PATH}/1`).set("If-None-Match", before.headers.etag);
+      await request(app).delete(`${ATTACHED_PATH}/ahead`);
+      const after = await request(app).get(`${ATTACHED_PATH}/1`).set("If-None-Match", before.headers.etag);
+
+      expect(unchanged.status).toBe(304);
+      expect(after.status).toBe(200);
+      expect(after.body.data.estimatedReadyAt).toEqual("2021-03-01T12:20:00.000Z");
+      expect(after.headers.etag).not.toEqual(before.headers.etag);
+    });
+
+    test("lets an order be changed with an ETag read before its times moved", async () => {
+      const order = makeOrder({
+        id: "1",
+        deliverTo: "308 Negra Arroyo Lane, Albuquerque, NM 87104",
+        mobileNumber: "(505) 143-3369",
+      });
+      orders.push(makeOrder({ id: "ahead" }), order);
+
+      const before = await request(app).get(`${ATTACHED_PATH}/1`);
+      await request(app).delete(`${ATTACHED_PATH}/ahead`);
+      const response = await request(app)
+        .put(`${ATTACHED_PATH}/1`)
+        .set("If-Match", before.headers.etag)
+        .send({ data: { ...order, mobileNumber: "+12024561111" } });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.status).toBe(200);
+    });
+
+    test("keeps an order's times when later orders join the queue", async () => {
+      const later = (id, minutes) =>
+        makeOrder({ id, statusHistory: [{ status: "pending", changedAt: `2021-03-01T12:0${minutes}:00.000Z` }] });
+      orders.push(makeOrder({ id: "ahead" }), later("1", 1));
+
+      const before = await request(app).get(`${ATTACHED_PATH}/1`);
+      orders.push(later("2", 2), later("3", 3));
+      const after = await request(app).get(`${ATTACHED_PATH}/1`);
+      const last = await request(app).get(`${ATTACHED_PATH}/3`);
+
+      expect(before.body.data.estimatedReadyAt).toEqual("2021-03-01T12:26:00.000Z");
+      expect(after.body.data.estimatedReadyAt).toEqual("2021-03-01T12:26:00.000Z");
+      // The three orders placed before it are ahead of the last one
+      expect(last.body.data.estimatedReadyAt).toEqual("2021-03-01T12:38:00.000Z");
+    });
+
+    test("queues a released scheduled order from when it was released, not when it was booked", async () => {
+      orders.push(
+        makeOrder({
+          id: "released",
+          scheduledFor: "2021-03-01T13:00:00.000Z",
+          statusHistory: [
+            { status: "scheduled", changedAt: "2021-02-28T09:00:00.000Z" },
+            { status: "pending", changedAt: "2021-03-01T12:10:00.000Z" },
+          ],
+        }),
+        makeOrder({ id: "1" })
+      );
+
+      const placed = await request(app).get(`${ATTACHED_PATH}/1`);
+      const released = await request(app).get(`${ATTACHED_PATH}/released`);
+
+      expect(placed.body.data.estimatedReadyAt).toEqual("2021-03-01T12:20:00.000Z");
+      // Order 1 reached the kitchen first, so it is ahead of the released order
+      expect(released.body.data.estimatedReadyAt).toEqual("2021-03-01T12:35:00.000Z");
+    });
+
+    test("counts an order the kitchen is preparing as ahead, whenever it was placed", async () => {
+      orders.push(
+        makeOrder({ id: "1" }),
+        makeOrder({
+          id: "started",
+          status: "preparing",
+          statusHistory: [
+            { status: "pending", changedAt: "2021-03-01T12:05:00.000Z" },
+            { status: "preparing", changedAt: "2021-03-01T12:06:00.000Z" },
+          ],
+        })
+      );
+
+      const response = await request(app).get(`${ATTACHED_PATH}/1`);
+
+      expect(response.body.data.estimatedReadyAt).toEqual("2021-03-01T12:25:00.000Z");
+    });
+  });
+
+  describe("dish prep times", () => {
+    test("returns 400 if prepMinutes is not a whole number", async () => {
+      const response = await request(dishesApp)
+        .put("/dishes/9")
+        .send({ data: { ...bagel, prepMinutes: 7.5 } });
+
+      expect(response.body.error).toEqual("Dish prepMinutes must be a whole number of minutes of at least 0");
+      expect(response.status).toBe(400);
+    });
+  });
+});
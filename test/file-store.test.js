@@ -0,0 +1,44 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const createFileStore = require("../src/db/fileStore");
+
+describe("file store", () => {
+  let dataDir;
+  let filePath;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "file-store-"));
+    filePath = path.join(dataDir, "dishes.json");
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test("starts with a copy of the fixtures", () => {
+    const fixtures = [{ id: "1", name: "fixture" }];
+    const store = createFileStore(filePath, fixtures);
+
+    expect(store.list()).toEqual(fixtures);
+    expect(JSON.parse(fs.readFileSync(filePath, "utf8"))).toEqual(fixtures);
+
+    store.create({ id: "2", name: "created" });
+    expect(fixtures).toHaveLength(1);
+  });
+
+  test("keeps changes across restarts", () => {
+    const store = createFileStore(filePath, [{ id: "1", name: "fixture" }]);
+    store.create({ id: "2", name: "created" });
+    store.update({ id: "1", name: "updated" });
+
+    const restarted = createFileStore(filePath, []);
+    expect(restarted.list()).toEqual([
+      { id: "1", name: "updated", version: 2 },
+      { id: "2", name: "created", version: 1 },
+    ]);
+
+    restarted.delete("2");
+    expect(createFileStore(filePath, []).read("2")).toBeUndefined();
+  });
+});
@@ -0,0 +1,187 @@
+const request = require("supertest");
+const app = require("../src/app");
+const orders = require("../src/data/orders-data");
+const dishes = require("../src/data/dishes-data");
+const ingredients = require("../src/data/ingredients-data");
+const { authAs, useRoleUsers } = require("./sign-in");
+
+const falafel = { id: "falafel", name: "Falafel", unit: "each", quantityOnHand: 10, lowStockThreshold: 4 };
+const tahini = { id: "tahini", name: "Tahini", unit: "ml", quantityOnHand: 100, lowStockThreshold: 20 };
+
+const bagel = {
+  id: "9",
+  name: "Falafel and tahini bagel",
+  description: "A warm bagel filled with falafel and tahini",
+  image_url: "https://example.com/dish.jpg",
+  price: 6,
+  ingredients: [
+    { ingredientId: "falafel", quantity: 3 },
+    { ingredientId: "tahini", quantity: 15 },
+  ],
+};
+
+const validOrder = {
+  deliverTo: "308 Negra Arroyo Lane, Albuquerque, NM 87104",
+  mobileNumber: "(505) 143-3369",
+};
+
+// Order bagels as a customer
+function orderBagels(quantity) {
+  return request(app)
+    .post("/orders")
+    .set("Authorization", authAs("customer"))
+    .send({ data: { ...validOrder, dishes: [{ id: "9", quantity }] } });
+}
+
+// Find how much of an ingredient is left
+function onHand(ingredientId) {
+  return ingredients.find((ingredient) => ingredient.id === ingredientId).quantityOnHand;
+}
+
+describe("inventory", () => {
+  beforeEach(() => {
+    useRoleUsers(["customer", "kitchen", "manager"]);
+    orders.splice(0, orders.length);
+    dishes.splice(0, dishes.length, { ...bagel });
+    ingredients.splice(0, ingredients.length, { ...falafel }, { ...tahini });
+  });
+
+  test("reserves the ingredients when an order is placed", async () => {
+    const response = await orderBagels(2);
+
+    expect(response.body.error).toBeUndefined();
+    expect(response.body.data.stockReservation).toEqual([
+      { ingredientId: "falafel", quantity: 6 },
+      { ingredientId: "tahini", quantity: 30 },
+    ]);
+    expect(onHand("falafel")).toEqual(4);
+    expect(onHand("tahini")).toEqual(70);
+  });
+
+  test("returns 409 and takes nothing when there is not enough stock", async () => {
+    const response = await orderBagels(4);
+
+    expect(response.body.error).toEqual("Not enough Falafel: 12 needed, 10 left");
+    expect(response.status).toBe(409);
+    expect(onHand("falafel")).toEqual(10);
+    expect(onHand("tahini")).toEqual(100);
+  });
+
+  test("gives the stock back when a pending order is deleted", async () => {
+    const created = await orderBagels(2);
+
+    await request(app)
+      .delete(`/orders/${created.body.data.id}`)
+      .set("Authorization", authAs("customer"));
+
+    expect(onHand("falafel")).toEqual(10);
+    expect(onHand("tahini")).toEqual(100);
+  });
+
+  test("gives the stock back when a pending order is cancelled", async () => {
+    const created = await orderBagels(2);
+
+    await request(app)
+      .post(`/orders/${created.body.data.id}/cancel`)
+      .set("Authorization", authAs("customer"))
+      .send({ data: { reason: "Ordered by mistake" } });
+
+    expect(onHand("falafel")).toEqual(10);
+    expect(orders[0].stockReservation).toBeUndefined();
+  });
+
+  test("does not take the stock again when a cancelled order is edited", async () => {
+    const created = await orderBagels(2);
+    const cancelled = await request(app)
+      .post(`/orders/${created.body.data.id}/cancel`)
+      .set("Authorization", authAs("customer"))
+      .send({ data: { reason: "Ordered by mistake" } });
+
+    const response = await request(app)
+      .put(`/orders/${created.body.data.id}`)
+      .set("Authorization", authAs("customer"))
+      .send({ data: { ...cancelled.body.data, dishes: [{ id: "9", quantity: 3 }] } });
+
+    expect(response.body.error).toEqual("A cancelled order cannot be changed");
+    expect(response.status).toBe(400);
+    expect(onHand("falafel")).toEqual(10);
+    expect(orders[0].pricing).toEqual(created.body.data.pricing);
+  });
+
+  test("keeps the stock an order reserved when it is edited without changing its dishes", async () => {
+    const created = await orderBagels(2);
+    // The recipe now uses more tahini than there is left for a second order
+    dishes[0] = { ...bagel, ingredients: [{ ingredientId: "falafel", quantity: 3 }, { ingredientId: "tahini", quantity: 50 }] };
+
+    const response = await request(app)
+      .put(`/orders/${created.body.data.id}`)
+      .set("Authorization", authAs("customer"))
+      .send({ data: { ...created.body.data, mobileNumber: "+12024561111" } });
+
+    expect(response.body.error).toBeUndefined();
+    expect(response.status).toBe(200);
+    expect(response.body.data.stockReservation).toEqual(created.body.data.stockReservation);
+    expect(onHand("falafel")).toEqual(4);
+    expect(onHand("tahini")).toEqual(70);
+  });
+
+  test("makes a dish unavailable once an ingredient runs out", async () => {
+    await orderBagels(3);
+
+    const response = await orderBagels(1);
+
+    expect(response.body.error).toEqual("dish 0 (Falafel and tahini bagel) is out of stock");
+    expect(response.status).toBe(400);
+
+    const menu = await request(app).get("/dishes?available=false");
+    expect(menu.body.data.map(({ id }) => id)).toEqual(["9"]);
+  });
+
+  test("returns 400 if a dish uses an ingredient that does not exist", async () => {
+    const response = await request(app)
+      .put("/dishes/9")
+      .set("Authorization", authAs("manager"))
+      .send({ data: { ...bagel, ingredients: [{ ingredientId: "saffron", quantity: 1 }] } });
+
+    expect(response.body.error).toEqual("ingredient 0 does not exist: saffron");
+    expect(response.status).toBe(400);
+  });
+
+  test("reports ingredients at or below their low stock threshold", async () => {
+    await orderBagels(2);
+
+    const response = await request(app)
+      .get("/ingredients/low-stock")
+      .set("Authorization", authAs("kitchen"));
+
+    expect(response.body.error).toBeUndefined();
+    expect(response.body.data).toEqual([
+      {
+        ...falafel,
+        quantityOnHand: 4,
+        version: 2,
+        dishes: [{ id: "9", name: "Falafel and tahini bagel" }],
+      },
+    ]);
+  });
+
+  test("restocks an ingredient", async () => {
+    const response = await request(app)
+      .patch("/ingredients/falafel")
+      .set("Authorization", authAs("manager"))
+      .set("Content-Type", "application/merge-patch+json")
+      .send({ data: { quantityOnHand: 50 } });
+
+    expect(response.body.error).toBeUndefined();
+    expect(response.body.data.quantityOnHand).toEqual(50);
+  });
+
+  test("returns 409 when deleting an ingredient a dish uses", async () => {
+    const response = await request(app)
+      .delete("/ingredients/tahini")
+      .set("Authorization", authAs("manager"));
+
+    expect(response.body.error).toEqual("Ingredient is still used by Falafel and tahini bagel");
+    expect(response.status).toBe(409);
+  });
+});
@@ -0,0 +1,150 @@
+const request = require("supertest");
+const orders = require("../src/data/orders-data");
+const payments = require("../src/data/payments-data");
+const kitchenRouter = require("../src/kitchen/kitchen.router");
+const makeTestApp = require("./make-test-app");
+
+const ATTACHED_PATH = "/kitchen-router";
+
+const cook = { id: "cook", role: "kitchen" };
+
+const app = makeTestApp(ATTACHED_PATH, kitchenRouter, cook);
+
+const falafel = { id: "9", name: "Falafel and tahini bagel", price: 6 };
+const spaghetti = { id: "10", name: "Dolcelatte and chickpea spaghetti", price: 19 };
+
+// Build an order placed at the given time
+function makeOrder(id, status, placedAt, dishes) {
+  return {
+    id,
+    deliverTo: "308 Negra Arroyo Lane, Albuquerque, NM 87104",
+    mobileNumber: "(505) 143-3369",
+    status,
+    statusHistory: [{ status: "pending", changedAt: placedAt }],
+    dishes,
+  };
+}
+
+describe("kitchen router", () => {
+  beforeEach(() => {
+    orders.splice(0, orders.length);
+    payments.splice(0, payments.length);
+  });
+
+  describe("queue method", () => {
+    test("lists open orders oldest first with dish totals", async () => {
+      orders.push(
+        makeOrder("new", "pending", "2020-09-01T17:30:00.000Z", [{ ...falafel, quantity: 4 }]),
+        makeOrder("old", "preparing", "2020-09-01T17:00:00.000Z", [
+          { ...falafel, quantity: 2 },
+          { ...spaghetti, quantity: 1, prepared: true },
+        ]),
+        makeOrder("gone", "out-for-delivery", "2020-09-01T16:00:00.000Z", [{ ...spaghetti, quantity: 3 }])
+      );
+
+      const response = await request(app)
+        .get(`${ATTACHED_PATH}/queue`)
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.orders.map((order) => order.id)).toEqual(["old", "new"]);
+      expect(response.body.data.orders[0].elapsedSeconds).toBeGreaterThan(
+        response.body.data.orders[1].elapsedSeconds
+      );
+      expect(response.body.data.dishes).toEqual([
+        { dishId: "9", name: falafel.name, quantity: 6, label: `6× ${falafel.name}` },
+      ]);
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe("claim method", () => {
+    test("claims a pending order and starts preparing it", async () => {
+      orders.push(makeOrder("1", "pending", "2020-09-01T17:00:00.000Z", [{ ...falafel, quantity: 1 }]));
+      payments.push({ id: "payment-1", orderId: "1", status: "authorized", createdAt: "2020-09-01T17:00:00.000Z" });
+
+      const response = await request(app)
+        .post(`${ATTACHED_PATH}/orders/1/claim`)
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.claimedBy).toEqual("cook");
+      expect(response.body.data.status).toEqual("preparing");
+      expect(response.status).toBe(200);
+    });
+
+    test("returns 409 if another cook claimed the order", async () => {
+      orders.push({
+        ...makeOrder("1", "preparing", "2020-09-01T17:00:00.000Z", [{ ...falafel, quantity: 1 }]),
+        claimedBy: "someone-else",
+      });
+
+      const response = await request(app)
+        .post(`${ATTACHED_PATH}/orders/1/claim`)
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toContain("someone-else");
+      expect(response.status).toBe(409);
+    });
+
+    test("returns 404 for non-existent order", async () => {
+      const response = await request(app)
+        .post(`${ATTACHED_PATH}/orders/77/claim`)
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toContain("77");
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe("bump method", () => {
+    test("returns 409 until every item is prepared", async () => {
+      orders.push(makeOrder("1", "preparing", "2020-09-01T17:00:00.000Z", [
+        { ...falafel, quantity: 1 },
+        { ...spaghetti, quantity: 1 },
+      ]));
+
+      const early = await request(app)
+        .post(`${ATTACHED_PATH}/orders/1/bump`)
+        .set("Accept", "application/json");
+      expect(early.body.error).toContain("0, 1");
+      expect(early.status).toBe(409);
+
+      await request(app).post(`${ATTACHED_PATH}/orders/1/items/0/prepared`);
+      await request(app).post(`${ATTACHED_PATH}/orders/1/items/1/prepared`);
+
+      const response = await request(app)
+        .post(`${ATTACHED_PATH}/orders/1/bump`)
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.status).toEqual("out-for-delivery");
+      expect(response.body.data.dishes.every((dish) => dish.prepared)).toBe(true);
+      expect(response.status).toBe(200);
+    });
+
+    test("returns 409 if the order is not being prepared", async () => {
+      orders.push(makeOrder("1", "pending", "2020-09-01T17:00:00.000Z", [{ ...falafel, quantity: 1 }]));
+
+      const response = await request(app)
+        .post(`${ATTACHED_PATH}/orders/1/bump`)
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toContain("pending");
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe("markPrepared method", () => {
+    test("returns 404 for an item that is not in the order", async () => {
+      orders.push(makeOrder("1", "preparing", "2020-09-01T17:00:00.000Z", [{ ...falafel, quantity: 1 }]));
+
+      const response = await request(app)
+        .post(`${ATTACHED_PATH}/orders/1/items/3/prepared`)
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toContain("3");
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -2,10 +2,18 @@ const express = require("express");
 const notFound = require("../src/errors/notFound");
 const errorHandler = require("../src/errors/errorHandler");
 
-function makeTestApp(path, router) {
+// The user is stored as the signed in user for every request, like the authenticate middleware would
+function makeTestApp(path, router, user) {
   const app = express();
 
-  app.use(express.json());
+  app.use(express.json({ type: ["application/json", "application/*+json"] }));
+
+  if (user) {
+    app.use((req, res, next) => {
+      res.locals.user = user;
+      next();
+    });
+  }
 
   app.use(path, router);
 
@@ -0,0 +1,157 @@
+const request = require("supertest");
+const dishes = require("../src/data/dishes-data");
+const orders = require("../src/data/orders-data");
+const dishesRouter = require("../src/dishes/dishes.router");
+const ordersRouter = require("../src/orders/orders.router");
+const makeTestApp = require("./make-test-app");
+
+const dishesApp = makeTestApp("/dishes", dishesRouter, { id: "manager", role: "manager" });
+const ordersApp = makeTestApp("/orders", ordersRouter, { id: "customer", role: "customer" });
+
+const sizeGroup = {
+  id: "size",
+  name: "Size",
+  minSelections: 1,
+  maxSelections: 1,
+  options: [
+    { id: "regular", name: "Regular", priceDelta: 0 },
+    { id: "large", name: "Large", priceDelta: 2 },
+  ],
+};
+
+const extrasGroup = {
+  id: "extras",
+  name: "Extras",
+  maxSelections: 2,
+  options: [
+    { id: "tahini", name: "Extra tahini", priceDelta: 0.5 },
+    { id: "no-onions", name: "No onions" },
+    { id: "pickles", name: "Pickles", priceDelta: 0.25 },
+  ],
+};
+
+const bagel = {
+  id: "9",
+  name: "Falafel and tahini bagel",
+  description: "A warm bagel filled with falafel and tahini",
+  image_url: "https://example.com/dish.jpg",
+  price: 6,
+  modifierGroups: [sizeGroup, extrasGroup],
+};
+
+const validOrder = {
+  deliverTo: "308 Negra Arroyo Lane, Albuquerque, NM 87104",
+  mobileNumber: "(505) 143-3369",
+};
+
+function orderBagels(modifiers, quantity = 2) {
+  return request(ordersApp)
+    .post("/orders")
+    .send({ data: { ...validOrder, dishes: [{ id: "9", quantity, modifiers }] } });
+}
+
+describe("dish modifiers", () => {
+  beforeEach(() => {
+    dishes.splice(0, dishes.length, bagel);
+    orders.splice(0, orders.length);
+  });
+
+  describe("declaring modifier groups", () => {
+    test("creates a dish with modifier groups", async () => {
+      const response = await request(dishesApp)
+        .post("/dishes")
+        .send({ data: { ...bagel, id: undefined } });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.modifierGroups).toEqual([sizeGroup, extrasGroup]);
+      expect(response.status).toBe(201);
+    });
+
+    test("returns 400 if a group allows fewer selections than it needs", async () => {
+      const response = await request(dishesApp)
+        .post("/dishes")
+        .send({
+          data: { ...bagel, id: undefined, modifierGroups: [{ ...sizeGroup, minSelections: 2, maxSelections: 1 }] },
+        });
+
+      expect(response.body.error).toEqual("modifier group 0 has maxSelections less than minSelections");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if an option has no name", async () => {
+      const response = await request(dishesApp)
+        .post("/dishes")
+        .send({
+          data: { ...bagel, id: undefined, modifierGroups: [{ ...sizeGroup, options: [{ id: "small" }] }] },
+        });
+
+      expect(response.body.errors).toEqual([
+        {
+          field: "data.modifierGroups[0].options[0].name",
+          message: "modifier option 0 must include a name",
+        },
+      ]);
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("ordering with modifiers", () => {
+    test("prices each line with the modifiers picked", async () => {
+      const modifiers = [
+        { groupId: "size", optionId: "large" },
+        { groupId: "extras", optionId: "tahini" },
+        { groupId: "extras", optionId: "no-onions" },
+      ];
+
+      const response = await orderBagels(modifiers);
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.pricing.lineItems).toEqual([
+        {
+          dishId: "9",
+          name: "Falafel and tahini bagel",
+          modifiers: [
+            { groupId: "size", optionId: "large", name: "Large", priceDelta: 2 },
+            { groupId: "extras", optionId: "tahini", name: "Extra tahini", priceDelta: 0.5 },
+            { groupId: "extras", optionId: "no-onions", name: "No onions", priceDelta: 0 },
+          ],
+          unitPrice: 8.5,
+          quantity: 2,
+          lineTotal: 17,
+        },
+      ]);
+      expect(response.body.data.dishes[0].modifiers.map(({ name }) => name)).toEqual([
+        "Large",
+        "Extra tahini",
+        "No onions",
+      ]);
+      expect(response.status).toBe(201);
+    });
+
+    test("returns 400 with each problem with the modifiers picked", async () => {
+      const modifiers = [
+        { groupId: "extras", optionId: "tahini" },
+        { groupId: "extras", optionId: "pickles" },
+        { groupId: "extras", optionId: "no-onions" },
+        { groupId: "sauce", optionId: "hot" },
+      ];
+
+      const response = await orderBagels(modifiers);
+
+      expect(response.body.errors).toEqual([
+        { field: "data.dishes[0].modifiers", message: "dish 0 (Falafel and tahini bagel) has no modifier group sauce" },
+        { field: "data.dishes[0].modifiers", message: "dish 0 (Falafel and tahini bagel) needs at least 1 Size selected" },
+        { field: "data.dishes[0].modifiers", message: "dish 0 (Falafel and tahini bagel) allows at most 2 Extras selected" },
+      ]);
+      expect(response.status).toBe(400);
+      expect(orders).toHaveLength(0);
+    });
+
+    test("returns 400 for an option the dish does not offer", async () => {
+      const response = await orderBagels([{ groupId: "size", optionId: "huge" }]);
+
+      expect(response.body.error).toEqual("dish 0 (Falafel and tahini bagel) has no option huge in Size");
+      expect(response.status).toBe(400);
+    });
+  });
+});
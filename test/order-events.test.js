@@ -0,0 +1,134 @@
+const http = require("http");
+const request = require("supertest");
+const orders = require("../src/data/orders-data");
+const dishes = require("../src/data/dishes-data");
+const payments = require("../src/data/payments-data");
+const ordersRouter = require("../src/orders/orders.router");
+const makeTestApp = require("./make-test-app");
+
+const ATTACHED_PATH = "/orders-router";
+
+const app = makeTestApp(ATTACHED_PATH, ordersRouter, { id: "staff", role: "admin" });
+
+const pendingOrder = {
+  id: "1",
+  deliverTo: "308 Negra Arroyo Lane, Albuquerque, NM 87104",
+  mobileNumber: "(505) 143-3369",
+  status: "pending",
+  dishes: [{ id: "9", name: "Bagel", price: 6, quantity: 1 }],
+};
+
+// Open an event stream and collect the events it sends
+function openStream(server, path) {
+  return new Promise((resolve) => {
+    const events = [];
+    const waiting = [];
+    const req = http.get({ port: server.address().port, path }, (res) => {
+      let buffer = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => {
+        buffer += chunk;
+        const blocks = buffer.split("\n\n");
+        buffer = blocks.pop();
+        blocks
+          .filter((block) => block.includes("event: "))
+          .forEach((block) => {
+            const type = block.match(/^event: (.*)$/m)[1];
+            const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+            events.push({ type, data });
+          });
+        waiting.splice(0).forEach((check) => check());
+      });
+      resolve({
+        response: res,
+        events,
+        // Resolve once the stream has sent the given number of events
+        waitForEvents(count) {
+          return new Promise((done) => {
+            const check = () => (events.length >= count ? done(events) : waiting.push(check));
+            check();
+          });
+        },
+        close: () => req.destroy(),
+      });
+    });
+  });
+}
+
+describe("order events", () => {
+  let server;
+
+  beforeAll((done) => {
+    server = app.listen(0, done);
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    orders.splice(0, orders.length, { ...pendingOrder }, { ...pendingOrder, id: "2" });
+    dishes.splice(0, dishes.length, { id: "9", name: "Bagel", description: "d", image_url: "https://example.com/dish.jpg", price: 6 });
+    // Both orders are paid for, so they can start preparing
+    payments.splice(
+      0,
+      payments.length,
+      ...["1", "2"].map((orderId) => ({
+        id: `payment-${orderId}`,
+        orderId,
+        status: "authorized",
+        createdAt: "2020-09-01T17:00:00.000Z",
+      }))
+    );
+  });
+
+  test("streams every order event to staff", async () => {
+    // Order 1 is deleted, which it can only be before it is paid for
+    payments.splice(0, 1);
+    const stream = await openStream(server, `${ATTACHED_PATH}/events`);
+
+    expect(stream.response.headers["content-type"]).toContain("text/event-stream");
+
+    const created = await request(server)
+      .post(ATTACHED_PATH)
+      .send({ data: { ...pendingOrder, id: undefined } });
+    await request(server)
+      .post(`${ATTACHED_PATH}/2/transitions`)
+      .send({ data: { status: "preparing" } });
+    await request(server).delete(`${ATTACHED_PATH}/1`);
+
+    const events = await stream.waitForEvents(3);
+    stream.close();
+
+    expect(events.map(({ type }) => type)).toEqual([
+      "order.created",
+      "order.status-changed",
+      "order.deleted",
+    ]);
+    expect(events[0].data.data.id).toEqual(created.body.data.id);
+    expect(events[1].data.data.status).toEqual("preparing");
+  });
+
+  test("streams only the events for a single order", async () => {
+    const stream = await openStream(server, `${ATTACHED_PATH}/2/events`);
+
+    await request(server)
+      .post(`${ATTACHED_PATH}/1/transitions`)
+      .send({ data: { status: "preparing" } });
+    await request(server)
+      .put(`${ATTACHED_PATH}/2`)
+      .send({ data: { ...pendingOrder, id: "2", status: "preparing" } });
+
+    const events = await stream.waitForEvents(2);
+    stream.close();
+
+    expect(events.map(({ type }) => type)).toEqual(["order.updated", "order.status-changed"]);
+    expect(events.every(({ data }) => data.data.id === "2")).toBe(true);
+  });
+
+  test("returns 404 for the events of a non-existent order", async () => {
+    const response = await request(server).get(`${ATTACHED_PATH}/99/events`);
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -1,37 +1,69 @@
 const request = require("supertest");
 const orders = require("../src/data/orders-data");
+const dishes = require("../src/data/dishes-data");
+const refunds = require("../src/data/refunds-data");
+const payments = require("../src/data/payments-data");
 const ordersRouter = require("../src/orders/orders.router");
 const makeTestApp = require("./make-test-app");
 
 const ATTACHED_PATH = "/orders-router";
 
-const app = makeTestApp(ATTACHED_PATH, ordersRouter);
+const staff = { id: "staff", role: "admin" };
+
+const app = makeTestApp(ATTACHED_PATH, ordersRouter, staff);
+
+const validDish = {
+  id: "9",
+  name: "Falafel and tahini bagel",
+  description: "A warm bagel filled with falafel and tahini",
+  image_url: "https://example.com/dish.jpg",
+  price: 6,
+};
 
 const validOrder = {
   id: "f6069a542257054114138301947672ba",
   deliverTo: "1600 Pennsylvania Avenue NW, Washington, DC 20500",
-  mobileNumber: "(202) 456-1111",
+  mobileNumber: "+12024561111",
   status: "pending",
   dishes: [
     {
       id: "9",
       name: "Falafel and tahini bagel",
       description: "A warm bagel filled with falafel and tahini",
-      image_url: "some-valid-url",
+      image_url: "https://example.com/dish.jpg",
       price: 6,
       quantity: 1,
     },
   ],
+  pricing: {
+    lineItems: [
+      {
+        dishId: "9",
+        name: "Falafel and tahini bagel",
+        unitPrice: 6,
+        quantity: 1,
+        lineTotal: 6,
+      },
+    ],
+    subtotal: 6,
+    taxRate: 0.08,
+    tax: 0.48,
+    deliveryFee: 5,
+    total: 11.48,
+  },
 };
 
 describe("orders router", () => {
   beforeEach(() => {
     orders.splice(0, orders.length);
+    dishes.splice(0, dishes.length, validDish);
+    refunds.splice(0, refunds.length);
+    payments.splice(0, payments.length);
   });
 
   describe("create method", () => {
     test("creates a new order and assigns id", async () => {
-      const expectedDeliverTo = "creates a new order and assigns id";
+      const expectedDeliverTo = "4711 Kelley Road, Gulfport, MS 39503";
       const response = await request(app)
         .post(ATTACHED_PATH)
         .set("Accept", "application/json")
@@ -44,7 +76,7 @@ describe("orders router", () => {
                 id: "9",
                 name: "Falafel and tahini bagel",
                 description: "A warm bagel filled with falafel and tahini",
-                image_url: "some-valid-url",
+                image_url: "https://example.com/dish.jpg",
                 status: "pending",
                 price: 6,
                 quantity: 1,
@@ -61,6 +93,98 @@ describe("orders router", () => {
       expect(orders.find(order => order.deliverTo === expectedDeliverTo)).not.toBeUndefined();
     });
 
+    test("starts the order as pending with a status history", async () => {
+      const response = await request(app)
+        .post(ATTACHED_PATH)
+        .set("Accept", "application/json")
+        .send({ data: { ...validOrder, id: undefined, status: undefined } });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.status).toEqual("pending");
+      expect(response.body.data.statusHistory).toEqual([
+        { status: "pending", changedAt: expect.any(String) },
+      ]);
+    });
+
+    test("prices the order from the dishes store", async () => {
+      dishes.push({ ...validDish, id: "10", name: "Spaghetti", price: 19 });
+
+      const response = await request(app)
+        .post(ATTACHED_PATH)
+        .set("Accept", "application/json")
+        .send({
+          data: {
+            deliverTo: "308 Negra Arroyo Lane, Albuquerque, NM 87104",
+            mobileNumber: "(505) 143-3369",
+            dishes: [
+              { ...validDish, price: 1, quantity: 2 },
+              { id: "10", quantity: 1 },
+            ],
+          },
+        });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.dishes[0].price).toEqual(6);
+      expect(response.body.data.pricing).toEqual({
+        lineItems: [
+          { dishId: "9", name: validDish.name, unitPrice: 6, quantity: 2, lineTotal: 12 },
+          { dishId: "10", name: "Spaghetti", unitPrice: 19, quantity: 1, lineTotal: 19 },
+        ],
+        subtotal: 31,
+        taxRate: 0.08,
+        tax: 2.48,
+        deliveryFee: 5,
+        total: 38.48,
+      });
+      expect(response.status).toBe(201);
+
+      const read = await request(app)
+        .get(`${ATTACHED_PATH}/${response.body.data.id}`)
+        .set("Accept", "application/json");
+      expect(read.body.data.pricing).toEqual(response.body.data.pricing);
+    });
+
+    test("returns 400 if a dish does not exist", async () => {
+      const response = await request(app)
+        .post(ATTACHED_PATH)
+        .set("Accept", "application/json")
+        .send({
+          data: {
+            ...validOrder,
+            dishes: [...validOrder.dishes, { id: "missing", quantity: 1 }],
+          },
+        });
+
+      expect(response.body.data).toBeUndefined();
+      expect(response.body.error).toContain("missing");
+      expect(response.status).toBe(400);
+      expect(orders).toHaveLength(0);
+    });
+
+    test("returns 400 with an error for each dish that cannot be ordered", async () => {
+      dishes.push(
+        { ...validDish, id: "10", name: "Sold out soup", available: false },
+        { ...validDish, id: "11", name: "Old stew", archivedAt: "2020-09-01T17:00:00.000Z" }
+      );
+
+      const response = await request(app)
+        .post(ATTACHED_PATH)
+        .set("Accept", "application/json")
+        .send({
+          data: {
+            ...validOrder,
+            dishes: [...validOrder.dishes, { id: "10", quantity: 1 }, { id: "11", quantity: 2 }],
+          },
+        });
+
+      expect(response.body.errors).toEqual([
+        { field: "data.dishes[1]", message: "dish 1 (Sold out soup) is sold out" },
+        { field: "data.dishes[2]", message: "dish 2 (Old stew) is no longer on the menu" },
+      ]);
+      expect(response.status).toBe(400);
+      expect(orders).toHaveLength(0);
+    });
+
     test("returns 400 if deliverTo is missing", async () => {
       const expected = "deliverTo";
       const data = { ...validOrder };
@@ -305,6 +429,29 @@ describe("orders router", () => {
       expect(response.body.error).toContain("quantity");
       expect(response.status).toBe(400);
     });
+
+    test("reports every invalid field at once", async () => {
+      const response = await request(app)
+        .post(ATTACHED_PATH)
+        .set("Accept", "application/json")
+        .send({
+          data: {
+            deliverTo: "",
+            dishes: [{ id: "9", quantity: 1 }, { id: "9", quantity: 0 }],
+          },
+        });
+
+      expect(response.body.data).toBeUndefined();
+      expect(response.body.errors).toEqual([
+        { field: "data.deliverTo", message: "Order must include a deliverTo" },
+        { field: "data.mobileNumber", message: "Order must include a mobileNumber" },
+        {
+          field: "data.dishes[1].quantity",
+          message: "dish 1 must have a quantity that is an integer greater than 0",
+        },
+      ]);
+      expect(response.status).toBe(400);
+    });
   });
 
   describe("read method", () => {
@@ -360,7 +507,20 @@ describe("orders router", () => {
         .send({ data: expected });
 
       expect(response.body.error).toBeUndefined();
-      expect(response.body.data).toEqual(expected);
+      // Moving the order to another zone charges that zone's delivery fee
+      expect(response.body.data).toEqual({
+        ...expected,
+        address: {
+          line1: "4711 Kelley Road",
+          city: "Gulfport",
+          region: "MS",
+          postalCode: "39503",
+          country: "US",
+        },
+        deliveryZone: expect.objectContaining({ name: "Gulfport", deliveryFee: 7, estimatedMinutes: 50 }),
+        pricing: { ...validOrder.pricing, deliveryFee: 7, total: 13.48 },
+        version: 2,
+      });
       expect(response.status).toBe(200);
     });
 
@@ -394,7 +554,7 @@ describe("orders router", () => {
         });
 
       expect(response.body.error).toBeUndefined();
-      expect(response.body.data).toEqual({ ...expected, id: "14" });
+      expect(response.body.data).toEqual({ ...expected, id: "14", version: 2 });
       expect(response.status).toBe(200);
     });
 
@@ -410,7 +570,7 @@ describe("orders router", () => {
         });
 
       expect(response.body.error).toBeUndefined();
-      expect(response.body.data).toEqual({ ...expected, id: "14" });
+      expect(response.body.data).toEqual({ ...expected, id: "14", version: 2 });
       expect(response.status).toBe(200);
     });
 
@@ -426,7 +586,7 @@ describe("orders router", () => {
         });
 
       expect(response.body.error).toBeUndefined();
-      expect(response.body.data).toEqual({ ...expected, id: "14" });
+      expect(response.body.data).toEqual({ ...expected, id: "14", version: 2 });
       expect(response.status).toBe(200);
     });
 
@@ -442,7 +602,7 @@ describe("orders router", () => {
         });
 
       expect(response.body.error).toBeUndefined();
-      expect(response.body.data).toEqual({ ...expected, id: "14" });
+      expect(response.body.data).toEqual({ ...expected, id: "14", version: 2 });
       expect(response.status).toBe(200);
     });
 
@@ -746,6 +906,332 @@ describe("orders router", () => {
       expect(response.body.error).toContain(expected);
       expect(response.status).toBe(400);
     });
+
+    test("returns 409 if the status change is not allowed", async () => {
+      orders.push({ ...validOrder, id: "28", status: "out-for-delivery" });
+      const data = { ...validOrder, id: "28", status: "pending" };
+
+      const response = await request(app)
+        .put(`${ATTACHED_PATH}/28`)
+        .set("Accept", "application/json")
+        .send({ data });
+
+      expect(response.body.data).toBeUndefined();
+      expect(response.body.error).toContain("out-for-delivery");
+      expect(response.status).toBe(409);
+    });
+
+    test("returns 400 with an error for each dish added that cannot be ordered", async () => {
+      dishes.push(
+        { ...validDish, id: "10", name: "Sold out soup", available: false },
+        { ...validDish, id: "11", name: "Old stew", archivedAt: "2020-09-01T17:00:00.000Z" }
+      );
+      orders.push({ ...validOrder, id: "30" });
+
+      const response = await request(app)
+        .put(`${ATTACHED_PATH}/30`)
+        .set("Accept", "application/json")
+        .send({ data: { ...validOrder, id: "30", dishes: [{ id: "10", quantity: 1 }, { id: "11", quantity: 2 }] } });
+
+      expect(response.body.errors).toEqual([
+        { field: "data.dishes[0]", message: "dish 0 (Sold out soup) is sold out" },
+        { field: "data.dishes[1]", message: "dish 1 (Old stew) is no longer on the menu" },
+      ]);
+      expect(response.status).toBe(400);
+      expect(orders[0].dishes).toEqual(validOrder.dishes);
+    });
+
+    test("keeps a dish on the order that has since been taken off the menu", async () => {
+      dishes.splice(0, dishes.length, { ...validDish, archivedAt: "2020-09-01T17:00:00.000Z" });
+      orders.push({ ...validOrder, id: "31" });
+
+      const response = await request(app)
+        .put(`${ATTACHED_PATH}/31`)
+        .set("Accept", "application/json")
+        .send({ data: { ...validOrder, id: "31", dishes: [{ id: "9", quantity: 2 }] } });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.dishes[0].quantity).toEqual(2);
+    });
+
+    test("records a status change in the status history", async () => {
+      orders.push({ ...validOrder, id: "29" });
+      // The order cannot start preparing until it is paid for
+      payments.push({ id: "payment-29", orderId: "29", status: "authorized", createdAt: "2020-09-01T17:00:00.000Z" });
+      const data = { ...validOrder, id: "29", status: "preparing" };
+
+      const response = await request(app)
+        .put(`${ATTACHED_PATH}/29`)
+        .set("Accept", "application/json")
+        .send({ data });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.status).toEqual("preparing");
+      expect(response.body.data.statusHistory).toEqual([
+        { status: "preparing", changedAt: expect.any(String) },
+      ]);
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe("transition method", () => {
+    test("moves the order to the next status", async () => {
+      orders.push({
+        ...validOrder,
+        id: "40",
+        status: "scheduled",
+        statusHistory: [{ status: "scheduled", changedAt: "2020-09-01T17:00:00.000Z" }],
+      });
+
+      const response = await request(app)
+        .post(`${ATTACHED_PATH}/40/transitions`)
+        .set("Accept", "application/json")
+        .send({ data: { status: "pending" } });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.status).toEqual("pending");
+      expect(response.body.data.statusHistory).toEqual([
+        { status: "scheduled", changedAt: "2020-09-01T17:00:00.000Z" },
+        { status: "pending", changedAt: expect.any(String) },
+      ]);
+      expect(response.status).toBe(200);
+    });
+
+    test("returns 409 when cancelling without the cancel endpoint", async () => {
+      orders.push({ ...validOrder, id: "42", status: "pending" });
+
+      const transitioned = await request(app)
+        .post(`${ATTACHED_PATH}/42/transitions`)
+        .send({ data: { status: "cancelled" } });
+      const updated = await request(app)
+        .put(`${ATTACHED_PATH}/42`)
+        .send({ data: { ...validOrder, status: "cancelled" } });
+
+      expect(transitioned.body.error).toContain("POST /orders/:orderId/cancel");
+      expect(transitioned.status).toBe(409);
+      expect(updated.status).toBe(409);
+      expect(orders[0].status).toEqual("pending");
+    });
+
+    test("returns 409 for a transition that is not allowed", async () => {
+      orders.push({ ...validOrder, id: "41", status: "out-for-delivery" });
+
+      const response = await request(app)
+        .post(`${ATTACHED_PATH}/41/transitions`)
+        .set("Accept", "application/json")
+        .send({ data: { status: "pending" } });
+
+      expect(response.body.data).toBeUndefined();
+      expect(response.body.error).toContain("delivered");
+      expect(response.status).toBe(409);
+      expect(orders.find(order => order.id === "41").status).toEqual("out-for-delivery");
+    });
+
+    test("returns 400 for an unknown status", async () => {
+      orders.push({ ...validOrder, id: "42" });
+
+      const response = await request(app)
+        .post(`${ATTACHED_PATH}/42/transitions`)
+        .set("Accept", "application/json")
+        .send({ data: { status: "eaten" } });
+
+      expect(response.body.error).toContain("status");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 404 for non-existent order", async () => {
+      const response = await request(app)
+        .post(`${ATTACHED_PATH}/43/transitions`)
+        .set("Accept", "application/json")
+        .send({ data: { status: "preparing" } });
+
+      expect(response.body.error).toContain("43");
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe("patch method", () => {
+    test("changes a dish quantity and reprices the order", async () => {
+      orders.push({ ...validOrder, id: "60" });
+
+      const response = await request(app)
+        .patch(`${ATTACHED_PATH}/60`)
+        .set("Content-Type", "application/json-patch+json")
+        .send(JSON.stringify([{ op: "replace", path: "/dishes/0/quantity", value: 3 }]));
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.dishes[0].quantity).toEqual(3);
+      expect(response.body.data.pricing.subtotal).toEqual(18);
+      expect(response.status).toBe(200);
+    });
+
+    test("runs the status state machine", async () => {
+      orders.push({ ...validOrder, id: "61", status: "out-for-delivery" });
+
+      const response = await request(app)
+        .patch(`${ATTACHED_PATH}/61`)
+        .set("Content-Type", "application/merge-patch+json")
+        .send(JSON.stringify({ data: { status: "pending" } }));
+
+      expect(response.status).toBe(409);
+    });
+
+    test("returns 400 for a path that does not exist", async () => {
+      orders.push({ ...validOrder, id: "62" });
+
+      const response = await request(app)
+        .patch(`${ATTACHED_PATH}/62`)
+        .set("Content-Type", "application/json-patch+json")
+        .send(JSON.stringify([{ op: "remove", path: "/dishes/5" }]));
+
+      expect(response.body.error).toContain("/dishes/5");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 for a JSON Patch that reaches a prototype", async () => {
+      orders.push({ ...validOrder, id: "63" });
+
+      const responses = await Promise.all(
+        ["/__proto__/polluted", "/constructor/prototype/polluted", "/dishes/0/__proto__/polluted"].map((path) =>
+          request(app)
+            .patch(`${ATTACHED_PATH}/63`)
+            .set("Content-Type", "application/json-patch+json")
+            .send(JSON.stringify([{ op: "add", path, value: "yes" }]))
+        )
+      );
+
+      expect(responses.map(({ status }) => status)).toEqual([400, 400, 400]);
+      expect(responses[0].body.error).toContain("cannot change __proto__");
+      expect({}.polluted).toBeUndefined();
+    });
+
+    test("returns 400 for a JSON Patch path through an inherited field", async () => {
+      orders.push({ ...validOrder, id: "64" });
+
+      const response = await request(app)
+        .patch(`${ATTACHED_PATH}/64`)
+        .set("Content-Type", "application/json-patch+json")
+        .send(JSON.stringify([{ op: "add", path: "/toString/polluted", value: "yes" }]));
+
+      expect(response.body.error).toContain("/toString/polluted");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 for a merge patch that reaches a prototype", async () => {
+      orders.push({ ...validOrder, id: "65" });
+
+      const response = await request(app)
+        .patch(`${ATTACHED_PATH}/65`)
+        .set("Content-Type", "application/merge-patch+json")
+        .send('{ "data": { "__proto__": { "polluted": "yes" } } }');
+
+      expect(response.body.error).toEqual("A patch cannot change __proto__");
+      expect(response.status).toBe(400);
+      expect({}.polluted).toBeUndefined();
+    });
+  });
+
+  describe("conditional requests", () => {
+    test("returns 412 when two updates race", async () => {
+      orders.push({ ...validOrder, id: "50" });
+
+      const read = await request(app).get(`${ATTACHED_PATH}/50`);
+      const etag = read.headers.etag;
+
+      const first = await request(app)
+        .put(`${ATTACHED_PATH}/50`)
+        .set("If-Match", etag)
+        .send({ data: { ...validOrder, id: "50", deliverTo: "1 First Street NE, Washington, DC 20001" } });
+      expect(first.status).toBe(200);
+
+      const second = await request(app)
+        .put(`${ATTACHED_PATH}/50`)
+        .set("If-Match", etag)
+        .send({ data: { ...validOrder, id: "50", deliverTo: "2 Second Street NE, Washington, DC 20001" } });
+      expect(second.status).toBe(412);
+      expect(orders.find((order) => order.id === "50").deliverTo).toEqual("1 First Street NE, Washington, DC 20001");
+    });
+
+    test("returns 304 when the order has not changed", async () => {
+      orders.push({ ...validOrder, id: "51", version: 7 });
+
+      const response = await request(app)
+        .get(`${ATTACHED_PATH}/51`)
+        .set("If-None-Match", '"7"');
+
+      expect(response.status).toBe(304);
+    });
+  });
+
+  describe("cancel method", () => {
+    test("cancels a pending order with a full refund and keeps it", async () => {
+      orders.push({ ...validOrder, id: "70" });
+
+      const response = await request(app)
+        .post(`${ATTACHED_PATH}/70/cancel`)
+        .send({ data: { reason: "Ordered by mistake" } });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.status).toEqual("cancelled");
+      expect(response.body.data.cancellation).toEqual({
+        cancelledBy: "staff",
+        reason: "Ordered by mistake",
+        cancelledAt: expect.any(String),
+        refundId: expect.any(String),
+        refundAmount: 11.48,
+      });
+      expect(response.status).toBe(200);
+
+      const read = await request(app).get(`${ATTACHED_PATH}/70`);
+      expect(read.body.data.status).toEqual("cancelled");
+
+      const refundList = await request(app).get(`${ATTACHED_PATH}/70/refunds`);
+      expect(refundList.body.data).toEqual([
+        {
+          id: response.body.data.cancellation.refundId,
+          orderId: "70",
+          amount: 11.48,
+          status: "pending",
+          reason: "Ordered by mistake",
+          createdBy: "staff",
+          createdAt: expect.any(String),
+          version: 1,
+        },
+      ]);
+    });
+
+    test("refunds half of the food once the order is being prepared", async () => {
+      orders.push({ ...validOrder, id: "71", status: "preparing" });
+
+      const response = await request(app)
+        .post(`${ATTACHED_PATH}/71/cancel`)
+        .send({ data: { reason: "Taking too long" } });
+
+      // Half of the $6.48 food total, plus the $5 delivery fee
+      expect(response.body.data.cancellation.refundAmount).toEqual(8.24);
+    });
+
+    test("returns 409 if the order is out for delivery", async () => {
+      orders.push({ ...validOrder, id: "72", status: "out-for-delivery" });
+
+      const response = await request(app)
+        .post(`${ATTACHED_PATH}/72/cancel`)
+        .send({ data: { reason: "Changed my mind" } });
+
+      expect(response.status).toBe(409);
+      expect(refunds).toHaveLength(0);
+    });
+
+    test("returns 400 if reason is missing", async () => {
+      orders.push({ ...validOrder, id: "73" });
+
+      const response = await request(app)
+        .post(`${ATTACHED_PATH}/73/cancel`)
+        .send({ data: {} });
+
+      expect(response.body.error).toContain("reason");
+      expect(response.status).toBe(400);
+    });
   });
 
   describe("delete method", () => {
@@ -810,7 +1296,7 @@ describe("orders router", () => {
         },
         {
           id: "5a887d326e83d3c5bdcbee398ea32aff",
-          deliverTo: "308 Negra Arroyo Lane, Albuquerque, NM",
+          deliverTo: "308 Negra Arroyo Lane, Albuquerque, NM 87104",
           mobileNumber: "(505) 143-3369",
           status: "delivered",
           dishes: [
@@ -838,5 +1324,48 @@ describe("orders router", () => {
       expect(response.body.data).toEqual(expected);
       expect(response.status).toBe(200);
     });
+
+    test("filters orders by status, mobileNumber and deliverTo", async () => {
+      orders.push(
+        { ...validOrder, id: "1", status: "pending" },
+        { ...validOrder, id: "2", status: "preparing" },
+        { ...validOrder, id: "3", status: "delivered" },
+        { ...validOrder, id: "4", status: "pending", mobileNumber: "(505) 143-3369" },
+        { ...validOrder, id: "5", status: "pending", deliverTo: "308 Negra Arroyo Lane" }
+      );
+
+      const response = await request(app)
+        .get(`${ATTACHED_PATH}?status=pending,preparing&mobileNumber=(202) 456-1111&deliverTo=pennsylvania`)
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.map((order) => order.id)).toEqual(["1", "2"]);
+      expect(response.body.meta.total).toEqual(2);
+    });
+
+    test("sorts and paginates orders", async () => {
+      orders.push(
+        { ...validOrder, id: "1", deliverTo: "C" },
+        { ...validOrder, id: "2", deliverTo: "A" },
+        { ...validOrder, id: "3", deliverTo: "B" }
+      );
+
+      const response = await request(app)
+        .get(`${ATTACHED_PATH}?sort=deliverTo&limit=2`)
+        .set("Accept", "application/json");
+
+      expect(response.body.data.map((order) => order.id)).toEqual(["2", "3"]);
+      expect(response.body.links.next).toEqual(`${ATTACHED_PATH}?sort=deliverTo&limit=2&offset=2`);
+      expect(response.body.links.prev).toBeNull();
+    });
+
+    test("returns 400 for an unknown status filter", async () => {
+      const response = await request(app)
+        .get(`${ATTACHED_PATH}?status=lost`)
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toContain("lost");
+      expect(response.status).toBe(400);
+    });
   });
 });
@@ -0,0 +1,310 @@
+const request = require("supertest");
+const app = require("../src/app");
+const orders = require("../src/data/orders-data");
+const dishes = require("../src/data/dishes-data");
+const refunds = require("../src/data/refunds-data");
+const payments = require("../src/data/payments-data");
+const { authAs, useRoleUsers } = require("./sign-in");
+const paymentsService = require("../src/payments/payments.service");
+
+const pendingOrder = {
+  id: "order-1",
+  customerId: "customer",
+  deliverTo: "308 Negra Arroyo Lane, Albuquerque, NM 87104",
+  mobileNumber: "(505) 143-3369",
+  status: "pending",
+  statusHistory: [],
+  dishes: [{ id: "9", name: "Bagel", price: 6, quantity: 1 }],
+  pricing: {
+    lineItems: [{ dishId: "9", name: "Bagel", unitPrice: 6, quantity: 1, lineTotal: 6 }],
+    subtotal: 6,
+    taxRate: 0.08,
+    tax: 0.48,
+    deliveryFee: 5,
+    total: 11.48,
+  },
+};
+
+// Let the payment listeners finish talking to the gateway
+function settle() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+// Authorize a payment for the order as its customer
+function pay(orderId = "order-1", source = "tok_visa") {
+  return request(app)
+    .post(`/orders/${orderId}/payments`)
+    .set("Authorization", authAs("customer"))
+    .send({ data: { source } });
+}
+
+// Replace the order's details as its customer
+function updateOrder(fields) {
+  return request(app)
+    .put("/orders/order-1")
+    .set("Authorization", authAs("customer"))
+    .send({ data: { ...pendingOrder, ...fields } });
+}
+
+// Move the order to a new status as a manager
+function transition(status, orderId = "order-1") {
+  return request(app)
+    .post(`/orders/${orderId}/transitions`)
+    .set("Authorization", authAs("manager"))
+    .send({ data: { status } });
+}
+
+describe("payments", () => {
+  beforeEach(() => {
+    useRoleUsers(["customer", "kitchen", "manager"]);
+    orders.splice(0, orders.length, { ...pendingOrder });
+    dishes.splice(0, dishes.length, { id: "9", name: "Bagel", description: "d", image_url: "https://example.com/dish.jpg", price: 6 });
+    refunds.splice(0, refunds.length);
+    payments.splice(0, payments.length);
+  });
+
+  test("authorizes a payment for the order total", async () => {
+    const response = await pay();
+
+    expect(response.body.error).toBeUndefined();
+    expect(response.body.data).toEqual(
+      expect.objectContaining({
+        orderId: "order-1",
+        gateway: "mock",
+        transactionId: expect.stringMatching(/^mock_txn_/),
+        amount: 11.48,
+        currency: "USD",
+        status: "authorized",
+      })
+    );
+    expect(response.status).toBe(201);
+
+    const list = await request(app)
+      .get("/orders/order-1/payments")
+      .set("Authorization", authAs("customer"));
+    expect(list.body.data.map(({ id }) => id)).toEqual([response.body.data.id]);
+  });
+
+  test("returns 402 and records nothing when the card is declined", async () => {
+    const response = await pay("order-1", "tok_declined");
+
+    expect(response.body.error).toEqual("Card declined");
+    expect(response.status).toBe(402);
+    expect(payments).toHaveLength(0);
+  });
+
+  test("returns 409 when the order already has a payment", async () => {
+    await pay();
+    const response = await pay();
+
+    expect(response.body.error).toContain("already has a payment");
+    expect(response.status).toBe(409);
+  });
+
+  test("authorizes only one of two payments made at the same time", async () => {
+    const results = await Promise.allSettled([
+      paymentsService.authorize(pendingOrder, "tok_visa"),
+      paymentsService.authorize(pendingOrder, "tok_visa"),
+    ]);
+
+    expect(results.map(({ status }) => status)).toEqual(["fulfilled", "rejected"]);
+    expect(results[1].reason.status).toBe(409);
+    expect(payments).toHaveLength(1);
+  });
+
+  test("voids the payment when the order is repriced while the gateway is answering", async () => {
+    const authorizing = paymentsService.authorize(pendingOrder, "tok_visa");
+    orders[0].pricing = { ...pendingOrder.pricing, total: 23.96 };
+
+    await expect(authorizing).rejects.toEqual(
+      expect.objectContaining({ status: 409, message: expect.stringContaining("was voided") })
+    );
+    expect(payments).toHaveLength(1);
+    expect(payments[0].status).toEqual("voided");
+    expect(paymentsService.isAuthorizing("order-1")).toBe(false);
+  });
+
+  test("voids the payment when the order is cancelled while the gateway is answering", async () => {
+    const authorizing = paymentsService.authorize(pendingOrder, "tok_visa");
+    orders[0].status = "cancelled";
+
+    await expect(authorizing).rejects.toEqual(expect.objectContaining({ status: 409 }));
+    expect(payments[0].status).toEqual("voided");
+  });
+
+  test("returns 409 when the order is repriced, cancelled or deleted while its payment is being authorized", async () => {
+    const isAuthorizing = jest.spyOn(paymentsService, "isAuthorizing").mockReturnValue(true);
+    try {
+      const reprice = await updateOrder({ dishes: [{ id: "9", quantity: 2 }] });
+      expect(reprice.body.error).toEqual("Order dishes cannot be changed while its payment is being authorized");
+      expect(reprice.status).toBe(409);
+
+      const cancel = await request(app)
+        .post("/orders/order-1/cancel")
+        .set("Authorization", authAs("customer"))
+        .send({ data: { reason: "Ordered by mistake" } });
+      expect(cancel.body.error).toEqual("An order cannot be cancelled while its payment is being authorized");
+      expect(cancel.status).toBe(409);
+
+      const remove = await request(app).delete("/orders/order-1").set("Authorization", authAs("customer"));
+      expect(remove.status).toBe(409);
+      expect(orders[0]).toEqual(expect.objectContaining({ status: "pending", pricing: pendingOrder.pricing }));
+    } finally {
+      isAuthorizing.mockRestore();
+    }
+  });
+
+  test("returns 404 for the payments of another customer's order", async () => {
+    orders.splice(0, orders.length, { ...pendingOrder, customerId: "someone-else" });
+
+    const response = await pay();
+
+    expect(response.status).toBe(404);
+  });
+
+  test("returns 409 when the dishes change after the order is paid for", async () => {
+    await pay();
+
+    const response = await updateOrder({ dishes: [{ id: "9", quantity: 20 }] });
+
+    expect(response.body.error).toContain("Order dishes cannot be changed once the order is paid for");
+    expect(response.status).toBe(409);
+    expect(orders[0].pricing.total).toEqual(11.48);
+  });
+
+  test("keeps the paid total when the rest of a paid order changes", async () => {
+    await pay();
+
+    const response = await updateOrder({ mobileNumber: "+12024561111" });
+
+    expect(response.body.error).toBeUndefined();
+    expect(response.body.data.mobileNumber).toEqual("+12024561111");
+    expect(response.body.data.pricing.total).toEqual(11.48);
+  });
+
+  test("returns 409 when the dishes change once the kitchen has started", async () => {
+    orders.splice(0, orders.length, { ...pendingOrder, status: "preparing" });
+
+    const response = await updateOrder({ status: "preparing", dishes: [{ id: "9", quantity: 2 }] });
+
+    expect(response.body.error).toEqual("Order dishes cannot be changed once the order is preparing");
+    expect(response.status).toBe(409);
+  });
+
+  test("returns 409 when a paid order is deleted, until its payment is voided", async () => {
+    const payment = await pay();
+    const remove = () => request(app).delete("/orders/order-1").set("Authorization", authAs("customer"));
+
+    const response = await remove();
+
+    expect(response.body.error).toEqual(
+      `An order cannot be deleted once it is paid for. Void payment ${payment.body.data.id} first`
+    );
+    expect(response.status).toBe(409);
+    expect(orders).toHaveLength(1);
+
+    await request(app)
+      .post(`/orders/order-1/payments/${payment.body.data.id}/void`)
+      .set("Authorization", authAs("manager"));
+
+    expect((await remove()).status).toBe(204);
+    expect(payments[0].status).toEqual("voided");
+  });
+
+  test("returns 409 when a delivered order is marked refunded without refunding it", async () => {
+    orders.splice(0, orders.length, { ...pendingOrder, status: "delivered" });
+
+    const response = await transition("refunded");
+
+    expect(response.body.error).toContain("POST /orders/:orderId/payments/:paymentId/refund");
+    expect(response.status).toBe(409);
+    expect(orders[0].status).toEqual("delivered");
+  });
+
+  test("keeps an unpaid order pending", async () => {
+    const response = await transition("preparing");
+
+    expect(response.body.error).toContain("payment is authorized");
+    expect(response.status).toBe(409);
+  });
+
+  test("captures the payment when the order is delivered", async () => {
+    const payment = await pay();
+    await transition("preparing");
+    await transition("out-for-delivery");
+    await transition("delivered");
+    await settle();
+
+    const response = await request(app)
+      .get(`/orders/order-1/payments/${payment.body.data.id}`)
+      .set("Authorization", authAs("customer"));
+
+    expect(response.body.data.status).toEqual("captured");
+    expect(response.body.data.capturedAmount).toEqual(11.48);
+  });
+
+  test("only takes what is not refunded when a preparing order is cancelled", async () => {
+    const payment = await pay();
+    await transition("preparing");
+    await request(app)
+      .post("/orders/order-1/cancel")
+      .set("Authorization", authAs("customer"))
+      .send({ data: { reason: "Taking too long" } });
+    await settle();
+
+    // Half the food and all of the delivery fee are refunded
+    expect(payments[0].status).toEqual("captured");
+    expect(payments[0].capturedAmount).toEqual(3.24);
+    expect(refunds[0]).toEqual(
+      expect.objectContaining({ status: "processed", paymentId: payment.body.data.id })
+    );
+  });
+
+  test("voids the payment when a pending order is cancelled", async () => {
+    await pay();
+    await request(app)
+      .post("/orders/order-1/cancel")
+      .set("Authorization", authAs("customer"))
+      .send({ data: { reason: "Ordered by mistake" } });
+    await settle();
+
+    expect(payments[0].status).toEqual("voided");
+    expect(refunds[0].status).toEqual("processed");
+  });
+
+  test("refunds a delivered order in full and marks it refunded", async () => {
+    const payment = await pay();
+    await transition("preparing");
+    await transition("out-for-delivery");
+    await transition("delivered");
+    await settle();
+
+    const path = `/orders/order-1/payments/${payment.body.data.id}/refund`;
+    const customer = await request(app).post(path).set("Authorization", authAs("customer")).send({});
+    expect(customer.status).toBe(403);
+
+    const tooMuch = await request(app)
+      .post(path)
+      .set("Authorization", authAs("manager"))
+      .send({ data: { amount: 20 } });
+    expect(tooMuch.status).toBe(400);
+
+    const response = await request(app).post(path).set("Authorization", authAs("manager")).send({});
+
+    expect(response.body.error).toBeUndefined();
+    expect(response.body.data.status).toEqual("refunded");
+    expect(response.body.data.refundedAmount).toEqual(11.48);
+    expect(orders[0].status).toEqual("refunded");
+
+    const refundList = await request(app).get("/orders/order-1/refunds").set("Authorization", authAs("customer"));
+    expect(refundList.body.data).toEqual([
+      expect.objectContaining({
+        orderId: "order-1",
+        amount: 11.48,
+        status: "processed",
+        createdBy: "manager",
+        paymentId: payment.body.data.id,
+      }),
+    ]);
+  });
+});
@@ -0,0 +1,101 @@
+const request = require("supertest");
+const app = require("../src/app");
+const orders = require("../src/data/orders-data");
+const payments = require("../src/data/payments-data");
+const { authAs, useRoleUsers } = require("./sign-in");
+
+const newDish = {
+  name: "Clootie Dumpling",
+  description: "A dessert pudding",
+  image_url: "https://example.com/dish.jpg",
+  price: 7,
+};
+
+const pendingOrder = {
+  id: "order-1",
+  customerId: "customer",
+  deliverTo: "308 Negra Arroyo Lane, Albuquerque, NM 87104",
+  mobileNumber: "(505) 143-3369",
+  status: "pending",
+  dishes: [{ id: "90c3d873684bf381dfab29034b5bba73", price: 6, quantity: 1 }],
+};
+
+describe("role-based access control", () => {
+  beforeEach(() => {
+    useRoleUsers(["customer", "kitchen", "delivery", "manager", "admin"]);
+    orders.splice(0, orders.length, { ...pendingOrder });
+    payments.splice(0, payments.length, {
+      id: "payment-1",
+      orderId: pendingOrder.id,
+      status: "authorized",
+      createdAt: "2020-09-01T17:00:00.000Z",
+    });
+  });
+
+  test("returns 401 when creating a dish without signing in", async () => {
+    const response = await request(app).post("/dishes").send({ data: newDish });
+
+    expect(response.status).toBe(401);
+  });
+
+  test.each(["customer", "kitchen", "delivery"])("returns 403 when a %s creates a dish", async (role) => {
+    const response = await request(app)
+      .post("/dishes")
+      .set("Authorization", authAs(role))
+      .send({ data: newDish });
+
+    expect(response.body.error).toContain("Forbidden");
+    expect(response.status).toBe(403);
+  });
+
+  test("lets a manager edit the menu", async () => {
+    const created = await request(app)
+      .post("/dishes")
+      .set("Authorization", authAs("manager"))
+      .send({ data: newDish });
+    expect(created.status).toBe(201);
+
+    const updated = await request(app)
+      .put(`/dishes/${created.body.data.id}`)
+      .set("Authorization", authAs("manager"))
+      .send({ data: { ...newDish, price: 8 } });
+    expect(updated.body.data.price).toEqual(8);
+  });
+
+  test("returns 403 when a customer changes an order status", async () => {
+    const transition = await request(app)
+      .post("/orders/order-1/transitions")
+      .set("Authorization", authAs("customer"))
+      .send({ data: { status: "preparing" } });
+    expect(transition.status).toBe(403);
+
+    const update = await request(app)
+      .put("/orders/order-1")
+      .set("Authorization", authAs("customer"))
+      .send({ data: { ...pendingOrder, status: "preparing" } });
+    expect(update.status).toBe(403);
+  });
+
+  test("lets kitchen staff change an order status", async () => {
+    const response = await request(app)
+      .post("/orders/order-1/transitions")
+      .set("Authorization", authAs("kitchen"))
+      .send({ data: { status: "preparing" } });
+
+    expect(response.body.data.status).toEqual("preparing");
+  });
+
+  test("only lets an admin change roles", async () => {
+    const manager = await request(app)
+      .put("/users/customer/role")
+      .set("Authorization", authAs("manager"))
+      .send({ data: { role: "kitchen" } });
+    expect(manager.status).toBe(403);
+
+    const admin = await request(app)
+      .put("/users/customer/role")
+      .set("Authorization", authAs("admin"))
+      .send({ data: { role: "kitchen" } });
+    expect(admin.body.data.role).toEqual("kitchen");
+  });
+});
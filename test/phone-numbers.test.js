@@ -0,0 +1,88 @@
+const request = require("supertest");
+const orders = require("../src/data/orders-data");
+const dishes = require("../src/data/dishes-data");
+const ordersRouter = require("../src/orders/orders.router");
+const { normalizePhoneNumber } = require("../src/validation/phoneNumber");
+const makeTestApp = require("./make-test-app");
+
+const ATTACHED_PATH = "/orders-router";
+
+const app = makeTestApp(ATTACHED_PATH, ordersRouter, { id: "customer", role: "customer" });
+
+const validOrder = {
+  deliverTo: "308 Negra Arroyo Lane, Albuquerque, NM 87104",
+  mobileNumber: "(505) 143-3369",
+  dishes: [{ id: "9", quantity: 1 }],
+};
+
+describe("phone numbers", () => {
+  beforeEach(() => {
+    orders.splice(0, orders.length);
+    dishes.splice(0, dishes.length, { id: "9", name: "Bagel", description: "d", image_url: "https://example.com/dish.jpg", price: 6 });
+  });
+
+  describe("normalizing", () => {
+    test("reads national numbers in the default region", () => {
+      expect(normalizePhoneNumber("(202) 456-1111")).toEqual("+12024561111");
+      expect(normalizePhoneNumber("202.456.1111")).toEqual("+12024561111");
+      expect(normalizePhoneNumber("1 202 456 1111")).toEqual("+12024561111");
+    });
+
+    test("reads national numbers in another region", () => {
+      expect(normalizePhoneNumber("020 7946 0018", "GB")).toEqual("+442079460018");
+    });
+
+    test("keeps the country code of international numbers", () => {
+      expect(normalizePhoneNumber("+44 20 7946 0018")).toEqual("+442079460018");
+      expect(normalizePhoneNumber("0044 20 7946 0018")).toEqual("+442079460018");
+      expect(normalizePhoneNumber("+49 30 901820")).toEqual("+4930901820");
+    });
+
+    test("rejects numbers that are too short, too long or not numbers", () => {
+      expect(normalizePhoneNumber("456-1111")).toBeUndefined();
+      expect(normalizePhoneNumber("(202) 456-11112")).toBeUndefined();
+      expect(normalizePhoneNumber("+1 202 456")).toBeUndefined();
+      expect(normalizePhoneNumber("call me")).toBeUndefined();
+    });
+  });
+
+  describe("orders", () => {
+    test("saves the mobile number in E.164 form", async () => {
+      const response = await request(app)
+        .post(ATTACHED_PATH)
+        .send({ data: validOrder });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.mobileNumber).toEqual("+15051433369");
+      expect(response.status).toBe(201);
+    });
+
+    test("returns 400 if the mobile number is not a phone number", async () => {
+      const response = await request(app)
+        .post(ATTACHED_PATH)
+        .send({ data: { ...validOrder, mobileNumber: "555-0100" } });
+
+      expect(response.body.error).toContain("Order mobileNumber is not a valid phone number: 555-0100");
+      expect(response.status).toBe(400);
+    });
+
+    test("finds orders by mobile number in any format", async () => {
+      orders.push(
+        { ...validOrder, id: "1", customerId: "customer", status: "pending", mobileNumber: "+15051433369" },
+        { ...validOrder, id: "2", customerId: "customer", status: "pending", mobileNumber: "(505) 143-3369" },
+        { ...validOrder, id: "3", customerId: "customer", status: "pending", mobileNumber: "+12024561111" }
+      );
+
+      const response = await request(app).get(`${ATTACHED_PATH}?mobileNumber=505.143.3369`);
+
+      expect(response.body.data.map(({ id }) => id)).toEqual(["1", "2"]);
+    });
+
+    test("returns 400 when filtering by something that is not a phone number", async () => {
+      const response = await request(app).get(`${ATTACHED_PATH}?mobileNumber=nope`);
+
+      expect(response.body.error).toEqual("Cannot filter by mobileNumber nope. It is not a valid phone number");
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,281 @@
+const request = require("supertest");
+const promotions = require("../src/data/promotions-data");
+const orders = require("../src/data/orders-data");
+const dishes = require("../src/data/dishes-data");
+const promotionsRouter = require("../src/promotions/promotions.router");
+const ordersRouter = require("../src/orders/orders.router");
+const { priceOrder } = require("../src/orders/pricing");
+const makeTestApp = require("./make-test-app");
+
+const ATTACHED_PATH = "/promotions-router";
+const ORDERS_PATH = "/orders-router";
+
+const manager = { id: "manager", role: "manager" };
+
+const app = makeTestApp(ATTACHED_PATH, promotionsRouter, manager);
+const ordersApp = makeTestApp(ORDERS_PATH, ordersRouter, { id: "customer", role: "customer" });
+
+const bagel = { id: "9", name: "Bagel", description: "d", image_url: "https://example.com/dish.jpg", price: 6 };
+const soup = { id: "10", name: "Soup", description: "d", image_url: "https://example.com/dish.jpg", price: 4 };
+
+const validOrder = {
+  deliverTo: "308 Negra Arroyo Lane, Albuquerque, NM 87104",
+  mobileNumber: "(505) 143-3369",
+  dishes: [{ id: "9", quantity: 3 }, { id: "10", quantity: 1 }],
+};
+
+function makePromotion(fields) {
+  return { id: "p1", code: "SAVE10", type: "percentage", value: 10, timesUsed: 0, ...fields };
+}
+
+describe("promotions", () => {
+  beforeEach(() => {
+    promotions.splice(0, promotions.length);
+    orders.splice(0, orders.length);
+    dishes.splice(0, dishes.length, bagel, soup);
+  });
+
+  describe("discount rules", () => {
+    const lines = [{ dish: bagel, quantity: 3 }, { dish: soup, quantity: 1 }];
+
+    test("takes a percentage off the food before tax", () => {
+      const pricing = priceOrder(lines, { taxRate: 0.1, deliveryFee: 5, promotion: makePromotion() });
+
+      expect(pricing.subtotal).toEqual(22);
+      expect(pricing.discount).toEqual({ promotionId: "p1", code: "SAVE10", type: "percentage", amount: 2.2 });
+      expect(pricing.tax).toEqual(1.98);
+      expect(pricing.total).toEqual(26.78);
+    });
+
+    test("never takes more than the food costs off with a fixed amount", () => {
+      const promotion = makePromotion({ type: "fixed-amount", value: 50 });
+      const pricing = priceOrder(lines, { taxRate: 0.1, deliveryFee: 5, promotion });
+
+      expect(pricing.discount.amount).toEqual(22);
+      expect(pricing.total).toEqual(5);
+    });
+
+    test("makes every third bagel free with buy two get one", () => {
+      const promotion = makePromotion({ type: "buy-x-get-y", buyQuantity: 2, getQuantity: 1, dishId: "9" });
+      const pricing = priceOrder(lines, { taxRate: 0, deliveryFee: 5, promotion });
+
+      expect(pricing.discount.amount).toEqual(6);
+      expect(pricing.total).toEqual(21);
+    });
+
+    test("waives the delivery fee", () => {
+      const promotion = makePromotion({ type: "free-delivery", value: undefined });
+      const pricing = priceOrder(lines, { taxRate: 0, deliveryFee: 5, promotion });
+
+      expect(pricing.deliveryFee).toEqual(0);
+      expect(pricing.discount.amount).toEqual(5);
+      expect(pricing.total).toEqual(22);
+    });
+  });
+
+  describe("promotions router", () => {
+    test("creates a promotion", async () => {
+      const response = await request(app)
+        .post(ATTACHED_PATH)
+        .send({ data: { code: "BOGO", type: "buy-x-get-y", buyQuantity: 1, getQuantity: 1 } });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data).toEqual({
+        id: expect.any(String),
+        code: "BOGO",
+        type: "buy-x-get-y",
+        buyQuantity: 1,
+        getQuantity: 1,
+        timesUsed: 0,
+        version: 1,
+      });
+      expect(response.status).toBe(201);
+    });
+
+    test("returns 400 if a percentage promotion has no value", async () => {
+      const response = await request(app)
+        .post(ATTACHED_PATH)
+        .send({ data: { code: "HALF", type: "percentage" } });
+
+      expect(response.body.error).toContain("must include a value");
+      expect(response.status).toBe(400);
+    });
+
+    test.each([
+      ["expiresAt", "2030-02-30T00:00:00Z"],
+      ["startsAt", "2030-01-01T24:00Z"],
+    ])("returns 400 if %s is a date and time that does not exist", async (field, value) => {
+      const response = await request(app)
+        .post(ATTACHED_PATH)
+        .send({ data: { code: "HALF", type: "percentage", value: 50, [field]: value } });
+
+      expect(response.body.error).toContain(field);
+      expect(response.status).toBe(400);
+      expect(promotions).toHaveLength(0);
+    });
+
+    test("returns 409 if the code is already used, ignoring case", async () => {
+      promotions.push(makePromotion());
+
+      const response = await request(app)
+        .post(ATTACHED_PATH)
+        .send({ data: { code: "save10", type: "free-delivery" } });
+
+      expect(response.status).toBe(409);
+    });
+
+    test("keeps the usage count when a promotion is updated", async () => {
+      promotions.push(makePromotion({ timesUsed: 4 }));
+
+      const response = await request(app)
+        .put(`${ATTACHED_PATH}/p1`)
+        .send({ data: { code: "SAVE20", type: "percentage", value: 20 } });
+
+      expect(response.body.data.value).toEqual(20);
+      expect(response.body.data.timesUsed).toEqual(4);
+    });
+
+    test("lists only active promotions", async () => {
+      promotions.push(
+        makePromotion(),
+        makePromotion({ id: "p2", code: "OLD", expiresAt: "2020-01-01T00:00:00Z" }),
+        makePromotion({ id: "p3", code: "USEDUP", usageLimit: 1, timesUsed: 1 })
+      );
+
+      const response = await request(app).get(`${ATTACHED_PATH}?active=true`);
+
+      expect(response.body.data.map(({ id }) => id)).toEqual(["p1"]);
+    });
+
+    test("is only available to managers", async () => {
+      const customerApp = makeTestApp(ATTACHED_PATH, promotionsRouter, { id: "c", role: "customer" });
+
+      const response = await request(customerApp).get(ATTACHED_PATH);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe("promo codes on orders", () => {
+    test("records the discount in the order's pricing and counts the use", async () => {
+      promotions.push(makePromotion({ usageLimit: 5 }));
+
+      const response = await request(ordersApp)
+        .post(ORDERS_PATH)
+        .send({ data: { ...validOrder, promoCode: "save10" } });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.promoCode).toEqual("SAVE10");
+      expect(response.body.data.pricing.discount).toEqual({
+        promotionId: "p1",
+        code: "SAVE10",
+        type: "percentage",
+        amount: 2.2,
+      });
+      expect(response.status).toBe(201);
+      expect(promotions[0].timesUsed).toEqual(1);
+    });
+
+    test("gives back the use when the order is deleted", async () => {
+      promotions.push(makePromotion());
+      const created = await request(ordersApp)
+        .post(ORDERS_PATH)
+        .send({ data: { ...validOrder, promoCode: "SAVE10" } });
+
+      await request(ordersApp).delete(`${ORDERS_PATH}/${created.body.data.id}`);
+
+      expect(promotions[0].timesUsed).toEqual(0);
+    });
+
+    test("gives back the use when the order is cancelled", async () => {
+      promotions.push(makePromotion({ usageLimit: 1 }));
+      const created = await request(ordersApp)
+        .post(ORDERS_PATH)
+        .send({ data: { ...validOrder, promoCode: "SAVE10" } });
+
+      await request(ordersApp)
+        .post(`${ORDERS_PATH}/${created.body.data.id}/cancel`)
+        .send({ data: { reason: "Ordered by mistake" } });
+
+      expect(promotions[0].timesUsed).toEqual(0);
+    });
+
+    test("keeps the discount when the order is changed after the promotion is deleted", async () => {
+      promotions.push(makePromotion());
+      const created = await request(ordersApp)
+        .post(ORDERS_PATH)
+        .send({ data: { ...validOrder, promoCode: "SAVE10" } });
+      await request(app).delete(`${ATTACHED_PATH}/p1`);
+
+      const response = await request(ordersApp)
+        .put(`${ORDERS_PATH}/${created.body.data.id}`)
+        .send({ data: { ...created.body.data, dishes: [{ id: "9", quantity: 1 }] } });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.pricing.subtotal).toEqual(6);
+      expect(response.body.data.pricing.discount).toEqual({
+        promotionId: "p1",
+        code: "SAVE10",
+        type: "percentage",
+        amount: 0.6,
+      });
+    });
+
+    test("returns 400 when the dishes are changed to below the promotion's minimum", async () => {
+      promotions.push(makePromotion({ type: "fixed-amount", value: 10, minimumOrder: 20 }));
+      const created = await request(ordersApp)
+        .post(ORDERS_PATH)
+        .send({ data: { ...validOrder, promoCode: "SAVE10" } });
+
+      const response = await request(ordersApp)
+        .put(`${ORDERS_PATH}/${created.body.data.id}`)
+        .send({ data: { ...created.body.data, dishes: [{ id: "9", quantity: 1 }] } });
+
+      expect(response.body.error).toEqual("Promo code SAVE10 needs an order of at least 20, and these dishes come to 6");
+      expect(response.status).toBe(400);
+      expect(orders[0].pricing).toEqual(created.body.data.pricing);
+    });
+
+    test("returns 400 for an unknown promo code", async () => {
+      const response = await request(ordersApp)
+        .post(ORDERS_PATH)
+        .send({ data: { ...validOrder, promoCode: "NOPE" } });
+
+      expect(response.body.error).toEqual("Promo code does not exist: NOPE");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 for an expired promo code", async () => {
+      promotions.push(makePromotion({ expiresAt: "2020-01-01T00:00:00Z" }));
+
+      const response = await request(ordersApp)
+        .post(ORDERS_PATH)
+        .send({ data: { ...validOrder, promoCode: "SAVE10" } });
+
+      expect(response.body.error).toContain("expired");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 once the usage limit is reached", async () => {
+      promotions.push(makePromotion({ usageLimit: 2, timesUsed: 2 }));
+
+      const response = await request(ordersApp)
+        .post(ORDERS_PATH)
+        .send({ data: { ...validOrder, promoCode: "SAVE10" } });
+
+      expect(response.body.error).toContain("usage limit");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if the order is below the minimum", async () => {
+      promotions.push(makePromotion({ minimumOrder: 30 }));
+
+      const response = await request(ordersApp)
+        .post(ORDERS_PATH)
+        .send({ data: { ...validOrder, promoCode: "SAVE10" } });
+
+      expect(response.body.error).toContain("at least 30");
+      expect(response.status).toBe(400);
+    });
+  });
+});
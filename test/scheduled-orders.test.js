@@ -0,0 +1,161 @@
+const request = require("supertest");
+const orders = require("../src/data/orders-data");
+const dishes = require("../src/data/dishes-data");
+const ordersRouter = require("../src/orders/orders.router");
+const { createScheduler } = require("../src/orders/scheduler");
+const { isOpenAt } = require("../src/orders/openingHours");
+const makeTestApp = require("./make-test-app");
+
+const ATTACHED_PATH = "/orders-router";
+
+const app = makeTestApp(ATTACHED_PATH, ordersRouter, { id: "customer", role: "customer" });
+
+const validOrder = {
+  deliverTo: "308 Negra Arroyo Lane, Albuquerque, NM 87104",
+  mobileNumber: "(505) 143-3369",
+  dishes: [{ id: "9", quantity: 1 }],
+};
+
+// Build a time of day tomorrow in UTC, the default opening hours time zone
+function tomorrowAt(hours, minutes = 0) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + 1);
+  date.setUTCHours(hours, minutes, 0, 0);
+  return date;
+}
+
+function placeOrder(scheduledFor) {
+  return request(app)
+    .post(ATTACHED_PATH)
+    .send({ data: { ...validOrder, scheduledFor } });
+}
+
+describe("scheduled orders", () => {
+  beforeEach(() => {
+    orders.splice(0, orders.length);
+    dishes.splice(0, dishes.length, { id: "9", name: "Bagel", description: "d", image_url: "https://example.com/dish.jpg", price: 6 });
+  });
+
+  describe("opening hours", () => {
+    test("are open from 11am to 10pm by default", () => {
+      expect(isOpenAt(new Date("2021-03-01T11:00:00Z"))).toBe(true);
+      expect(isOpenAt(new Date("2021-03-01T21:59:00Z"))).toBe(true);
+      expect(isOpenAt(new Date("2021-03-01T22:00:00Z"))).toBe(false);
+    });
+
+    test("follow the time zone and each day's periods", () => {
+      const hours = { mon: ["11:00-14:00", "17:00-22:00"] };
+
+      // 16:00 in New York on a Monday, between lunch and dinner
+      expect(isOpenAt(new Date("2021-03-01T21:00:00Z"), hours, "America/New_York")).toBe(false);
+      // 18:00 in New York on a Monday
+      expect(isOpenAt(new Date("2021-03-01T23:00:00Z"), hours, "America/New_York")).toBe(true);
+      // Closed all day Tuesday
+      expect(isOpenAt(new Date("2021-03-02T18:00:00Z"), hours, "UTC")).toBe(false);
+    });
+  });
+
+  describe("create method", () => {
+    test("creates a scheduled order", async () => {
+      const scheduledFor = tomorrowAt(12).toISOString();
+
+      const response = await placeOrder(scheduledFor);
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.status).toEqual("scheduled");
+      expect(response.body.data.scheduledFor).toEqual(scheduledFor);
+      expect(response.body.data.statusHistory.map(({ status }) => status)).toEqual(["scheduled"]);
+      expect(response.status).toBe(201);
+    });
+
+    test("returns 400 if the order is not far enough ahead", async () => {
+      const response = await placeOrder(new Date(Date.now() + 10 * 60 * 1000).toISOString());
+
+      expect(response.body.error).toEqual("Order must be scheduled at least 45 minutes ahead");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if the order is too far ahead", async () => {
+      const due = tomorrowAt(12);
+      due.setUTCDate(due.getUTCDate() + 10);
+
+      const response = await placeOrder(due.toISOString());
+
+      expect(response.body.error).toEqual("Order cannot be scheduled more than 7 days ahead");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if we are closed at that time", async () => {
+      const response = await placeOrder(tomorrowAt(3).toISOString());
+
+      expect(response.body.error).toContain("because we are closed");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if scheduledFor is not a date and time", async () => {
+      const response = await placeOrder("tomorrow at noon");
+
+      expect(response.body.error).toContain("Order scheduledFor must be a date and time");
+      expect(response.status).toBe(400);
+    });
+
+    test.each([
+      ["a month and day that do not exist", "2030-13-45T10:00Z"],
+      ["February 30th", "2030-02-30T10:00:00Z"],
+      ["April 31st", "2030-04-31T10:00Z"],
+      ["24:00", "2030-01-01T24:00Z"],
+      ["60 minutes", "2030-01-01T10:60Z"],
+    ])("returns 400 if scheduledFor is in the right format but has %s", async (_, scheduledFor) => {
+      const response = await placeOrder(scheduledFor);
+
+      expect(response.body.error).toContain("Order scheduledFor must be a date and time");
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("scheduler", () => {
+    const scheduledOrder = {
+      id: "1",
+      status: "scheduled",
+      scheduledFor: "2021-03-01T12:00:00.000Z",
+      statusHistory: [{ status: "scheduled", changedAt: "2021-02-28T09:00:00.000Z" }],
+    };
+
+    test("moves a scheduled order to pending the lead time before it is due", () => {
+      orders.push({ ...scheduledOrder }, { ...scheduledOrder, id: "2", scheduledFor: "2021-03-01T18:00:00.000Z" });
+      let now = new Date("2021-03-01T11:00:00.000Z");
+      const scheduler = createScheduler({ clock: () => now, leadMinutes: 45 });
+
+      expect(scheduler.tick()).toEqual([]);
+      expect(orders[0].status).toEqual("scheduled");
+
+      now = new Date("2021-03-01T11:15:00.000Z");
+      const released = scheduler.tick();
+
+      expect(released.map(({ id }) => id)).toEqual(["1"]);
+      expect(orders[0].status).toEqual("pending");
+      expect(orders[0].statusHistory[1]).toEqual({ status: "pending", changedAt: "2021-03-01T11:15:00.000Z" });
+      expect(orders[1].status).toEqual("scheduled");
+    });
+
+    test("checks for due orders on every interval until stopped", () => {
+      orders.push({ ...scheduledOrder });
+      const setInterval = jest.fn(() => "timer");
+      const clearInterval = jest.fn();
+      const scheduler = createScheduler({
+        clock: () => new Date("2021-03-01T11:30:00.000Z"),
+        intervalMs: 1000,
+        setInterval,
+        clearInterval,
+      });
+
+      scheduler.start();
+
+      expect(orders[0].status).toEqual("pending");
+      expect(setInterval).toHaveBeenCalledWith(scheduler.tick, 1000);
+
+      scheduler.stop();
+      expect(clearInterval).toHaveBeenCalledWith("timer");
+    });
+  });
+});
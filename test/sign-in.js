@@ -0,0 +1,15 @@
+const config = require("../src/config");
+const users = require("../src/data/users-data");
+const { signToken } = require("../src/auth/token");
+
+// Return an Authorization header for a user with the role, whose id is the role itself
+function authAs(role) {
+  return `Bearer ${signToken({ sub: role, role }, config.authSecret, 60)}`;
+}
+
+// Replace the stored users with one user for each role, so authAs(role) signs in as someone who exists
+function useRoleUsers(roles) {
+  users.splice(0, users.length, ...roles.map((role) => ({ id: role, email: `${role}@example.com`, role })));
+}
+
+module.exports = { authAs, useRoleUsers };
@@ -0,0 +1,293 @@
+const request = require("supertest");
+const app = require("../src/app");
+const orders = require("../src/data/orders-data");
+const dishes = require("../src/data/dishes-data");
+const webhooks = require("../src/data/webhooks-data");
+const webhookDeliveries = require("../src/data/webhook-deliveries-data");
+const { authAs, useRoleUsers } = require("./sign-in");
+const { createDispatcher, backoffDelay } = require("../src/webhooks/dispatcher");
+const { signatureHeader, verifySignature } = require("../src/webhooks/signing");
+const { startTestReceiver } = require("../src/webhooks/testReceiver");
+
+const SECRET = "whsec_test";
+
+const bagel = { id: "9", name: "Bagel", description: "d", image_url: "https://example.com/dish.jpg", price: 6 };
+
+// Wait until every delivery in the log has been answered, since the receiver can see a delivery before it is logged
+async function deliveriesSettled() {
+  while (webhookDeliveries.some(({ attempts }) => !attempts.length)) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+}
+
+function makeWebhook(fields) {
+  return { id: "w1", url: "http://127.0.0.1:1/", events: ["order.created"], active: true, secret: SECRET, ...fields };
+}
+
+describe("webhooks", () => {
+  beforeEach(() => {
+    useRoleUsers(["customer", "manager"]);
+    orders.splice(0, orders.length);
+    dishes.splice(0, dishes.length, { ...bagel });
+    webhooks.splice(0, webhooks.length);
+    webhookDeliveries.splice(0, webhookDeliveries.length);
+  });
+
+  describe("signing", () => {
+    test("verifies a body signed with the same secret", () => {
+      const header = signatureHeader(SECRET, '{"a":1}');
+
+      expect(verifySignature(SECRET, '{"a":1}', header)).toBe(true);
+      expect(verifySignature(SECRET, '{"a":2}', header)).toBe(false);
+      expect(verifySignature("whsec_other", '{"a":1}', header)).toBe(false);
+    });
+
+    test("rejects an old signature", () => {
+      const header = signatureHeader(SECRET, "{}", new Date("2021-03-01T12:00:00Z"));
+
+      expect(verifySignature(SECRET, "{}", header, { now: new Date("2021-03-01T12:10:00Z") })).toBe(false);
+    });
+  });
+
+  describe("retries", () => {
+    test("doubles the wait after each failed attempt", () => {
+      expect([1, 2, 3, 4].map((attempts) => backoffDelay(attempts, 1000))).toEqual([1000, 2000, 4000, 8000]);
+    });
+
+    test("retries a failed delivery until it succeeds, logging every attempt", async () => {
+      webhooks.push(makeWebhook());
+      const send = jest.fn()
+        .mockRejectedValueOnce(new Error("connect ECONNREFUSED"))
+        .mockResolvedValueOnce({ statusCode: 503 })
+        .mockResolvedValueOnce({ statusCode: 204 });
+      const setTimeout = jest.fn();
+      const dispatcher = createDispatcher({ send, setTimeout, baseDelayMs: 1000, maxAttempts: 5 });
+
+      const [first] = await dispatcher.dispatch("order.created", { id: "1" });
+      expect(first.status).toEqual("pending");
+      expect(setTimeout).toHaveBeenLastCalledWith(expect.any(Function), 1000);
+
+      await setTimeout.mock.calls[0][0]();
+      expect(setTimeout).toHaveBeenLastCalledWith(expect.any(Function), 2000);
+
+      await setTimeout.mock.calls[1][0]();
+      const [delivery] = webhookDeliveries;
+      expect(delivery.status).toEqual("succeeded");
+      expect(delivery.attempts.map(({ statusCode, error }) => statusCode || error)).toEqual([
+        "connect ECONNREFUSED",
+        503,
+        204,
+      ]);
+      expect(send).toHaveBeenCalledTimes(3);
+    });
+
+    test("gives up after the last attempt", async () => {
+      webhooks.push(makeWebhook());
+      const send = jest.fn().mockResolvedValue({ statusCode: 500 });
+      const setTimeout = jest.fn();
+      const dispatcher = createDispatcher({ send, setTimeout, maxAttempts: 2 });
+
+      await dispatcher.dispatch("order.created", { id: "1" });
+      const delivery = await setTimeout.mock.calls[0][0]();
+
+      expect(delivery.status).toEqual("failed");
+      expect(delivery.attempts).toHaveLength(2);
+      expect(setTimeout).toHaveBeenCalledTimes(1);
+    });
+
+    test("resumes the deliveries left pending when the app stopped", async () => {
+      webhooks.push(makeWebhook());
+      const delivery = {
+        webhookId: "w1",
+        event: "order.created",
+        payload: {},
+        status: "pending",
+        createdAt: "2021-03-01T12:00:00.000Z",
+      };
+      webhookDeliveries.push(
+        { ...delivery, id: "d1", attempts: [{ statusCode: 500 }], nextAttemptAt: "2021-03-01T12:00:30.000Z" },
+        { ...delivery, id: "d2", attempts: [{ statusCode: 500 }], nextAttemptAt: "2021-03-01T12:05:00.000Z" },
+        { ...delivery, id: "d3", status: "succeeded", attempts: [{ statusCode: 200 }] }
+      );
+      const send = jest.fn().mockResolvedValue({ statusCode: 200 });
+      const setTimeout = jest.fn();
+      const clock = () => new Date("2021-03-01T12:01:00.000Z");
+      const dispatcher = createDispatcher({ send, setTimeout, clock });
+
+      const resumed = dispatcher.resumePending();
+
+      expect(resumed.map(({ id }) => id)).toEqual(["d1", "d2"]);
+      expect(setTimeout.mock.calls.map(([, delayMs]) => delayMs)).toEqual([0, 4 * 60 * 1000]);
+
+      await setTimeout.mock.calls[0][0]();
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(webhookDeliveries[0].status).toEqual("succeeded");
+    });
+
+    test("only delivers to active webhooks subscribed to the event", async () => {
+      webhooks.push(
+        makeWebhook(),
+        makeWebhook({ id: "w2", events: ["dish.updated"] }),
+        makeWebhook({ id: "w3", active: false })
+      );
+      const send = jest.fn().mockResolvedValue({ statusCode: 200 });
+
+      await createDispatcher({ send }).dispatch("order.created", { id: "1" });
+
+      expect(webhookDeliveries.map(({ webhookId }) => webhookId)).toEqual(["w1"]);
+    });
+  });
+
+  describe("webhooks router", () => {
+    test("creates a webhook and shows its secret only once", async () => {
+      const created = await request(app)
+        .post("/webhooks")
+        .set("Authorization", authAs("manager"))
+        .send({ data: { url: "https://pos.example.com/hooks", events: ["order.created", "dish.updated"] } });
+
+      expect(created.body.error).toBeUndefined();
+      expect(created.body.data).toEqual({
+        id: expect.any(String),
+        url: "https://pos.example.com/hooks",
+        events: ["order.created", "dish.updated"],
+        active: true,
+        secret: expect.stringMatching(/^whsec_/),
+        createdAt: expect.any(String),
+        version: 1,
+      });
+      expect(created.status).toBe(201);
+
+      const read = await request(app)
+        .get(`/webhooks/${created.body.data.id}`)
+        .set("Authorization", authAs("manager"));
+
+      expect(read.body.data.secret).toBeUndefined();
+    });
+
+    test("returns 400 for an event that does not exist", async () => {
+      const response = await request(app)
+        .post("/webhooks")
+        .set("Authorization", authAs("manager"))
+        .send({ data: { url: "https://pos.example.com/hooks", events: ["order.eaten"] } });
+
+      expect(response.body.error).toContain("webhook event 0 must be order.created");
+      expect(response.status).toBe(400);
+    });
+
+    test("does not let a patch read the secret", async () => {
+      webhooks.push(makeWebhook());
+
+      const response = await request(app)
+        .patch("/webhooks/w1")
+        .set("Authorization", authAs("manager"))
+        .set("Content-Type", "application/json-patch+json")
+        .send(JSON.stringify([{ op: "copy", from: "/secret", path: "/description" }]));
+
+      expect(response.body.error).toContain("/secret");
+      expect(response.status).toBe(400);
+      expect(webhooks[0].description).toBeUndefined();
+    });
+
+    test("keeps the secret when a webhook is patched", async () => {
+      webhooks.push(makeWebhook());
+
+      const response = await request(app)
+        .patch("/webhooks/w1")
+        .set("Authorization", authAs("manager"))
+        .set("Content-Type", "application/merge-patch+json")
+        .send(JSON.stringify({ data: { description: "Point of sale" } }));
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.secret).toBeUndefined();
+      expect(webhooks[0]).toEqual(expect.objectContaining({ description: "Point of sale", secret: SECRET }));
+    });
+
+    test("is only available to managers", async () => {
+      const response = await request(app)
+        .get("/webhooks")
+        .set("Authorization", authAs("customer"));
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe("delivering to the test receiver", () => {
+    let receiver;
+
+    afterEach(async () => {
+      if (receiver) await receiver.close();
+      receiver = undefined;
+    });
+
+    test("sends a signed delivery when an order is placed and logs it", async () => {
+      receiver = await startTestReceiver({ secret: SECRET });
+      webhooks.push(makeWebhook({ url: receiver.url }));
+
+      const created = await request(app)
+        .post("/orders")
+        .set("Authorization", authAs("customer"))
+        .send({
+          data: {
+            deliverTo: "308 Negra Arroyo Lane, Albuquerque, NM 87104",
+            mobileNumber: "(505) 143-3369",
+            dishes: [{ id: "9", quantity: 1 }],
+          },
+        });
+      const [delivery] = await receiver.waitForDeliveries(1);
+      await deliveriesSettled();
+
+      expect(delivery.event).toEqual("order.created");
+      expect(delivery.verified).toBe(true);
+      expect(delivery.body).toEqual({
+        id: delivery.deliveryId,
+        event: "order.created",
+        occurredAt: expect.any(String),
+        data: created.body.data,
+      });
+
+      const log = await request(app)
+        .get("/webhooks/w1/deliveries")
+        .set("Authorization", authAs("manager"));
+
+      expect(log.body.data.map(({ id, status }) => ({ id, status }))).toEqual([
+        { id: delivery.deliveryId, status: "succeeded" },
+      ]);
+      expect(log.body.data[0].attempts).toEqual([
+        { attemptedAt: expect.any(String), statusCode: 200, durationMs: expect.any(Number) },
+      ]);
+    });
+
+    test("sends dish changes", async () => {
+      receiver = await startTestReceiver({ secret: SECRET });
+      webhooks.push(makeWebhook({ url: receiver.url, events: ["dish.updated", "dish.deleted"] }));
+
+      await request(app)
+        .put("/dishes/9")
+        .set("Authorization", authAs("manager"))
+        .send({ data: { ...bagel, price: 7 } });
+      await request(app)
+        .delete("/dishes/9")
+        .set("Authorization", authAs("manager"));
+      const received = await receiver.waitForDeliveries(2);
+
+      expect(received.map(({ event }) => event).sort()).toEqual(["dish.deleted", "dish.updated"]);
+      expect(received.every(({ verified }) => verified)).toBe(true);
+    });
+
+    test("sends a test event and responds with how it went", async () => {
+      receiver = await startTestReceiver({ respondWith: 500 });
+      webhooks.push(makeWebhook({ url: receiver.url }));
+
+      const response = await request(app)
+        .post("/webhooks/w1/test")
+        .set("Authorization", authAs("manager"));
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.event).toEqual("webhook.ping");
+      expect(response.body.data.status).toEqual("pending");
+      expect(response.body.data.attempts[0].statusCode).toEqual(500);
+      expect(response.body.data.nextAttemptAt).toEqual(expect.any(String));
+      expect(receiver.deliveries).toHaveLength(1);
+    });
+  });
+});